@@ -18,6 +18,25 @@ export default {
 	'msg-translation-reason-userModifiedReferenceValue': `User modified reference string`,
 	'msg-translation-reason-missingOutputKey': `No existing translation found`,
 	'msg-translation-reason-missingOutputValueHash': `No hash found in cache file`,
+	'msg-wrote-xliff-file': `Wrote %%count%% units to %%file%%`,
+	'msg-imported-xliff-units': `Imported %%count%% translations`,
+	'msg-xliff-source-changed': `Skipping %%targetLang%% translation of "%%key%%": its reference value has changed since it was exported`,
+	'msg-wrote-sheet-file': `Wrote %%count%% keys to %%file%%`,
+	'msg-imported-sheet-cells': `Imported %%count%% edited translations`,
+	'msg-sheet-reference-changed': `Skipping %%targetLang%% edit of "%%key%%": its reference value has changed since it was exported`,
+	'msg-translation-rejected': `[%%targetLang%%] Rejected the translation of "%%key%%": %%problem%%`,
+	'msg-translations-over-max-length': `%%count%% translation(s) are still longer than their maximum length after retrying: %%translations%%`,
+	'msg-batch-submitted': `Submitted batch %%id%% of %%count%% translation(s); once it has finished, apply its results with 'translate --resume-batch'`,
+	'msg-batch-pending': `Batch %%id%% hasn't finished yet (status: %%status%%); try again later`,
+	'msg-batch-applied': `Applied %%count%% of %%total%% translation(s) from batch %%id%%`,
+	'msg-route-ok': `✔ %%languages%% => %%providerName%% (%%model%%)`,
+	'msg-switching-to-fallback-provider': `[%%targetLang%%] %%from%% failed %%failures%% time(s) in a row; switching to %%to%%`,
+	'msg-translations-by-provider': `Translations by provider: %%providers%%`,
+	'msg-usage-by-language-and-model': `[%%targetLang%%] %%model%%: %%inputTokens%% input and %%outputTokens%% output tokens in %%requests%% request(s); %%cost%%`,
+	'msg-usage-totals': `Token usage: %%inputTokens%% input and %%outputTokens%% output tokens in %%requests%% request(s); estimated cost: %%cost%%`,
+	'msg-usage-cost-unknown': `unknown (no price for the model; see 'modelPrices')`,
+	'msg-usage-cost-partial': `at least %%cost%% (%%unpricedInputTokens%% input and %%unpricedOutputTokens%% output tokens have no price for their model; see 'modelPrices')`,
+	'msg-skipping-fallback-provider': `[%%targetLang%%] Skipping fallback provider %%providerName%%, which couldn't be loaded: %%error%%`,
 
 	'error-value-not-a-string': `Value for reference key "%%key%%" was "%%type%%". Expected a string! Skipping...`,
 	'error-value-not-in-reference-data': `Key "%%key%%" did not exist in reference file`,
@@ -36,6 +55,53 @@ export default {
 	'error-no-output-dir-specified': `No output directory specified via '--output-dir', in a config file (via 'outputDir'), or in the same directory as your reference file ("%%refFileDir%%")`,
 	'error-dir-create-failed': `Failed to create directory "%%dir%%"`,
 	'error-no-reference-file-specified': `No reference file specified via '--reference-file' or in config file (via 'referenceFile')`,
+	'error-unknown-output-format': `Unknown output format "%%outputFormat%%".`,
+	'error-unknown-output-path-template-token': `Unknown token %%token%% in output path template "%%template%%". Supported tokens are: %%tokens%%`,
+	'error-output-path-collision': `Output path template "%%outputPathTemplate%%" maps more than one target language (%%targetLangs%%) to "%%outputFilePath%%"`,
+	'error-unknown-xliff-version': `Unknown XLIFF version "%%version%%". Supported versions are: %%versions%%`,
+	'error-xliff-load-failed': `Failed to load XLIFF file "%%file%%"`,
+	'error-xliff-unknown-target-language': `Target language "%%targetLang%%" in XLIFF file "%%file%%" is not one of the target languages`,
+	'error-transpiling-typescript-file': `Error stripping TypeScript syntax from "%%filePath%%": %%error%%`,
+	'error-unknown-sheet-file-type': `Unsupported spreadsheet file type "%%ext%%". Supported types are: %%exts%%`,
+	'error-sheet-load-failed': `Failed to load spreadsheet "%%file%%"`,
+	'error-sheet-no-key-column': `Spreadsheet "%%file%%" has no "%%column%%" column`,
+	'error-no-reference-files-matched': `No reference files match "%%pattern%%"`,
+	'error-duplicate-reference-namespace': `Reference files %%referenceFiles%% share the namespace "%%namespace%%"; reference files must have different names`,
+	'error-output-path-collision-between-references': `Output path template "%%outputPathTemplate%%" maps more than one reference file (%%referenceFiles%%) to "%%outputFilePath%%"; try including {basename}`,
+	'error-xliff-unknown-reference-file': `%%file%%: no reference file is named "%%original%%"`,
+	'error-icu-invalid-syntax': `it is not a valid ICU message: %%error%%`,
+	'error-icu-arguments-changed': `its arguments changed from %%expected%% to %%actual%%`,
+	'error-icu-argument-type-changed': `the type of argument "%%name%%" changed from %%expected%% to %%actual%%`,
+	'error-icu-select-options-changed': `the options of select argument "%%name%%" changed from %%expected%% to %%actual%%`,
+	'error-icu-missing-plural-categories': `plural argument "%%name%%" is missing categories %%categories%%`,
+	'error-placeholders-changed': `placeholders changed (missing: %%missing%%; unexpected: %%unexpected%%)`,
+	'error-translation-rejected': `[%%targetLang%%] No acceptable translation of "%%key%%" after retrying; the last was rejected because %%problem%%`,
+	'error-markup-unbalanced': `its markup is unbalanced: %%error%%`,
+	'error-markup-tags-changed': `its markup tags changed (missing: %%missing%%; unexpected: %%unexpected%%)`,
+	'error-markup-nesting-changed': `the nesting of its markup tags changed`,
+	'error-translation-too-long': `it is %%length%% characters long, but must be at most %%maxLength%%; shorten it, e.g. with shorter words or a common abbreviation`,
+	'error-provider-plugin-load-failed': `Couldn't load provider "%%providerName%%" from "%%module%%": %%error%%`,
+	'error-provider-plugin-invalid': `Provider "%%providerName%%" doesn't export these functions: %%functions%%`,
+	'error-provider-entry-invalid': `Provider "%%providerName%%" in the config's 'providers' setting needs a 'module', or a 'provider' which is one of ALT's own (it's "%%provider%%"). `,
+	'error-provider-missing-settings': `Provider "%%providerName%%" needs these settings in its entry in the config's 'providers' setting: %%settings%%`,
+	'error-batch-and-resume-batch': `--batch and --resume-batch can't be used together`,
+	'error-batch-already-pending': `Batch %%id%% is still pending; apply its results with --resume-batch first`,
+	'error-no-pending-batch': `There's no batch to resume; submit one with --batch`,
+	'error-provider-no-batch-support': `Provider "%%providerName%%" doesn't support batches`,
+	'error-batch-translation-failed': `[%%targetLang%%] The batch failed to translate "%%key%%"; run translate again to translate it`,
+	'error-batch-translation-rejected': `[%%targetLang%%] Rejected the batch's translation of "%%key%%": %%problem%%; run translate again to translate it`,
+	'error-invalid-route': `Invalid route in the config's 'routes' setting: %%route%%; each route needs 'languages', and a 'provider' or 'model'`,
+	'error-batch-multiple-providers': `A batch goes to a single provider, but the target languages are routed to several: %%providers%%`,
+	'error-route-invalid': `✖ %%languages%% => %%providerName%%: %%error%%`,
+	'error-route-model-not-found': `✖ %%languages%% => %%providerName%%: it has no model "%%model%%"`,
+	'error-invalid-fallback-provider': `Invalid entry in the config's 'fallbackProviders' setting: %%fallback%%; each entry needs a 'provider' or 'model', or is a provider's name`,
+	'error-malformed-response': `it wasn't in the expected format, a tool call or JSON object with the translation`,
+	'error-translation-has-preamble': `it includes text which isn't part of the translation, "%%preamble%%"; return only the translation`,
+	'error-invalid-http-timeout': `Invalid HTTP timeout: %%timeout%%; the config's 'http.timeout' setting, or ALT_HTTP_TIMEOUT, must be a whole number of milliseconds`,
+	'error-invalid-proxy-url': `Invalid proxy URL: %%proxyUrl%%; set the config's 'http.proxy' setting, or HTTPS_PROXY or HTTP_PROXY, to a URL like http://proxy.example.com:8080`,
+	'error-ca-file-not-found': `CA certificate file not found: %%caFile%%`,
+	'error-api-key-not-set': `%%apiKeyName%% environment variable is not set`,
 
-	'supported-providers': `Supported providers are: %%providers%%`
+	'supported-providers': `Supported providers are: %%providers%%`,
+	'supported-output-formats': `Supported output formats are: %%outputFormats%%`
 }
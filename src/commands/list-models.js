@@ -1,7 +1,66 @@
-import { loadTranslationProvider } from '../lib/provider.js'
+import { localizeFormatted } from '../localizer/localize.js'
+import { loadConfig } from '../lib/config.js'
+import { getDefaultModel, isTextTranslationProvider, loadTranslationProvider } from '../lib/provider.js'
+import { getRoutes } from '../lib/routes.js'
+import { configureHttp } from '../lib/http.js'
 
 export async function runListModels({ appState, options, log }) {
-	const { apiKey, api } = await loadTranslationProvider({ __dirname: appState.__dirname, providerName: options.provider, log })
-	log.I(`Available models:\n`)
-	return log.I(await api.listModels(apiKey))
+	try {
+		const config = await loadConfig({ configFile: options.configFile, log })
+		await configureHttp({ appState, config, log })
+		const routes = getRoutes({ appState, config, log })
+
+		// With routes, --provider is optional
+		const defaultProviderName = (options.provider ?? config.provider)?.toLowerCase()
+		if (options.provider?.length || !routes.length) {
+			const { apiKey, api, settings } = await loadTranslationProvider({ appState, config, providerName: defaultProviderName, log })
+			log.I(`Available models:\n`)
+			log.I(await api.listModels(apiKey, settings))
+		}
+
+		if (routes.length && !await validateRoutes({ appState, config, routes, defaultProviderName, log })) {
+			process.exit(2)
+		}
+	} catch (error) {
+		log.E(error)
+		process.exit(2)
+	}
+}
+
+// Checks that each route's provider loads, and that it has the route's model, if the provider lists its models, and
+// addresses them by model ID, rather than by deployment name. Logs each route's status, and returns whether they're all
+// valid.
+async function validateRoutes({ appState, config, routes, defaultProviderName, log }) {
+	log.I(`\nRoutes:\n`)
+	let valid = true
+	for (const route of routes) {
+		const languages = [ route.languages ].flat().join(', ')
+		const providerName = route.provider?.toLowerCase() ?? defaultProviderName
+		try {
+			const { apiKey, api, settings } = await loadTranslationProvider({ appState, config, providerName, log })
+			const model = route.model ?? getDefaultModel(api, settings)
+			// Machine translation providers list languages, rather than models, and deployments aren't listed at all
+			const modelIds = isTextTranslationProvider(api) || api.usesDeployments?.() ? null : getModelIds(await api.listModels(apiKey, settings))
+			if (model && modelIds && !modelIds.includes(model)) {
+				log.E(localizeFormatted({ token: 'error-route-model-not-found', data: { languages, providerName, model }, lang: appState.lang, log }))
+				valid = false
+			} else {
+				log.I(localizeFormatted({ token: 'msg-route-ok', data: { languages, providerName, model: model ?? '-' }, lang: appState.lang, log }))
+			}
+		} catch (error) {
+			log.E(localizeFormatted({ token: 'error-route-invalid', data: { languages, providerName: providerName ?? '', error: error.message }, lang: appState.lang, log }))
+			valid = false
+		}
+	}
+	return valid
+}
+
+// Returns the IDs of the models returned by a provider's listModels(), whose shape varies by provider, or null if there
+// are none to check against
+function getModelIds(models) {
+	const list = Array.isArray(models) ? models : models?.data ?? models?.models
+	const ids = (Array.isArray(list) ? list : [])
+		.map(model => typeof model === 'string' ? model : model?.id ?? model?.name?.replace(/^models\//, ''))
+		.filter(id => typeof id === 'string')
+	return ids.length ? ids : null
 }
@@ -0,0 +1,193 @@
+import * as path from 'path'
+import { localizeFormatted } from '../localizer/localize.js'
+import { writeFile } from '../lib/io.js'
+import { getFileExtension, unique } from '../lib/utils.js'
+import { getValueAtKeyPath, setValueAtKeyPath } from '../lib/key-paths.js'
+import { addFileToWrite, readOutputFile, setNeedsReview } from '../lib/formats.js'
+import { getKeyStatus, getNamespaceCache, markKeyUserModified } from '../lib/cache.js'
+import { formatNamespacedKey, getProjectKeys, getReferenceKeyInfo, isReferenceKey, loadProject } from '../lib/project.js'
+import { readSheetFile, serializeSheet, SHEET_FILE_EXTENSIONS } from '../lib/sheets.js'
+import { shutdown } from '../shutdown.js'
+
+// Column headers; each target language has a column of values, and a column of their statuses. There's a namespace column
+// only if there's more than one reference file.
+const NAMESPACE_COLUMN = 'namespace'
+const KEY_COLUMN = 'key'
+const CONTEXT_COLUMN = 'context'
+const getReferenceColumn = lang => `${lang} (reference)`
+const getStatusColumn = lang => `${lang} status`
+
+function assertValidSheetFile({ appState, file, log }) {
+	const ext = getFileExtension(file)
+	if (!SHEET_FILE_EXTENSIONS.includes(ext)) {
+		throw new Error(
+			localizeFormatted({
+				token: 'error-unknown-sheet-file-type',
+				data: { ext, exts: SHEET_FILE_EXTENSIONS.join(', ') },
+				lang: appState.lang,
+				log
+			})
+		)
+	}
+}
+
+export async function runExportSheet({ appState, options, file, log }) {
+	let exitCode = 0
+	try {
+		assertValidSheetFile({ appState, file, log })
+
+		const project = await loadProject({ appState, options, log })
+		const { references, referenceLanguage, targetLanguages, outputFormatName } = project
+		const namespaced = references.length > 1
+
+		const rows = [
+			[
+				...(namespaced ? [ NAMESPACE_COLUMN ] : []),
+				KEY_COLUMN,
+				CONTEXT_COLUMN,
+				getReferenceColumn(referenceLanguage),
+				...targetLanguages.flatMap(targetLang => [ targetLang, getStatusColumn(targetLang) ])
+			]
+		]
+		for (const reference of references) {
+			const { namespace, outputFilePaths } = reference
+			const cache = getNamespaceCache(project.cache, namespace)
+
+			// Languages may have different keys, as they use different plural forms; each key gets one row, with empty
+			// cells for the languages which don't use it
+			const outputDataByLang = {}
+			const keysByLang = {}
+			for (const targetLang of targetLanguages) {
+				outputDataByLang[targetLang] = await readOutputFile(outputFilePaths[targetLang], outputFormatName, targetLang) || {}
+				keysByLang[targetLang] = new Set(getProjectKeys({ appState, project, reference, keys: options.keys, targetLang, log }))
+			}
+			const keys = unique(Object.values(keysByLang).flatMap(langKeys => [ ...langKeys ]))
+
+			for (const key of keys) {
+				const { outputKeyPath, refValue, refContextValue, referenceValueHash } = getReferenceKeyInfo({ project, reference, key, log })
+				if (typeof refValue !== 'string') {
+					log.V(`Skipping "${key}", which is not a string`)
+					continue
+				}
+
+				rows.push([
+					...(namespaced ? [ namespace ] : []),
+					key,
+					refContextValue ?? '',
+					refValue,
+					...targetLanguages.flatMap(targetLang => {
+						if (!keysByLang[targetLang].has(key)) return [ '', '' ]
+						const curValue = getValueAtKeyPath(outputDataByLang[targetLang], outputKeyPath) ?? null
+						return [ curValue ?? '', getKeyStatus({ cache, targetLang, key, curValue, referenceValueHash }) ]
+					})
+				])
+			}
+		}
+
+		const sheetFilePath = path.resolve(file)
+		writeFile(sheetFilePath, serializeSheet(sheetFilePath, rows), log)
+		log.I(localizeFormatted({ token: 'msg-wrote-sheet-file', data: { file: sheetFilePath, count: rows.length - 1 }, lang: appState.lang, log }))
+	} catch (error) {
+		log.E(error)
+		exitCode = 2
+	}
+
+	await shutdown(appState, false)
+
+	if (exitCode > 0) {
+		process.exit(exitCode)
+	}
+}
+
+export async function runImportSheet({ appState, options, file, log }) {
+	let exitCode = 0
+	try {
+		assertValidSheetFile({ appState, file, log })
+
+		const project = await loadProject({ appState, options, log })
+		const { references, referenceLanguage, targetLanguages, outputFormatName, cacheFilePath } = project
+		const errors = appState.errors
+
+		const rows = await readSheetFile(file)
+		if (!rows?.length) {
+			throw new Error(localizeFormatted({ token: 'error-sheet-load-failed', data: { file }, lang: appState.lang, log }))
+		}
+
+		const [ header, ...valueRows ] = rows
+		const keyColumnIdx = header.indexOf(KEY_COLUMN)
+		if (keyColumnIdx < 0) {
+			throw new Error(localizeFormatted({ token: 'error-sheet-no-key-column', data: { file, column: KEY_COLUMN }, lang: appState.lang, log }))
+		}
+		const namespaceColumnIdx = header.indexOf(NAMESPACE_COLUMN)
+		if (references.length > 1 && namespaceColumnIdx < 0) {
+			throw new Error(localizeFormatted({ token: 'error-sheet-no-key-column', data: { file, column: NAMESPACE_COLUMN }, lang: appState.lang, log }))
+		}
+		const referenceColumnIdx = header.indexOf(getReferenceColumn(referenceLanguage))
+
+		// Clone the cache for writing to
+		const writableCache = JSON.parse(JSON.stringify(project.cache))
+		appState.filesToWrite[cacheFilePath] = { data: writableCache, format: 'json' }
+
+		let importedCount = 0
+		for (const targetLang of targetLanguages) {
+			const columnIdx = header.indexOf(targetLang)
+			if (columnIdx < 0) {
+				log.V(`No "${targetLang}" column; skipping`)
+				continue
+			}
+
+			const outputDataByPath = {}
+			const modifiedOutputFiles = new Map()	// Map of output file path => the reference it's translated from
+
+			for (const row of valueRows) {
+				const key = row[keyColumnIdx]
+				const value = row[columnIdx]
+				if (!key?.length || !value?.length) continue
+
+				const reference = references.length === 1 ? references[0] : references.find(r => r.namespace === row[namespaceColumnIdx])
+				if (!reference || !isReferenceKey({ project, reference, key, targetLang })) {
+					errors.push(localizeFormatted({ token: 'error-value-not-in-reference-data', data: { key: reference ? formatNamespacedKey({ reference, key }) : key }, lang: appState.lang, log }))
+					continue
+				}
+
+				const outputFilePath = reference.outputFilePaths[targetLang]
+				if (!outputDataByPath[outputFilePath]) {
+					outputDataByPath[outputFilePath] = await readOutputFile(outputFilePath, outputFormatName, targetLang) || {}
+				}
+				const outputData = outputDataByPath[outputFilePath]
+
+				const { outputKeyPath, refValue } = getReferenceKeyInfo({ project, reference, key, log })
+				const curValue = getValueAtKeyPath(outputData, outputKeyPath) ?? null
+				if (value === curValue) continue
+
+				if (referenceColumnIdx >= 0 && row[referenceColumnIdx] !== refValue) {
+					// The edit was made against an old reference value
+					log.W(localizeFormatted({ token: 'msg-sheet-reference-changed', data: { key: formatNamespacedKey({ reference, key }), targetLang }, lang: appState.lang, log }))
+					continue
+				}
+
+				log.D(`[${targetLang}] Importing "${key}": ${value}`)
+				markKeyUserModified({ cache: getNamespaceCache(writableCache, reference.namespace), targetLang, key, previousValue: curValue })
+				setValueAtKeyPath(outputData, outputKeyPath, value)
+				setNeedsReview(outputData, outputKeyPath, false)
+				modifiedOutputFiles.set(outputFilePath, reference)
+				++importedCount
+			}
+
+			for (const [ outputFilePath, reference ] of modifiedOutputFiles) {
+				addFileToWrite({ appState, filePath: outputFilePath, data: outputDataByPath[outputFilePath], formatName: outputFormatName, lang: targetLang, referenceData: reference.referenceData })
+			}
+		}
+
+		log.I(localizeFormatted({ token: 'msg-imported-sheet-cells', data: { count: importedCount }, lang: appState.lang, log }))
+	} catch (error) {
+		log.E(error)
+		exitCode = 2
+	}
+
+	await shutdown(appState, false)
+
+	if (exitCode > 0) {
+		process.exit(exitCode)
+	}
+}
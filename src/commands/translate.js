@@ -1,430 +1,290 @@
-import * as path from 'path'
-import axios from 'axios'
 import { Listr } from 'listr2'
 import { localize, localizeFormatted } from '../localizer/localize.js'
 import {
-	DEFAULT_CACHE_FILENAME, DEFAULT_LLM_MODELS,
-	OVERLOADED_BACKOFF_INTERVAL_MS,
-	VALID_TRANSLATION_PROVIDERS
+	DEFAULT_FALLBACK_AFTER_FAILURES,
+	LANGTAG_ENGLISH,
+	OVERLOADED_BACKOFF_INTERVAL_MS
 } from '../lib/consts.js'
-import { assertIsObj, assertValidPath } from '../lib/assert.js'
-import {
-	dirExists,
-	ensureDir,
-	mkTmpDir,
-	normalizeOutputPath,
-	readFileAsText,
-	readJsonFile,
-	writeJsonFile,
-} from '../lib/io.js'
-import { calculateHash, getFileExtension, normalizeData, sleep } from '../lib/utils.js'
-import { formatContextKeyFromKey, isContextKey } from '../lib/context-keys.js'
-import { loadConfig } from '../lib/config.js'
-import { loadTranslationProvider } from '../lib/provider.js'
-import { loadCache } from '../lib/cache.js'
+import { assertValidPath } from '../lib/assert.js'
+import { calculateHash, getTextLength, sleep, unique } from '../lib/utils.js'
+import { getValueAtKeyPath, setValueAtKeyPath } from '../lib/key-paths.js'
+import { getIcuPluralArguments, isComplexIcuMessage, validateIcuTranslation } from '../lib/icu.js'
+import { extractPlaceholders, validatePlaceholders } from '../lib/placeholders.js'
+import { getMarkupTags, hasMarkup, validateMarkup } from '../lib/markup.js'
+import { getDefaultModel, isLocalProvider, isTextTranslationProvider, loadTranslationProvider } from '../lib/provider.js'
+import { getFallbackProviders, getRoutes, resolveLanguageRoute } from '../lib/routes.js'
+import { findPreamble } from '../lib/structured-output.js'
+import { createUsage, recordUsage, reportUsage } from '../lib/usage.js'
+import { configureHttp, httpPost } from '../lib/http.js'
+import { addFileToWrite, readOutputFile, setNeedsReview, writeOutputFile } from '../lib/formats.js'
+import { writeJsonFile } from '../lib/io.js'
+import { getNamespaceCache, setKeyProducedBy } from '../lib/cache.js'
+import { formatNamespacedKey, getProjectKeys, getReferenceKeyInfo, loadProject } from '../lib/project.js'
 import { shutdown } from '../shutdown.js'
-import { loadReferenceFile } from '../lib/reference-loader.js'
 
 export async function runTranslation({ appState, options, log }) {
 	let exitCode = 0
 	try {
-		// Attempt to load a config file, or return default values
-		const config = await loadConfig({
-			configFile: options.configFile,
-			log
-		})
-		assertIsObj(config)
-
-		const referenceFile = options.referenceFile ?? config.referenceFile
-		if (!referenceFile?.length) {
-			throw new Error(
-				localize({
-					token: 'error-no-reference-file-specified',
-					lang: appState.lang,
-					log
-				})
-			)
-		}
-		log.D(`referenceFile=${referenceFile}`)
-
-		// Resolve referenceExportedVarName
-		let referenceExportedVarName
-		const referenceFileExt = getFileExtension(referenceFile)
-		if (['js','mjs'].includes(referenceFileExt)) {
-			log.D(`Searching for reference exported var name for .${referenceFileExt} extension...`)
-			if (options.referenceExportedVarName?.length) {
-				log.D(`Found reference exported var name via --reference-exported-var-name`)
-				referenceExportedVarName = options.referenceExportedVarName
-			} else if (config.referenceExportedVarName?.length) {
-				log.D(`Found reference exported var name in config, via 'referenceExportedVarName'`)
-				referenceExportedVarName = config.referenceExportedVarName
-			} else {
-				log.D(`No reference exported var name found; `)
-			}
-		}
-		log.D(`referenceExportedVarName=${referenceExportedVarName}`)
-
-		const refFileDir = path.dirname(referenceFile)
-		let outputDir = path.resolve(options.outputDir ?? config.outputDir ?? refFileDir)
-		log.D(`outputDir=${outputDir}`)
-		if (!outputDir?.length) {
-			throw new Error(
-				localizeFormatted({
-					token: 'error-no-output-dir-specified',
-					data: { refFileDir },
-					lang: appState.lang,
-					log
-				})
-			)
-		}
-
-		if (!dirExists(outputDir, log)) {
-			log.V(`Directory "${outputDir}" did not exist -- creating...`)
-			ensureDir(outputDir, log)
-
-			if (!dirExists(outputDir, log)) {
-				throw new Error(
-					localizeFormatted({
-						token: 'error-dir-create-failed',
-						data: { dir: outputDir },
-						lang: appState.lang,
-						log
-					})
-				)
-			}
-		} else {
-			log.D(`Output dir "${outputDir}" existed`)
+		const project = await loadProject({ appState, options, log })
+		await configureHttp({ appState, config: project.config, log })
+		const {
+			references,
+			referenceLanguage,
+			targetLanguages,
+			outputFormatName,
+			cacheFilePath,
+			cache: readOnlyCache
+		} = project
+
+		// A batch is resumed with the provider it was submitted to
+		const pendingBatch = readOnlyCache.batch ?? null
+		if (options.batch && options.resumeBatch) {
+			throw new Error(localize({ token: 'error-batch-and-resume-batch', lang: appState.lang, log }))
 		}
-
-		// Validate provider
-		const providerName = (options.provider ?? config.provider)?.toLowerCase()
-		if (!VALID_TRANSLATION_PROVIDERS.includes(providerName)) {
-			throw new Error(
-				(providerName
-					? localizeFormatted({
-						token: 'error-unknown-provider',
-						data: { providerName },
-						lang: appState.lang,
-						log
-					})
-					: localize({
-						token: 'error-no-provider-specified',
-						lang: appState.lang,
-						log
-					}))
-				+ localizeFormatted({
-					token: 'supported-providers',
-					data: { providers: VALID_TRANSLATION_PROVIDERS.join(', ') },
-					lang: appState.lang,
-					log
-				})
-			)
-		}
-
-		const referenceLanguage = options.referenceLanguage || config.referenceLanguage
-		if (!referenceLanguage || !referenceLanguage.length) {
-			throw new Error(
-				localize({ token: 'error-no-reference-language', lang: appState.lang, log })
-			)
+		if (options.batch && pendingBatch) {
+			throw new Error(localizeFormatted({ token: 'error-batch-already-pending', data: { id: pendingBatch.id }, lang: appState.lang, log }))
 		}
-
-		// Get target languages from CLI or config
-		const targetLanguages = options.targetLanguages || config.targetLanguages
-		if (!targetLanguages || !targetLanguages.length) {
-			throw new Error(
-				localize({ token: 'error-no-target-languages', lang: appState.lang, log })
-			)
+		if (options.resumeBatch && !pendingBatch) {
+			throw new Error(localize({ token: 'error-no-pending-batch', lang: appState.lang, log }))
 		}
-
-		const normalizeOutputFilenames = options.normalizeOutputFilenames || config.normalizeOutputFilenames
+		const defaultProviderName = options.resumeBatch
+			? pendingBatch.provider
+			: (options.provider ?? project.config.provider)?.toLowerCase()
 
 		// No app context message is OK
-		const appContextMessage = options.appContextMessage ?? config.appContextMessage ?? null
+		const appContextMessage = options.appContextMessage ?? project.config.appContextMessage ?? null
 		log.D(`appContextMessage:`, appContextMessage)
 
-		const cacheFilePath = path.resolve(outputDir, DEFAULT_CACHE_FILENAME)
-
-		log.V(`Attempting to load cache file from "${cacheFilePath}"`)
-		const readOnlyCache = await loadCache(cacheFilePath)
-		log.D(`Loaded cache file`)
-
-		// Create a tmp dir for storing the .mjs reference file; we can't dynamically import .js files directly, so we make a copy...
-		const tmpDir = await mkTmpDir()
-		appState.tmpDir = tmpDir
-
-		// Copy to a temp location first so we can ensure it has an .mjs extension
-		const referenceData = await loadReferenceFile({ appLang: appState.lang, referenceFile, referenceExportedVarName, tmpDir, log })
-		if (!referenceData) {
-			throw new Error(
-				localizeFormatted({
-					token: 'error-no-reference-data-in-variable',
-					data: {
-						referenceExportedVarName,
-						referenceFile,
-					},
-					lang: appState.lang,
-					log
-				})
-			)
-		}
-
-		const referenceHash = calculateHash(await readFileAsText(referenceFile))
-		const referenceChanged = referenceHash !== readOnlyCache.referenceHash
-		if (referenceChanged) {
-			log.V('Reference file has changed since last run')
-		}
-
 		// Clone the cache for writing to
 		const writableCache = JSON.parse(JSON.stringify(readOnlyCache))
-
-		writableCache.referenceHash = referenceHash
 		writableCache.lastRun = new Date().toISOString()
 
 		// Always write this file, since it changes every run ('lastRun')
 		assertValidPath(cacheFilePath)
-		appState.filesToWrite[cacheFilePath] = writableCache
+		appState.filesToWrite[cacheFilePath] = { data: writableCache, format: 'json' }
+
+		// Providers are loaded once each, and only if a target language needs them
+		const loadedProviders = {}	// Map of provider name => { providerName, translationProvider, apiKey, providerSettings }
+		const getProvider = async providerName => {
+			if (!loadedProviders[providerName]) {
+				const { apiKey, api, settings } = await loadTranslationProvider({ appState, config: project.config, providerName, log })
+				log.V(`translation provider "${providerName}" loaded`)
+				loadedProviders[providerName] = { providerName, translationProvider: api, apiKey, providerSettings: settings }
+			}
+			return loadedProviders[providerName]
+		}
 
-		const { apiKey, api: translationProvider } = await loadTranslationProvider({ __dirname: appState.__dirname, providerName, log })
-		log.V(`translation provider "${providerName}" loaded`)
+		// Each target language is translated with the provider and model of the first route in the config which matches it,
+		// if any, or the default ones, and then with each of the fallback providers in turn, if the one before keeps failing.
+		// Fallback providers are only loaded once they're needed; see switchToFallbackProvider(). A batch is resumed with its
+		// own provider, and batches don't fall back.
+		const isBatch = options.batch || options.resumeBatch
+		const routes = options.resumeBatch ? [] : getRoutes({ appState, config: project.config, log })
+		const fallbackProviders = isBatch ? [] : getFallbackProviders({ appState, config: project.config, log })
+		const fallbackAfterFailures = project.config.fallbackAfterFailures ?? DEFAULT_FALLBACK_AFTER_FAILURES
+		const providerChains = {}	// Map of target language => provider chain, shared by its tasks
+		for (const targetLang of targetLanguages) {
+			const { providerName, model } = resolveLanguageRoute({ routes, targetLang, defaultProviderName, defaultModel: options.model })
+			log.V(`[${targetLang}] provider: ${providerName}; model: ${model ?? '(default)'}`)
+			const providers = [ { ...await getProvider(providerName), model } ]
+			for (const fallback of fallbackProviders) {
+				providers.push({ providerName: fallback.provider ?? providerName, translationProvider: null, model: fallback.model })
+			}
+			providerChains[targetLang] = {
+				providers,	// [ { providerName, translationProvider, apiKey, providerSettings, model } ], the first being the language's own
+				index: 0,	// The provider in use
+				failures: 0,	// Consecutive failures of the provider in use
+				fallbackAfterFailures,
+				getProvider
+			}
+		}
 
-		log.D(`options.lookForContextData=${options.lookForContextData}`)
-		log.D(`config.lookForContextData=${config.lookForContextData}`)
-		const addContextToTranslation = options.lookForContextData || config.lookForContextData
+		// A batch goes to one provider, so every target language must be translated by the same one
+		let batchProvider = null
+		if (isBatch) {
+			const providerNames = unique(Object.values(providerChains).map(({ providers }) => providers[0].providerName))
+			if (providerNames.length > 1) {
+				throw new Error(localizeFormatted({ token: 'error-batch-multiple-providers', data: { providers: providerNames.join(', ') }, lang: appState.lang, log }))
+			}
+			batchProvider = await getProvider(providerNames[0] ?? defaultProviderName)
+			if (typeof batchProvider.translationProvider.submitBatch !== 'function') {
+				throw new Error(localizeFormatted({ token: 'error-provider-no-batch-support', data: { providerName: batchProvider.providerName }, lang: appState.lang, log }))
+			}
+		}
 
 		const workQueue = []
 		const errors = appState.errors
 
-		// Process each language
-		for (const targetLang of targetLanguages) {
-			log.D(`Processing language ${targetLang}...`)
-			const outputFilePath = normalizeOutputPath({
-				dir: outputDir,
-				filename: `${targetLang}.json`,
-				normalize: normalizeOutputFilenames
-			})
-			log.D(`outputFilePath=${outputFilePath}`)
-
-			// Read existing output data
-			let outputData = normalizeData(await readJsonFile(outputFilePath)) || {}
-			let outputFileDidNotExist = false
-			if (!outputData) {
-				outputFileDidNotExist = true
-			}
+		// Process each reference file's languages; all of their keys share one work queue
+		for (const reference of references) {
+			const { namespace, referenceFile, referenceHash, outputFilePaths } = reference
+			log.D(`Processing reference file ${referenceFile}...`)
 
-			// Initialize language in cache if it doesn't exist
-			if (!writableCache.state[targetLang]) {
-				log.V(`target language ${targetLang} not in cache; update needed...`)
-				writableCache.state[targetLang] = { keyHashes: {} }
-			}
+			// Each reference file's keys are cached under its own namespace, if there's more than one
+			const readOnlyNamespaceCache = getNamespaceCache(readOnlyCache, namespace)
+			const namespaceCache = getNamespaceCache(writableCache, namespace)
 
-			let keysToProcess = options.keys?.length
-				? options.keys
-				: Object.keys(referenceData)
-
-			const contextPrefix = options.contextPrefix ?? config.contextPrefix
-			const contextSuffix = options.contextSuffix ?? config.contextSuffix
-
-			if (addContextToTranslation) {
-				keysToProcess = keysToProcess
-					.filter(key => !isContextKey({
-						appLang: appState.lang,
-						key,
-						contextPrefix,
-						contextSuffix,
-						log
-					}))
+			const referenceChanged = referenceHash !== readOnlyNamespaceCache.referenceHash
+			if (referenceChanged) {
+				log.V(`Reference file ${referenceFile} has changed since last run`)
 			}
-
-			log.T(`keys to process: ${keysToProcess.join(',')}`)
-			for (const key of keysToProcess) {
-				const contextKey = formatContextKeyFromKey({
-					key,
-					prefix: contextPrefix,
-					suffix: contextSuffix
-				})
-				log.T(`contextKey=${contextKey}`)
-				const storedHashForReferenceValue = readOnlyCache?.referenceKeyHashes?.[targetLang]?.[key]	// See https://github.com/drone1/alt/issues/1
-				const storedHashForTargetLangAndValue = readOnlyCache.state[targetLang]?.keyHashes?.[key]
-				const refValue = referenceData[key]
-				const refContextValue = (contextKey in referenceData) ? referenceData[contextKey] : null
-				const referenceValueHash = calculateHash(`${refValue}${refContextValue?.length ? `_${refContextValue}` : ''}`)	// If either of the ref value or the context value change, we'll update
-				const curValue = (key in outputData) ? outputData[key] : null
-
-				// Skip non-string values (objects, arrays, etc.)
-				const refValueType = typeof refValue
-				if (refValueType !== 'string') {
-					if (refValueType === 'undefined') {
-						// This can happen if a user specifies a key explicitly via --keys
-						errors.push(
-							localizeFormatted({
-								token: 'error-value-not-in-reference-data',
-								data: { key },
-								lang: appState.lang,
-								log
-							})
-						)
-					} else {
-						errors.push(
-							localizeFormatted({
-								token: 'error-value-not-a-string',
-								data: { key, type: refValueType },
-								lang: appState.lang,
-								log
-							})
-						)
-					}
-					continue
+			namespaceCache.referenceHash = referenceHash
+
+			for (const targetLang of targetLanguages) {
+				log.D(`Processing language ${targetLang}...`)
+				const providerChain = providerChains[targetLang]
+				const outputFilePath = outputFilePaths[targetLang]
+				log.D(`outputFilePath=${outputFilePath}`)
+
+				// Read existing output data
+				let outputData = await readOutputFile(outputFilePath, outputFormatName, targetLang) || {}
+				let outputFileDidNotExist = false
+				if (!outputData) {
+					outputFileDidNotExist = true
 				}
 
-				const currentValueHash = curValue?.length ? calculateHash(curValue) : null
-
-				// Check if translation needs update
-				const missingOutputKey = curValue === null
-				const missingOutputValueHash = storedHashForTargetLangAndValue === null
-
-				// Calculate reference value hash and compare with stored hash
-				const userMissingReferenceValueHash = !storedHashForReferenceValue?.length
-				const userModifiedReferenceValue = Boolean(referenceValueHash) && Boolean(storedHashForReferenceValue) && referenceValueHash !== storedHashForReferenceValue
-				const userModifiedTargetValue = Boolean(storedHashForTargetLangAndValue) && Boolean(currentValueHash) && currentValueHash !== storedHashForTargetLangAndValue
-
-				log.D(`Reference key: "${key}"`)
-				log.D('storedHashForReferenceValue', storedHashForReferenceValue)
-				log.D('referenceValueHash ', referenceValueHash)
-				log.D('userMissingReferenceValueHash', userMissingReferenceValueHash)
-				log.D('userModifiedReferenceValue', userModifiedReferenceValue)
-				log.D('curValue', curValue)
-				log.D('currentValueHash', currentValueHash)
-				log.D('storedHashForTargetLangAndValue', storedHashForTargetLangAndValue)
-				log.D('userModifiedTargetValue ', userModifiedTargetValue)
-
-				// Map reason key => true/false
-				const possibleReasonsForTranslationMap = {
-					forced: options.force,
-					outputFileDidNotExist,
-					userMissingReferenceValueHash,
-					userModifiedReferenceValue,
-					missingOutputKey,
-					missingOutputValueHash
+				// Initialize language in cache if it doesn't exist
+				if (!namespaceCache.state[targetLang]) {
+					log.V(`target language ${targetLang} not in cache; update needed...`)
+					namespaceCache.state[targetLang] = { keyHashes: {} }
 				}
-				log.D(`possibleReasonsForTranslationMap`, possibleReasonsForTranslationMap)
-
-				// Filter out keys which are not true
-				let reasonsForTranslationMap = {}
-				let needsTranslation = false
-				Object.keys(possibleReasonsForTranslationMap)
-					.forEach(k => {
-						if (possibleReasonsForTranslationMap[k]) {
-							reasonsForTranslationMap[k] = true
-							needsTranslation = true
-						}
-					})
-				log.D(`reasonsForTranslationMap`, reasonsForTranslationMap)
-
-				if (needsTranslation && !userModifiedTargetValue) {
-					log.D(`Translation needed for ${targetLang}/${key}...`)
-					if (reasonsForTranslationMap.forced) log.D(`Forcing update...`)
-					if (reasonsForTranslationMap.missingOutputKey) log.D(`No "${key}" in output data...`)
-					if (!reasonsForTranslationMap.storedHashForTargetLangAndValue) log.D(`Hash was not found in storage...`)
-
-					const newTask = {
-						key,
-						sourceLang: referenceLanguage,
-						targetLang,
-						reasonsForTranslationMap,
-						outputData,
-						outputFilePath,
-						writableCache,
-						cacheFilePath,
-						state: {
-							translationProvider,
-							apiKey,
-							appContextMessage,
-							storedHashForReferenceValue,
-							refValue,
-							refContextValue,
-							referenceValueHash,
-							userMissingReferenceValueHash,
-							userModifiedReferenceValue,
-							curValue,
-							currentValueHash,
-							storedHashForTargetLangAndValue
+
+				const keysToProcess = getProjectKeys({ appState, project, reference, keys: options.keys, targetLang, log })
+
+				log.T(`keys to process: ${keysToProcess.join(',')}`)
+				for (const key of keysToProcess) {
+					const { outputKeyPath, refValue, refContextValue, maxLength, referenceValueHash } = getReferenceKeyInfo({ project, reference, key, log })
+					const storedHashForReferenceValue = readOnlyNamespaceCache?.referenceKeyHashes?.[targetLang]?.[key]	// See https://github.com/drone1/alt/issues/1
+					const storedHashForTargetLangAndValue = readOnlyNamespaceCache.state[targetLang]?.keyHashes?.[key]
+					const curValue = getValueAtKeyPath(outputData, outputKeyPath) ?? null
+
+					// Skip non-string values (objects, arrays, etc.)
+					const refValueType = typeof refValue
+					if (refValueType !== 'string') {
+						if (refValueType === 'undefined') {
+							// This can happen if a user specifies a key explicitly via --keys
+							errors.push(
+								localizeFormatted({
+									token: 'error-value-not-in-reference-data',
+									data: { key },
+									lang: appState.lang,
+									log
+								})
+							)
+						} else {
+							errors.push(
+								localizeFormatted({
+									token: 'error-value-not-a-string',
+									data: { key, type: refValueType },
+									lang: appState.lang,
+									log
+								})
+							)
 						}
+						continue
 					}
 
-					workQueue.push(newTask)
-				} else {
-					if (userModifiedTargetValue) log.D(`User modified target value: hashes differ (${currentValueHash} / ${storedHashForTargetLangAndValue})...`)
-					log.V(`[${targetLang}] ${key} no translation needed.`)
-				}
-			}
-		}
-
-		let totalTasks = workQueue.length
-		let errorsEncountered = 0
-		for (const taskInfoIdx in workQueue) {
-			const taskInfo = workQueue[taskInfoIdx]
-			log.T(taskInfo)
-			const progress = 100 * Math.floor(100 * taskInfoIdx / totalTasks) / 100
-
-			await new Listr([
-				{
-					title: localizeFormatted({
-						token: 'msg-processing-lang-and-key',
-						data: { progress, targetLang: taskInfo.targetLang, key: taskInfo.key },
-						lang: appState.lang,
-						log
-					}),
-					task: async (ctx, task) => {
-						return task.newListr([
-							{
-								title: localize({ token: 'msg-translating', lang: appState.lang, log }),
-								task: async (_, task) => {
-									const translationResult = await processTranslationTask({
-										appState, taskInfo, listrTask: task, options, log
-									})
-
-									if (translationResult.error) {
-										++errorsEncountered
-										throw new Error(translationResult.error)
-									}
-
-									// NOTE: Perhaps not needed anymore?
-									// This will allow the app to shut down with non-tty/non-simple rendering, where rendering can fall far behind, if all keys are already processed and Promises are resolving
-									// immediately but rendering is far behind
-									await sleep(1)
-								},
-								concurrent: false, // Process languages one by one
-								rendererOptions: { collapse: false, clearOutput: false },
-								exitOnError: false
+					const currentValueHash = curValue?.length ? calculateHash(curValue) : null
+
+					// Check if translation needs update
+					const missingOutputKey = curValue === null
+					const missingOutputValueHash = storedHashForTargetLangAndValue === null
+
+					// Calculate reference value hash and compare with stored hash
+					const userMissingReferenceValueHash = !storedHashForReferenceValue?.length
+					const userModifiedReferenceValue = Boolean(referenceValueHash) && Boolean(storedHashForReferenceValue) && referenceValueHash !== storedHashForReferenceValue
+					const userModifiedTargetValue = Boolean(storedHashForTargetLangAndValue) && Boolean(currentValueHash) && currentValueHash !== storedHashForTargetLangAndValue
+
+					log.D(`Reference key: "${key}"`)
+					log.D('storedHashForReferenceValue', storedHashForReferenceValue)
+					log.D('referenceValueHash ', referenceValueHash)
+					log.D('userMissingReferenceValueHash', userMissingReferenceValueHash)
+					log.D('userModifiedReferenceValue', userModifiedReferenceValue)
+					log.D('curValue', curValue)
+					log.D('currentValueHash', currentValueHash)
+					log.D('storedHashForTargetLangAndValue', storedHashForTargetLangAndValue)
+					log.D('userModifiedTargetValue ', userModifiedTargetValue)
+
+					// Map reason key => true/false
+					const possibleReasonsForTranslationMap = {
+						forced: options.force,
+						outputFileDidNotExist,
+						userMissingReferenceValueHash,
+						userModifiedReferenceValue,
+						missingOutputKey,
+						missingOutputValueHash
+					}
+					log.D(`possibleReasonsForTranslationMap`, possibleReasonsForTranslationMap)
+
+					// Filter out keys which are not true
+					let reasonsForTranslationMap = {}
+					let needsTranslation = false
+					Object.keys(possibleReasonsForTranslationMap)
+						.forEach(k => {
+							if (possibleReasonsForTranslationMap[k]) {
+								reasonsForTranslationMap[k] = true
+								needsTranslation = true
+							}
+						})
+					log.D(`reasonsForTranslationMap`, reasonsForTranslationMap)
+
+					if (needsTranslation && !userModifiedTargetValue) {
+						log.D(`Translation needed for ${targetLang}/${key}...`)
+						if (reasonsForTranslationMap.forced) log.D(`Forcing update...`)
+						if (reasonsForTranslationMap.missingOutputKey) log.D(`No "${key}" in output data...`)
+						if (!reasonsForTranslationMap.storedHashForTargetLangAndValue) log.D(`Hash was not found in storage...`)
+
+						const newTask = {
+							namespace,
+							key,
+							displayKey: formatNamespacedKey({ reference, key }),
+							outputKeyPath,
+							sourceLang: referenceLanguage,
+							targetLang,
+							reasonsForTranslationMap,
+							outputData,
+							outputFilePath,
+							outputFormatName,
+							referenceData: reference.referenceData,
+							writableCache,
+							namespaceCache,
+							cacheFilePath,
+							state: {
+								providerChain,
+								appContextMessage,
+								storedHashForReferenceValue,
+								refValue,
+								refContextValue,
+								maxLength,
+								referenceValueHash,
+								userMissingReferenceValueHash,
+								userModifiedReferenceValue,
+								curValue,
+								currentValueHash,
+								storedHashForTargetLangAndValue
 							}
-						])
+						}
+
+						workQueue.push(newTask)
+					} else {
+						if (userModifiedTargetValue) log.D(`User modified target value: hashes differ (${currentValueHash} / ${storedHashForTargetLangAndValue})...`)
+						log.V(`[${targetLang}] ${key} no translation needed.`)
 					}
 				}
-			], {
-				concurrent: false, // Process languages one by one
-				...((options.tty || options.trace || options.debug || options.verbose) ? { renderer: 'simple' } : {}),
-				rendererOptions: { collapse: false, clearOutput: false },
-				registerSignalListeners: true,
-				collapseSubtasks: false
-			}).run()
+			}
 		}
 
-		if (totalTasks > 0) {
-			let str = `[100%] `
-			if (errorsEncountered > 0) {
-				str += localizeFormatted({
-					token: 'msg-finished-with-errors',
-					data: { errorsEncountered, s: errorsEncountered > 1 ? 's' : '' },
-					lang: appState.lang,
-					log
-				})
-			} else {
-				str += `Done`
-			}
-			log.I(`\x1B[38;2;44;190;78m✔\x1B[0m ${str}`)
+		// Tokens used, priced by the config's 'modelPrices' setting, or MODEL_PRICES
+		const usage = createUsage()
+		const modelPrices = project.config.modelPrices ?? {}
+		if (options.resumeBatch) {
+			await applyTranslationBatchResults({ appState, workQueue, pendingBatch, ...batchProvider, writableCache, usage, modelPrices, options, log })
+		} else if (options.batch) {
+			await submitTranslationBatch({ appState, workQueue, ...batchProvider, writableCache, options, log })
 		} else {
-			log.I(`\x1B[38;2;44;190;78m✔\x1B[0m ${localize({ token: 'msg-nothing-to-do', lang: appState.lang, log })}`)
+			await processWorkQueue({ appState, workQueue, usage, modelPrices, options, log })
 		}
+		reportUsage({ appState, usage, cache: writableCache, reportPath: options.usageReport ?? project.config.usageReport, log })
 	} catch (error) {
 		log.E(error)
 		exitCode = 2
@@ -437,9 +297,229 @@ export async function runTranslation({ appState, options, log }) {
 	}
 }
 
+// Translates each task in workQueue in turn, with retries, and reports how it went
+async function processWorkQueue({ appState, workQueue, usage, modelPrices, options, log }) {
+	let totalTasks = workQueue.length
+	let errorsEncountered = 0
+	const overMaxLengthTranslations = []	// [ { targetLang, key, length, maxLength } ] for translations which could not be shortened enough
+	const translationCounts = {}	// Map of provider and model, e.g. 'anthropic (claude-sonnet-4-5)' => number of translations they produced
+	for (const taskInfoIdx in workQueue) {
+		const taskInfo = workQueue[taskInfoIdx]
+		log.T(taskInfo)
+		const progress = 100 * Math.floor(100 * taskInfoIdx / totalTasks) / 100
+
+		await new Listr([
+			{
+				title: localizeFormatted({
+					token: 'msg-processing-lang-and-key',
+					data: { progress, targetLang: taskInfo.targetLang, key: taskInfo.displayKey },
+					lang: appState.lang,
+					log
+				}),
+				task: async (ctx, task) => {
+					return task.newListr([
+						{
+							title: localize({ token: 'msg-translating', lang: appState.lang, log }),
+							task: async (_, task) => {
+								const translationResult = await processTranslationTask({
+									appState, taskInfo, listrTask: task, options, log
+								})
+
+								for (const requestUsage of translationResult.usage) {
+									recordUsage({ usage, modelPrices, targetLang: taskInfo.targetLang, key: taskInfo.displayKey, ...requestUsage })
+								}
+
+								if (translationResult.error) {
+									++errorsEncountered
+									throw new Error(translationResult.error)
+								}
+
+								if (translationResult.producedBy) {
+									const producedByStr = formatProducedBy(translationResult.producedBy)
+									translationCounts[producedByStr] = (translationCounts[producedByStr] ?? 0) + 1
+								}
+
+								if (translationResult.overMaxLength) {
+									overMaxLengthTranslations.push({ targetLang: taskInfo.targetLang, key: taskInfo.displayKey, ...translationResult.overMaxLength })
+								}
+
+								// NOTE: Perhaps not needed anymore?
+								// This will allow the app to shut down with non-tty/non-simple rendering, where rendering can fall far behind, if all keys are already processed and Promises are resolving
+								// immediately but rendering is far behind
+								await sleep(1)
+							},
+							concurrent: false, // Process languages one by one
+							rendererOptions: { collapse: false, clearOutput: false },
+							exitOnError: false
+						}
+					])
+				}
+			}
+		], {
+			concurrent: false, // Process languages one by one
+			...((options.tty || options.trace || options.debug || options.verbose) ? { renderer: 'simple' } : {}),
+			rendererOptions: { collapse: false, clearOutput: false },
+			registerSignalListeners: true,
+			collapseSubtasks: false
+		}).run()
+	}
+
+	if (totalTasks > 0) {
+		let str = `[100%] `
+		if (errorsEncountered > 0) {
+			str += localizeFormatted({
+				token: 'msg-finished-with-errors',
+				data: { errorsEncountered, s: errorsEncountered > 1 ? 's' : '' },
+				lang: appState.lang,
+				log
+			})
+		} else {
+			str += `Done`
+		}
+		log.I(`\x1B[38;2;44;190;78m✔\x1B[0m ${str}`)
+
+		if (Object.keys(translationCounts).length) {
+			log.I(localizeFormatted({
+				token: 'msg-translations-by-provider',
+				data: { providers: Object.entries(translationCounts).map(([ producedByStr, count ]) => `${producedByStr}: ${count}`).join(', ') },
+				lang: appState.lang,
+				log
+			}))
+		}
+
+		logOverMaxLengthTranslations({ appState, overMaxLengthTranslations, log })
+	} else {
+		log.I(`\x1B[38;2;44;190;78m✔\x1B[0m ${localize({ token: 'msg-nothing-to-do', lang: appState.lang, log })}`)
+	}
+}
+
+// Submits every task in workQueue to the provider as one batch, to be translated asynchronously, and notes the batch in
+// the cache, for a later run with --resume-batch to apply its results
+async function submitTranslationBatch({ appState, workQueue, translationProvider, apiKey, providerSettings, providerName, writableCache, options, log }) {
+	const requests = []
+	const batchRequests = {}	// Map of request ID => { namespace, targetLang, key, referenceValueHash, model }
+	for (const [ idx, taskInfo ] of workQueue.entries()) {
+		const { namespace, key, sourceLang, targetLang, state } = taskInfo
+		if (sourceLang === targetLang) {
+			log.D(`Using reference value since source & target language are the same`)
+			await applyTranslation({ appState, taskInfo, newValue: state.refValue, producedBy: null, options, log })
+			continue
+		}
+
+		const id = `task-${idx}`
+		requests.push({
+			id,
+			model: getModel({ appState, translationProvider, providerSettings, model: state.providerChain.providers[0].model, log }),
+			messages: getPromptMessages({
+				sourceLang,
+				targetLang,
+				appContextMessage: state.appContextMessage,
+				context: state.refContextValue,
+				maxLength: state.maxLength,
+				text: state.refValue,
+				rejectedAttempt: null,
+				log
+			})
+		})
+		batchRequests[id] = { namespace, targetLang, key, referenceValueHash: state.referenceValueHash, model: requests.at(-1).model }
+	}
+
+	if (!requests.length) {
+		log.I(`\x1B[38;2;44;190;78m✔\x1B[0m ${localize({ token: 'msg-nothing-to-do', lang: appState.lang, log })}`)
+		return
+	}
+
+	const batchId = await translationProvider.submitBatch({ requests, apiKey, settings: providerSettings, log })
+	writableCache.batch = {
+		id: batchId,
+		provider: providerName,
+		submitted: new Date().toISOString(),
+		requests: batchRequests
+	}
+	log.I(localizeFormatted({ token: 'msg-batch-submitted', data: { id: batchId, count: requests.length }, lang: appState.lang, log }))
+}
+
+// Applies the results of the batch noted in the cache, if it has ended, to the tasks in workQueue which it translated.
+// Results which fail validation are reported, and left for the next run to translate.
+async function applyTranslationBatchResults({ appState, workQueue, pendingBatch, translationProvider, apiKey, providerSettings, writableCache, usage, modelPrices, options, log }) {
+	const { status, results, usage: batchUsage } = await translationProvider.getBatchResults({ batchId: pendingBatch.id, apiKey, settings: providerSettings, log })
+	if (!results) {
+		log.I(localizeFormatted({ token: 'msg-batch-pending', data: { id: pendingBatch.id, status }, lang: appState.lang, log }))
+		return
+	}
+
+	const errors = appState.errors
+	const overMaxLengthTranslations = []
+	let appliedCount = 0
+	for (const [ id, { namespace, targetLang, key, referenceValueHash, model } ] of Object.entries(pendingBatch.requests)) {
+		// Skip keys which no longer need translating, or whose reference value changed since the batch was submitted
+		const taskInfo = workQueue.find(t => t.namespace === namespace && t.targetLang === targetLang && t.key === key)
+
+		// Every request in the batch was paid for, whether or not its translation is used
+		if (batchUsage?.[id]) {
+			recordUsage({ usage, modelPrices, targetLang, key: taskInfo?.displayKey ?? key, provider: pendingBatch.provider, model, ...batchUsage[id], batch: true })
+		}
+
+		if (taskInfo?.state.referenceValueHash !== referenceValueHash) {
+			log.V(`[${targetLang}] Skipping the batch's translation of "${key}", which is out of date`)
+			continue
+		}
+
+		const translated = results[id]
+		const { displayKey, state: { refValue, maxLength } } = taskInfo
+		if (!translated?.length) {
+			errors.push(localizeFormatted({ token: 'error-batch-translation-failed', data: { targetLang, key: displayKey }, lang: appState.lang, log }))
+			continue
+		}
+
+		// Over-length translations can't be retried here, so are kept and reported, as when retries run out
+		const checkPreamble = isPreambleCheckNeeded({ translationProvider, providerSettings })
+		const problem = getTranslationProblem({ refValue, translated, targetLang, maxLength, checkPreamble })
+		if (problem && problem.token !== 'error-translation-too-long') {
+			errors.push(localizeFormatted({
+				token: 'error-batch-translation-rejected',
+				data: { targetLang, key: displayKey, problem: localizeFormatted({ ...problem, lang: appState.lang, log }) },
+				lang: appState.lang,
+				log
+			}))
+			continue
+		}
+		if (problem) overMaxLengthTranslations.push({ targetLang, key: displayKey, ...problem.data })
+
+		log.D(`[${targetLang}] Applying the batch's translation of "${key}": ${translated}`)
+		await applyTranslation({ appState, taskInfo, newValue: translated, producedBy: { provider: pendingBatch.provider, model }, options, log })
+		++appliedCount
+	}
+
+	delete writableCache.batch
+	log.I(localizeFormatted({ token: 'msg-batch-applied', data: { id: pendingBatch.id, count: appliedCount, total: Object.keys(pendingBatch.requests).length }, lang: appState.lang, log }))
+	logOverMaxLengthTranslations({ appState, overMaxLengthTranslations, log })
+}
+
+// Returns a translation's provider and model, { provider, model }, for display, e.g. 'anthropic (claude-sonnet-4-5)'
+function formatProducedBy({ provider, model }) {
+	return model ? `${provider} (${model})` : provider
+}
+
+// Warns about translations which are still longer than their maximum length, [ { targetLang, key, length, maxLength } ]
+function logOverMaxLengthTranslations({ appState, overMaxLengthTranslations, log }) {
+	if (!overMaxLengthTranslations.length) return
+
+	log.W(localizeFormatted({
+		token: 'msg-translations-over-max-length',
+		data: {
+			count: overMaxLengthTranslations.length,
+			translations: overMaxLengthTranslations
+				.map(({ targetLang, key, length, maxLength }) => `[${targetLang}] ${key} (${length}/${maxLength})`)
+				.join(', ')
+		},
+		lang: appState.lang,
+		log
+	}))
+}
+
 export async function processTranslationTask({ appState, taskInfo, listrTask, options, log }) {
-	const { key, sourceLang, targetLang, reasonsForTranslationMap, outputData, outputFilePath, writableCache, cacheFilePath, state } = taskInfo
-	const { referenceValueHash } = state
+	const { key, sourceLang, targetLang, reasonsForTranslationMap, state } = taskInfo
 
 	listrTask.output = Object.keys(reasonsForTranslationMap)
 		.map(k => localize({ token: `msg-translation-reason-${k}`, lang: appState.lang, log }))
@@ -449,6 +529,9 @@ export async function processTranslationTask({ appState, taskInfo, listrTask, op
 		success,
 		translated,
 		newValue,
+		producedBy,
+		overMaxLength,
+		usage,
 		error
 	} = await translateKeyForLanguage({
 		appState,
@@ -461,33 +544,10 @@ export async function processTranslationTask({ appState, taskInfo, listrTask, op
 		log
 	})
 
-	let outputDataModified = false
-
 	if (success) {
 		if (translated) {
-			outputDataModified = true
-			outputData[key] = newValue
-
-			// Write real-time translation updates
-			if (options.realtimeWrites) {
-				await writeJsonFile(outputFilePath, outputData, log)
-				log.V(`Wrote ${outputFilePath}`)
-			}
-
-			const hashForTranslated = calculateHash(newValue)
-			log.D(`Updating hash for translated ${targetLang}.${key}: ${hashForTranslated}`)
-			writableCache.state[targetLang].keyHashes[key] = hashForTranslated
+			await applyTranslation({ appState, taskInfo, newValue, producedBy, options, log })
 			listrTask.output = localizeFormatted({ token: 'msg-show-translation-result', data: { key, newValue }, lang: appState.lang, log })
-
-			// Update the hash for the reference key, so we can monitor if the user changed a specific key
-			writableCache.referenceKeyHashes[targetLang] = writableCache.referenceKeyHashes[targetLang] || {}
-			writableCache.referenceKeyHashes[targetLang][key] = referenceValueHash
-
-			// Update state file every time, in case the user kills the process
-			if (options.realtimeWrites) {
-				await writeJsonFile(cacheFilePath, writableCache, log)
-				log.V(`Wrote ${cacheFilePath}`)
-			}
 		} else {
 			log.V(`Keeping existing translation and hash for ${targetLang}/${key}...`)
 
@@ -496,14 +556,68 @@ export async function processTranslationTask({ appState, taskInfo, listrTask, op
 		}
 	}
 
-	log.D('realtimeWrites', options.realtimeWrites)
-	log.D(outputDataModified)
-	if (!options.realtimeWrites && outputDataModified && !(outputFilePath in appState.filesToWrite)) {
+	return { error, producedBy: translated ? producedBy : null, overMaxLength, usage }
+}
+
+// Sets a task's key to its new translation in the output data, and updates the cache to match, noting which provider and
+// model, producedBy ({ provider, model }), produced it, if any did
+async function applyTranslation({ appState, taskInfo, newValue, producedBy, options, log }) {
+	const { key, outputKeyPath, targetLang, outputData, outputFilePath, outputFormatName, referenceData, writableCache, namespaceCache, cacheFilePath, state } = taskInfo
+	const { referenceValueHash } = state
+
+	setValueAtKeyPath(outputData, outputKeyPath, newValue)
+	setNeedsReview(outputData, outputKeyPath, true)
+
+	// Write real-time translation updates
+	if (options.realtimeWrites) {
+		await writeOutputFile(outputFilePath, outputData, outputFormatName, targetLang, log, referenceData)
+		log.V(`Wrote ${outputFilePath}`)
+	}
+
+	const hashForTranslated = calculateHash(newValue)
+	log.D(`Updating hash for translated ${targetLang}.${key}: ${hashForTranslated}`)
+	namespaceCache.state[targetLang].keyHashes[key] = hashForTranslated
+
+	// Update the hash for the reference key, so we can monitor if the user changed a specific key
+	namespaceCache.referenceKeyHashes[targetLang] = namespaceCache.referenceKeyHashes[targetLang] || {}
+	namespaceCache.referenceKeyHashes[targetLang][key] = referenceValueHash
+	setKeyProducedBy({ cache: namespaceCache, targetLang, key, producedBy })
+
+	// Update state file every time, in case the user kills the process
+	if (options.realtimeWrites) {
+		await writeJsonFile(cacheFilePath, writableCache, log)
+		log.V(`Wrote ${cacheFilePath}`)
+	} else {
 		log.D(`Noting write-on-quit needed for ${outputFilePath}...`)
-		appState.filesToWrite[outputFilePath] = outputData
+		addFileToWrite({ appState, filePath: outputFilePath, data: outputData, formatName: outputFormatName, lang: targetLang, referenceData })
 	}
+}
 
-	return { error }
+// Switches providerChain to the next of its fallback providers, loading it if it hasn't been yet. Fallback providers which
+// can't be loaded, e.g. for want of an API key, are skipped. Returns whether there was one to switch to.
+async function switchToFallbackProvider({ appState, targetLang, providerChain, log }) {
+	for (let index = providerChain.index + 1; index < providerChain.providers.length; ++index) {
+		const fallback = providerChain.providers[index]
+		if (fallback.loadFailed) continue
+		if (!fallback.translationProvider) {
+			try {
+				Object.assign(fallback, await providerChain.getProvider(fallback.providerName))
+			} catch (error) {
+				fallback.loadFailed = true
+				log.W(localizeFormatted({
+					token: 'msg-skipping-fallback-provider',
+					data: { targetLang, providerName: fallback.providerName, error: error.message },
+					lang: appState.lang,
+					log
+				}))
+				continue
+			}
+		}
+		providerChain.index = index
+		providerChain.failures = 0
+		return true
+	}
+	return false
 }
 
 async function translateKeyForLanguage({
@@ -513,45 +627,71 @@ async function translateKeyForLanguage({
 																				 targetLang,
 																				 state,
 																				 key,
-																				 options: { maxRetries, model },
+																				 options: { maxRetries },
 																				 log
 																			 }) {
-	const { translationProvider, apiKey, appContextMessage, refValue, refContextValue } = state
-	const result = { success: false, translated: false, newValue: null, error: null }
-
-	const providerName = translationProvider.name().toLowerCase()
-	model = model ?? DEFAULT_LLM_MODELS[providerName]
-	if (!model?.length) {
-		throw new Error(
-			localizeFormatted({ token: 'error-invalid-llm-model', data: { model }, lang: appState.lang, log })
-		)
-	}
+	const { providerChain, appContextMessage, refValue, refContextValue, maxLength } = state
+	const result = { success: false, translated: false, newValue: null, producedBy: null, overMaxLength: null, usage: [], error: null }
 
 	// Call translation provider
 	log.D(`[${targetLang}] Translating "${key}"...`)
 	listrTask.output = localizeFormatted({ token: 'msg-translating-key', data: { key }, lang: appState.lang, log })
 
 	let newValue
+	let rejectedAttempt = null	// { translated, problem } for the last translation which failed validation, if any
+	let shortestOverMaxLengthValue = null	// The shortest translation which was valid, except for being too long
+	let shortestOverMaxLengthProducedBy = null
 
 	for (let attempt = 0; !newValue?.length && attempt <= maxRetries; ++attempt) {
 		const attemptStr = attempt > 0 ? ` [Attempt: ${attempt + 1}]` : ''
 		log.D(`[translate] attempt=${attempt}`)
 
+		const { providerName, translationProvider, apiKey, providerSettings, model: chainModel } = providerChain.providers[providerChain.index]
+		const model = getModel({ appState, translationProvider, providerSettings, model: chainModel, log })
+		const producedBy = sourceLang === targetLang ? null : { provider: providerName, ...(model ? { model } : {}) }
+
 		const translateResult = await translate({
 			appState,
 			listrTask,
 			provider: translationProvider,
 			text: refValue,
 			context: refContextValue,
+			maxLength,
 			sourceLang,
 			targetLang,
 			appContextMessage,
 			apiKey,
+			providerSettings,
 			model,
 			maxRetries: maxRetries,
 			attemptStr,
+			rejectedAttempt,
 			log
 		})
+		if (translateResult.usage) {
+			result.usage.push({ provider: providerName, model, ...translateResult.usage })
+		}
+
+		// A provider which keeps failing, across keys, is switched for the next fallback provider, if any, which gets its own
+		// retries
+		if (translateResult.translated?.length) {
+			providerChain.failures = 0
+		} else if (++providerChain.failures >= providerChain.fallbackAfterFailures && await switchToFallbackProvider({ appState, targetLang, providerChain, log })) {
+			const next = providerChain.providers[providerChain.index]
+			log.W(localizeFormatted({
+				token: 'msg-switching-to-fallback-provider',
+				data: {
+					targetLang,
+					from: formatProducedBy(producedBy ?? { provider: providerName }),
+					failures: providerChain.fallbackAfterFailures,
+					to: formatProducedBy({ provider: next.providerName, model: next.model })
+				},
+				lang: appState.lang,
+				log
+			}))
+			attempt = -1
+			continue
+		}
 
 		const { backoffInterval } = translateResult
 		if (backoffInterval > 0) {
@@ -565,15 +705,53 @@ async function translateKeyForLanguage({
 				await sleep(backoffInterval)
 			}
 		} else {
-			newValue = translateResult.translated
-			result.success = true
+			const checkPreamble = isPreambleCheckNeeded({ translationProvider, providerSettings })
+			const problem = translateResult.malformed
+				? { token: 'error-malformed-response', data: {} }
+				: translateResult.translated?.length
+					? getTranslationProblem({ refValue, translated: translateResult.translated, targetLang, maxLength, checkPreamble })
+					: null
+			if (problem?.token === 'error-translation-too-long'
+				&& (!shortestOverMaxLengthValue || problem.data.length < getTextLength(shortestOverMaxLengthValue))) {
+				shortestOverMaxLengthValue = translateResult.translated
+				shortestOverMaxLengthProducedBy = producedBy
+			}
+			if (problem) {
+				// Retry, telling the AI what was wrong with this attempt
+				const problemStr = localizeFormatted({ ...problem, lang: appState.lang, log })
+				log.W(localizeFormatted({ token: 'msg-translation-rejected', data: { targetLang, key, problem: problemStr }, lang: appState.lang, log }))
+				listrTask.output = problemStr
+				rejectedAttempt = { translated: translateResult.translated, problem }
+
+				// Machine translation can't be told what was wrong, and would give the same translation again
+				if (isTextTranslationProvider(translationProvider)) break
+			} else {
+				newValue = translateResult.translated
+				result.producedBy = producedBy
+				result.success = true
+			}
 		}
 	}
 
+	// A translation which is only too long is better than none; it's reported at the end of the run instead
+	if (!newValue?.length && shortestOverMaxLengthValue) {
+		newValue = shortestOverMaxLengthValue
+		result.producedBy = shortestOverMaxLengthProducedBy
+		result.success = true
+		result.overMaxLength = { length: getTextLength(newValue), maxLength }
+	}
+
 	if (newValue?.length) {
 		log.D('translated text', newValue)
 		result.translated = true
 		result.newValue = newValue
+	} else if (rejectedAttempt) {
+		result.error = localizeFormatted({
+			token: 'error-translation-rejected',
+			data: { targetLang, key, problem: localizeFormatted({ ...rejectedAttempt.problem, lang: appState.lang, log }) },
+			lang: appState.lang,
+			log
+		})
 	} else {
 		result.error = localizeFormatted({ token: 'error-translation-failed', data: { targetLang, key, refValue }, lang: appState.lang, log })
 	}
@@ -581,6 +759,67 @@ async function translateKeyForLanguage({
 	return result
 }
 
+// Returns the model to use: model (from --model or a route), the provider's 'model' setting, or the provider's default
+function getModel({ appState, translationProvider, providerSettings, model, log }) {
+	model = model ?? getDefaultModel(translationProvider, providerSettings)
+	// Machine translation providers don't need a model, though some can use one
+	if (!model?.length && !isTextTranslationProvider(translationProvider)) {
+		throw new Error(
+			localizeFormatted({ token: 'error-invalid-llm-model', data: { model }, lang: appState.lang, log })
+		)
+	}
+	return model
+}
+
+// Returns whether a provider's translations should be checked for preambles and the like, i.e. it's chat-based, and its
+// responses aren't structured
+function isPreambleCheckNeeded({ translationProvider, providerSettings }) {
+	return !isTextTranslationProvider(translationProvider) && !translationProvider.usesStructuredOutput?.(providerSettings)
+}
+
+// Like validateTranslation(), but also checks for a preamble, if checkPreamble is set, and translated's length against
+// maxLength, if any, in which case the problem is { token: 'error-translation-too-long', data: { length, maxLength } }
+function getTranslationProblem({ refValue, translated, targetLang, maxLength, checkPreamble }) {
+	const problem = validateTranslation({ refValue, translated, targetLang })
+	if (problem) return problem
+
+	const preamble = checkPreamble ? findPreamble({ refValue, translated }) : null
+	if (preamble) return { token: 'error-translation-has-preamble', data: { preamble } }
+	if (!maxLength) return null
+
+	const length = getTextLength(translated)
+	return length > maxLength ? { token: 'error-translation-too-long', data: { length, maxLength } } : null
+}
+
+// Returns { token, data } describing why translated is not an acceptable translation of refValue, or null if it is
+function validateTranslation({ refValue, translated, targetLang }) {
+	// An ICU message's arguments are checked as part of the message, so its '{name}' arguments aren't checked as placeholders
+	const isIcuMessage = isComplexIcuMessage(refValue)
+	if (isIcuMessage) {
+		const problem = validateIcuTranslation({ reference: refValue, translation: translated, targetLang })
+		if (problem) return problem
+	}
+	if (hasMarkup(refValue)) {
+		const problem = validateMarkup({ reference: refValue, translation: translated, exactCounts: !isIcuMessage })
+		if (problem) return problem
+	}
+	return validatePlaceholders({ reference: refValue, translation: translated, singleBraces: !isIcuMessage })
+}
+
+// Asks for an ICU message's syntax to be kept, and for the plural categories the target language needs, which may not be
+// those of the reference language, e.g. Polish needs 'few' and 'many' as well as English's 'one' and 'other'
+function getIcuPromptMessage({ text, targetLang }) {
+	const lines = [
+		`The text is an ICU MessageFormat message. Keep its syntax, argument names and select keywords exactly as they are, and only translate the text within it.`
+	]
+	for (const { name, argType, categories } of getIcuPluralArguments(text, targetLang)) {
+		if (categories?.length) {
+			lines.push(`For the ${argType} argument "${name}", write exactly these plural categories for ${targetLang}: ${categories.join(', ')}, and keep any explicit =N cases.`)
+		}
+	}
+	return lines.join(' ')
+}
+
 async function translate({
 													 appState,
 													 listrTask,
@@ -588,22 +827,25 @@ async function translate({
 													 appContextMessage,
 													 text,
 													 context,
+													 maxLength,
 													 sourceLang,
 													 targetLang,
 													 apiKey,
+													 providerSettings,
 													 model,
 													 attemptStr,
+													 rejectedAttempt,
 													 log
 												 }) {
 	log.D(`[translate] sourceLang=${sourceLang}; targetLang=${targetLang}; text=${text}`)
-	const result = { translated: null, backoffInterval: 0 }
+	const result = { translated: null, malformed: false, usage: null, backoffInterval: 0 }
 
 	if (sourceLang === targetLang) {
 		log.D(`Using reference value since source & target language are the same`)
 		result.translated = text
 	} else {
 		await translateTextViaProvider({
-			appState, provider, listrTask, sourceLang, targetLang, appContextMessage, context, text, log, apiKey, model, attemptStr, providerName: provider.name(), outResult: result
+			appState, provider, listrTask, sourceLang, targetLang, appContextMessage, context, maxLength, text, log, apiKey, providerSettings, model, attemptStr, rejectedAttempt, providerName: provider.name(), outResult: result
 		})
 	}
 
@@ -612,6 +854,46 @@ async function translate({
 	return result
 }
 
+// Returns the prompt for a chat-based provider, as an array of messages
+function getPromptMessages({ sourceLang, targetLang, appContextMessage, context, maxLength, text, rejectedAttempt, log }) {
+	const messages = []
+	messages.push(
+		`You are a professional translator for an application's text from ${sourceLang} to ${targetLang}. `
+		+ `Translate the text accurately without adding explanations or additional content. Only return the text. `
+	)
+	if (appContextMessage?.length) {
+		messages.push(`Here is some high-level information about the application you are translating text for: ${appContextMessage}`)
+	}
+	if (context) {
+		messages.push(`Here is some additional context for the string you are going to translate: ${context}`)
+	}
+	if (maxLength) {
+		messages.push(`The translation must be at most ${maxLength} characters long, as it's shown where space is limited. Prefer shorter words or common abbreviations to going over.`)
+	}
+	const isIcuMessage = isComplexIcuMessage(text)
+	if (isIcuMessage) {
+		messages.push(getIcuPromptMessage({ text, targetLang }))
+	}
+	const placeholders = unique(extractPlaceholders(text, { singleBraces: !isIcuMessage }))
+	if (placeholders.length) {
+		messages.push(`The text contains placeholders which are replaced at runtime. Keep each of them exactly as it is, without translating it: ${placeholders.join(' ')}`)
+	}
+	if (hasMarkup(text)) {
+		messages.push(`The text contains markup tags. Keep every tag, its attributes and their nesting exactly as they are, never translating attribute values like URLs in href attributes, and only translate the text between tags. The tags are: ${getMarkupTags(text).join(' ')}`)
+	}
+	if (rejectedAttempt) {
+		const problem = localizeFormatted({ ...rejectedAttempt.problem, lang: LANGTAG_ENGLISH, log })
+		messages.push(rejectedAttempt.translated === null
+			? `Your previous response was rejected (${problem}).`
+			: `Your previous translation was rejected (${problem}). Here it is, for reference:\n\n${rejectedAttempt.translated}`)
+	}
+	messages.push(
+		`Here we go. Translate the following text from ${sourceLang} to ${targetLang}:`
+		+ `\n\n${text}`
+	)
+	return messages
+}
+
 async function translateTextViaProvider({
 																					appState,
 																					provider,
@@ -620,39 +902,47 @@ async function translateTextViaProvider({
 																					targetLang,
 																					appContextMessage,
 																					context,
+																					maxLength,
 																					text,
 																					log,
 																					apiKey,
+																					providerSettings,
 																					model,
 																					attemptStr,
+																					rejectedAttempt,
 																					providerName,
 																					outResult
 																				}) {
 	try {
+		if (isLocalProvider(provider)) {
+			outResult.translated = await provider.translateText({ text, sourceLang, targetLang, settings: providerSettings, log })
+			return
+		}
+
 		const providerName = provider.name()
 		listrTask.output = localize({ token: 'msg-preparing-endpoint-config', lang: appState.lang, log })
-		const messages = []
-		messages.push(
-			`You are a professional translator for an application's text from ${sourceLang} to ${targetLang}. `
-			+ `Translate the text accurately without adding explanations or additional content. Only return the text. `
-		)
-		if (appContextMessage?.length) {
-			messages.push(`Here is some high-level information about the application you are translating text for: ${appContextMessage}`)
-		}
-		if (context) {
-			messages.push(`Here is some additional context for the string you are going to translate: ${context}`)
+		let requestDetails
+		if (isTextTranslationProvider(provider)) {
+			// Machine translation APIs take the text itself, rather than a prompt
+			requestDetails = provider.getTextTranslationRequestDetails({ text, sourceLang, targetLang, context, appContextMessage, model, apiKey, settings: providerSettings, log })
+		} else {
+			const messages = getPromptMessages({ sourceLang, targetLang, appContextMessage, context, maxLength, text, rejectedAttempt, log })
+			log.D(`prompt: `, messages)
+			requestDetails = provider.getTranslationRequestDetails({ model, messages, apiKey, settings: providerSettings, log })
 		}
-		messages.push(
-			`Here we go. Translate the following text from ${sourceLang} to ${targetLang}:`
-			+ `\n\n${text}`
-		)
-		log.D(`prompt: `, messages)
-		const { url, params, config } = provider.getTranslationRequestDetails({ model, messages, apiKey, log })
+		const { url, params, config } = requestDetails
 		log.T('url: ', url, 'params: ', params, 'config: ', config)
 		listrTask.output = localizeFormatted({ token: 'msg-hitting-provider-endpoint', data: { providerName, attemptStr }, lang: appState.lang, log })
-		const response = await axios.post(url, params, config)
+		const response = await httpPost(url, params, config)
 		log.T('response headers', response.headers)
-		const translated = provider.getResult(response, log)
+		outResult.usage = provider.getUsage?.(response, log) ?? null
+		const translated = provider.getResult(response, log, providerSettings)
+		// A structured response which isn't as expected is rejected, and retried, like an invalid translation
+		if (translated === null) {
+			log.W(`${providerName} response was malformed`)
+			outResult.malformed = true
+			return
+		}
 		if (!translated?.length) throw new Error(`${providerName} translated text to empty string. You may need to top up your credits.`)
 		log.D(`${translated}`)
 		outResult.translated = translated
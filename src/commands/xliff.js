@@ -0,0 +1,192 @@
+import * as path from 'path'
+import { localizeFormatted } from '../localizer/localize.js'
+import { VALID_XLIFF_VERSIONS } from '../lib/consts.js'
+import { readFileAsText, writeFile } from '../lib/io.js'
+import { getValueAtKeyPath, setValueAtKeyPath } from '../lib/key-paths.js'
+import { addFileToWrite, readOutputFile, setNeedsReview } from '../lib/formats.js'
+import {
+	getKeyStatus,
+	getNamespaceCache,
+	KEY_STATUS_MISSING,
+	KEY_STATUS_MODIFIED,
+	KEY_STATUS_OUTDATED,
+	setKeyCacheHashes
+} from '../lib/cache.js'
+import { getProjectKeys, getReferenceKeyInfo, isReferenceKey, loadProject } from '../lib/project.js'
+import {
+	isReviewedUnit,
+	parseXliff,
+	serializeXliff,
+	UNIT_STATE_FINAL,
+	UNIT_STATE_NEEDS_TRANSLATION,
+	UNIT_STATE_TRANSLATED
+} from '../lib/xliff.js'
+import { shutdown } from '../shutdown.js'
+
+function getUnitState(keyStatus) {
+	switch (keyStatus) {
+		case KEY_STATUS_MISSING:
+		case KEY_STATUS_OUTDATED:
+			return UNIT_STATE_NEEDS_TRANSLATION
+		case KEY_STATUS_MODIFIED:
+			return UNIT_STATE_FINAL
+		default:
+			return UNIT_STATE_TRANSLATED
+	}
+}
+
+export async function runExportXliff({ appState, options, log }) {
+	let exitCode = 0
+	try {
+		const version = options.xliffVersion
+		if (!VALID_XLIFF_VERSIONS.includes(version)) {
+			throw new Error(
+				localizeFormatted({
+					token: 'error-unknown-xliff-version',
+					data: { version, versions: VALID_XLIFF_VERSIONS.join(', ') },
+					lang: appState.lang,
+					log
+				})
+			)
+		}
+
+		const project = await loadProject({ appState, options, log })
+		const { references, referenceLanguage, targetLanguages, outputFormatName } = project
+		const xliffDir = path.resolve(options.xliffDir ?? project.outputDir)
+
+		for (const reference of references) {
+			const { namespace, referenceFile, outputFilePaths } = reference
+			const cache = getNamespaceCache(project.cache, namespace)
+
+			for (const targetLang of targetLanguages) {
+				const keys = getProjectKeys({ appState, project, reference, keys: options.keys, targetLang, log })
+				const outputData = await readOutputFile(outputFilePaths[targetLang], outputFormatName, targetLang) || {}
+
+				const units = []
+				for (const key of keys) {
+					const { outputKeyPath, refValue, refContextValue, referenceValueHash } = getReferenceKeyInfo({ project, reference, key, log })
+					if (typeof refValue !== 'string') {
+						log.V(`Skipping "${key}", which is not a string`)
+						continue
+					}
+
+					const curValue = getValueAtKeyPath(outputData, outputKeyPath) ?? null
+					const keyStatus = getKeyStatus({ cache, targetLang, key, curValue, referenceValueHash })
+					log.D(`[${targetLang}] ${key}: ${keyStatus}`)
+					units.push({
+						id: key,
+						source: refValue,
+						target: curValue,
+						state: getUnitState(keyStatus),
+						note: refContextValue
+					})
+				}
+
+				// Each reference file gets its own XLIFF files, named after its namespace, if there's more than one
+				const xliffFilePath = path.resolve(xliffDir, namespace === null ? `${targetLang}.xlf` : `${namespace}.${targetLang}.xlf`)
+				writeFile(xliffFilePath, serializeXliff({
+					version,
+					sourceLang: referenceLanguage,
+					targetLang,
+					original: path.basename(referenceFile),
+					units
+				}), log)
+				log.I(localizeFormatted({ token: 'msg-wrote-xliff-file', data: { file: xliffFilePath, count: units.length }, lang: appState.lang, log }))
+			}
+		}
+	} catch (error) {
+		log.E(error)
+		exitCode = 2
+	}
+
+	await shutdown(appState, false)
+
+	if (exitCode > 0) {
+		process.exit(exitCode)
+	}
+}
+
+export async function runImportXliff({ appState, options, files, log }) {
+	let exitCode = 0
+	try {
+		const project = await loadProject({ appState, options, log })
+		const { references, targetLanguages, outputFormatName, cacheFilePath } = project
+		const errors = appState.errors
+
+		// Clone the cache for writing to
+		const writableCache = JSON.parse(JSON.stringify(project.cache))
+		appState.filesToWrite[cacheFilePath] = { data: writableCache, format: 'json' }
+
+		const outputDataByPath = {}
+		let importedCount = 0
+		for (const file of files) {
+			const text = await readFileAsText(file)
+			const xliffFiles = text === null ? null : parseXliff(text)
+			if (!xliffFiles) {
+				errors.push(localizeFormatted({ token: 'error-xliff-load-failed', data: { file }, lang: appState.lang, log }))
+				continue
+			}
+
+			for (const { targetLang, original, units } of xliffFiles) {
+				if (!targetLanguages.includes(targetLang)) {
+					errors.push(localizeFormatted({ token: 'error-xliff-unknown-target-language', data: { file, targetLang }, lang: appState.lang, log }))
+					continue
+				}
+
+				// With more than one reference file, the <file>'s 'original' attribute says which one it was exported from
+				const reference = references.length === 1 ? references[0] : references.find(r => path.basename(r.referenceFile) === original)
+				if (!reference) {
+					errors.push(localizeFormatted({ token: 'error-xliff-unknown-reference-file', data: { file, original }, lang: appState.lang, log }))
+					continue
+				}
+				const { namespace, outputFilePaths } = reference
+				const namespaceCache = getNamespaceCache(writableCache, namespace)
+
+				const outputFilePath = outputFilePaths[targetLang]
+				if (!outputDataByPath[outputFilePath]) {
+					outputDataByPath[outputFilePath] = await readOutputFile(outputFilePath, outputFormatName, targetLang) || {}
+				}
+				const outputData = outputDataByPath[outputFilePath]
+
+				for (const unit of units) {
+					const key = unit.id
+					if (!isReferenceKey({ project, reference, key, targetLang })) {
+						errors.push(localizeFormatted({ token: 'error-value-not-in-reference-data', data: { key }, lang: appState.lang, log }))
+						continue
+					}
+
+					if (!isReviewedUnit(unit)) {
+						log.V(`[${targetLang}] Skipping "${key}", which has not been translated (state: ${unit.state})`)
+						continue
+					}
+
+					const { outputKeyPath, refValue, referenceValueHash } = getReferenceKeyInfo({ project, reference, key, log })
+					if (unit.source !== refValue) {
+						// Importing would record a translation of an old reference value as being up to date
+						log.W(localizeFormatted({ token: 'msg-xliff-source-changed', data: { key, targetLang }, lang: appState.lang, log }))
+						continue
+					}
+
+					log.D(`[${targetLang}] Importing "${key}": ${unit.target}`)
+					setValueAtKeyPath(outputData, outputKeyPath, unit.target)
+					setNeedsReview(outputData, outputKeyPath, false)
+					setKeyCacheHashes({ cache: namespaceCache, targetLang, key, value: unit.target, referenceValueHash })
+					++importedCount
+				}
+
+				addFileToWrite({ appState, filePath: outputFilePath, data: outputData, formatName: outputFormatName, lang: targetLang, referenceData: reference.referenceData })
+			}
+		}
+
+		log.I(localizeFormatted({ token: 'msg-imported-xliff-units', data: { count: importedCount }, lang: appState.lang, log }))
+	} catch (error) {
+		log.E(error)
+		exitCode = 2
+	}
+
+	await shutdown(appState, false)
+
+	if (exitCode > 0) {
+		process.exit(exitCode)
+	}
+}
@@ -0,0 +1,144 @@
+// Android string resources (res/values/strings.xml). Strings are written as <string>, and plural objects (e.g.
+// { one: '%d file', other: '%d files' }) as <plurals>. Nested keys are written in dotted form, e.g. 'auth.login.title'.
+// Inline markup like <b> or <xliff:g> is kept as-is. Plurals are written with the target language's quantities only, since
+// Android Lint reports unused quantities.
+
+import { getPluralCategoriesForLanguage } from '../lib/icu.js'
+import { isPlainObject, keyPathToString } from '../lib/key-paths.js'
+import { getPluralCategoryContext, isPluralObject, selectPluralForms } from '../lib/plurals.js'
+import { decodeXmlEntities, escapeXml, parseXmlAttributes } from '../lib/xml.js'
+
+export const extension = 'xml'
+export const flat = true
+export const nativePlurals = true
+export const outputPathTemplate = 'values-{lang_android}/{basename}.{ext}'
+
+const TAG_REGEX = /(<\/?[a-zA-Z][\w:.-]*(?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*\s*\/?>)/
+
+// Matches format specifiers like '%s' or '%.2f', and '%%', which is matched so it isn't taken for the start of one. Positional
+// specifiers like '%1$s' aren't matched.
+const FORMAT_SPECIFIER_REGEX = /%%|%(?!\d+\$)[-#+0,(]*\d*(?:\.\d+)?[a-zA-Z]/g
+
+// Decodes the contents of a <string> or <item>, as Android's resource compiler would
+function decodeValue(inner) {
+	// Decode entities outside of markup; CDATA sections are escaped first, so any '<' in them isn't taken for markup
+	let result = inner
+		.replace(/<!\[CDATA\[([\s\S]*?)]]>/g, (match, cdata) => cdata.replace(/&/g, '&amp;').replace(/</g, '&lt;'))
+		.split(TAG_REGEX)
+		.map((s, i) => i % 2 ? s : decodeXmlEntities(s))
+		.join('')
+
+	// Whitespace is collapsed unless the value is quoted
+	const quoted = result.trim().match(/^"([\s\S]*)"$/)
+	result = quoted ? quoted[1] : result.replace(/\s+/g, ' ').trim()
+
+	return result.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (match, c) => {
+		switch (c[0]) {
+			case 'n': return '\n'
+			case 't': return '\t'
+			case 'u': return c.length === 5 ? String.fromCharCode(parseInt(c.substring(1), 16)) : c
+			default: return c	// \' \" \\ \@ \? etc.
+		}
+	})
+}
+
+// Quotes are escaped with backslashes, so element text only needs '&' and '<' escaped
+function escapeText(s) {
+	return s
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+}
+
+function encodeValue(value) {
+	const result = value
+		.split(TAG_REGEX)
+		.map((s, i) => i % 2 ? s : escapeText(s
+			.replace(/\\/g, '\\\\')
+			.replace(/'/g, '\\\'')
+			.replace(/"/g, '\\"')
+			.replace(/\n/g, '\\n')
+			.replace(/\t/g, '\\t')
+		))
+		.join('')
+		.replace(/^([@?])/, '\\$1')	// Otherwise taken for resource references
+
+	// Quote values whose whitespace would otherwise be collapsed
+	return /^\s|\s$|\s\s/.test(value) ? `"${result}"` : result
+}
+
+// Multiple non-positional format specifiers are an aapt error unless the string is marked as not formatted
+function getFormattedAttribute(values) {
+	return values.some(v => (v.match(FORMAT_SPECIFIER_REGEX) ?? []).filter(m => m !== '%%').length > 1) ? ' formatted="false"' : ''
+}
+
+// Returns { data, contextMap } for a strings.xml file. Strings marked translatable="false", and arrays, are skipped. A
+// comment immediately before a string becomes its context.
+export function getReferenceDataFromAndroid(text) {
+	const data = {}
+	const contextMap = {}
+	let comment = null
+	const regex = /<!--([\s\S]*?)-->|<(string-array|integer-array|array)\b[\s\S]*?<\/\2>|<string(?=[\s/>])([^>]*?)\/>|<string(?=[\s>])([^>]*)>([\s\S]*?)<\/string>|<plurals\b([^>]*)>([\s\S]*?)<\/plurals>/g
+	for (const [ , commentText, arrayTag, emptyStringAttributes, stringAttributes, stringInner, pluralsAttributes, pluralsInner ] of text.matchAll(regex)) {
+		if (commentText !== undefined) {
+			comment = commentText.trim()
+			continue
+		}
+
+		const attributes = parseXmlAttributes(emptyStringAttributes ?? stringAttributes ?? pluralsAttributes ?? '')
+		const context = comment
+		comment = null
+		if (arrayTag || !attributes.name || attributes.translatable === 'false') continue
+
+		const name = attributes.name
+		if (pluralsInner !== undefined) {
+			const value = {}
+			for (const [ , itemAttributes, itemInner ] of pluralsInner.matchAll(/<item\b([^>]*)>([\s\S]*?)<\/item>/g)) {
+				const { quantity } = parseXmlAttributes(itemAttributes)
+				if (!quantity) continue
+				value[quantity] = decodeValue(itemInner)
+				contextMap[keyPathToString([ name, quantity ])] = [ context, getPluralCategoryContext(quantity) ].filter(c => c?.length).join('\n')
+			}
+			data[name] = value
+		} else {
+			data[name] = decodeValue(stringInner ?? '')
+			if (context?.length) contextMap[name] = context
+		}
+	}
+	return { data, contextMap }
+}
+
+// Yields { name, value } for each string, and { name, plurals } for each plural object, in data
+function* getResources(data, parentKeyPath = []) {
+	for (const [ key, value ] of Object.entries(data)) {
+		const keyPath = [ ...parentKeyPath, key ]
+		if (isPluralObject(value)) yield { name: keyPathToString(keyPath), plurals: value }
+		else if (isPlainObject(value)) yield* getResources(value, keyPath)
+		else if (!Array.isArray(value)) yield { name: keyPathToString(keyPath), value: String(value) }
+	}
+}
+
+export function serialize(data, metadata, { lang } = {}) {
+	const categories = lang ? getPluralCategoriesForLanguage(lang) : null
+	const lines = [
+		'<?xml version="1.0" encoding="utf-8"?>',
+		'<resources>'
+	]
+	for (const { name, value, plurals: allPlurals } of getResources(data)) {
+		if (allPlurals) {
+			const plurals = selectPluralForms(allPlurals, categories)
+			lines.push(`    <plurals name="${escapeXml(name)}"${getFormattedAttribute(Object.values(plurals))}>`)
+			for (const [ quantity, itemValue ] of Object.entries(plurals)) {
+				lines.push(`        <item quantity="${quantity}">${encodeValue(itemValue)}</item>`)
+			}
+			lines.push('    </plurals>')
+		} else {
+			lines.push(`    <string name="${escapeXml(name)}"${getFormattedAttribute([ value ])}>${encodeValue(value)}</string>`)
+		}
+	}
+	lines.push('</resources>')
+	return lines.join('\n') + '\n'
+}
+
+export async function parse(text) {
+	return getReferenceDataFromAndroid(text).data
+}
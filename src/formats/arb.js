@@ -0,0 +1,71 @@
+// Flutter Application Resource Bundle (.arb) files: JSON, where each message's key may be paired with an '@key' object
+// holding its description and placeholders, and '@@' keys (e.g. '@@locale') describe the file. Only messages are data;
+// '@' and '@@' entries in an existing file are kept as metadata, and written back alongside the messages.
+
+import { FORMAT_METADATA } from '../lib/consts.js'
+import { parseJson } from '../lib/io.js'
+import { getKeyPaths, getValueAtKeyPath, keyPathToString } from '../lib/key-paths.js'
+
+export const extension = 'arb'
+export const flat = true
+export const outputPathTemplate = 'app_{lang_underscore}.{ext}'
+
+function isGlobalAttributeKey(key) {
+	return key.startsWith('@@')
+}
+
+function isAttributeKey(key) {
+	return key.startsWith('@') && !isGlobalAttributeKey(key)
+}
+
+// Returns { data, contextMap } for a .arb reference file, where each message's '@key' description becomes its context.
+// The '@key' objects are kept as data's metadata, for output files which don't have their own.
+export function getReferenceDataFromArb(text) {
+	const arb = parseJson(text)
+	if (!arb) return { data: null, contextMap: {} }
+
+	const data = {}
+	const contextMap = {}
+	const attributes = {}
+	for (const [ key, value ] of Object.entries(arb)) {
+		if (key.startsWith('@')) continue
+
+		data[key] = value
+		if (arb[`@${key}`]) attributes[key] = arb[`@${key}`]
+		const description = arb[`@${key}`]?.description
+		if (description?.length) contextMap[key] = description
+	}
+	Object.defineProperty(data, FORMAT_METADATA, { value: { attributes } })
+	return { data, contextMap }
+}
+
+// Each message's '@key' object comes from the output file, or if it has none, from the reference file
+export function serialize(data, metadata, { lang, referenceMetadata }) {
+	const result = {
+		...metadata?.globalAttributes,
+		'@@locale': metadata?.globalAttributes?.['@@locale'] ?? lang.replace(/-/g, '_')
+	}
+	for (const keyPath of getKeyPaths(data)) {
+		const key = keyPathToString(keyPath)
+		result[key] = getValueAtKeyPath(data, keyPath)
+		const attributes = metadata?.attributes?.[key] ?? referenceMetadata?.attributes?.[key]
+		if (attributes) result[`@${key}`] = attributes
+	}
+	return JSON.stringify(result, null, 2) + '\n'
+}
+
+export async function parse(text) {
+	const arb = parseJson(text)
+	if (!arb) return null
+
+	const result = {}
+	const globalAttributes = {}
+	const attributes = {}	// Map of message key => its '@key' object
+	for (const [ key, value ] of Object.entries(arb)) {
+		if (isGlobalAttributeKey(key)) globalAttributes[key] = value
+		else if (isAttributeKey(key)) attributes[key.substring(1)] = value
+		else result[key] = value
+	}
+	Object.defineProperty(result, FORMAT_METADATA, { value: { globalAttributes, attributes } })
+	return result
+}
@@ -0,0 +1,20 @@
+// An ES module with a single default export, e.g. 'export default { ... }'
+
+export const extension = 'js'
+export const flat = false
+
+export function serialize(data) {
+	return `export default ${JSON.stringify(data, null, 2)}\n`
+}
+
+export async function parse(text) {
+	try {
+		// Importing from a data: URL avoids needing a temp .mjs copy, as we do for .js reference files
+		const module = await import(`data:text/javascript;charset=utf-8,${encodeURIComponent(text)}`)
+
+		// Clone, since identical module content is cached by the loader and callers mutate the result
+		return JSON.parse(JSON.stringify(module.default ?? null))
+	} catch (e) {
+		return null
+	}
+}
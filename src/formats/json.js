@@ -0,0 +1,12 @@
+import { parseJson } from '../lib/io.js'
+
+export const extension = 'json'
+export const flat = false
+
+export function serialize(data) {
+	return JSON.stringify(data, null, 2)
+}
+
+export async function parse(text) {
+	return parseJson(text)
+}
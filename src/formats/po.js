@@ -0,0 +1,337 @@
+// Gettext .po files. Keys follow the .mo file convention: an entry's key is its msgid, prefixed by its msgctxt and '\u0004'
+// if it has one. A plural entry is split into two keys: its singular key, and its singular key + '\u0000' + msgid_plural,
+// whose values are msgstr[0] and msgstr[1] respectively.
+
+import { FORMAT_METADATA } from '../lib/consts.js'
+import { getKeyPaths, getValueAtKeyPath, keyPathToString } from '../lib/key-paths.js'
+import { getPluralCategoriesForLanguage } from '../lib/icu.js'
+
+export const extension = 'po'
+export const flat = true
+
+const CONTEXT_SEPARATOR = '\u0004'
+const PLURAL_SEPARATOR = '\u0000'
+
+// gettext plural forms for new files' 'Plural-Forms', by language (or language and region, where they differ), following
+// gettext's conventions, which Poedit and Weblate also use: each has the expression choosing a form, and the CLDR plural
+// category of each form, which is also their count ('nplurals'). Forms only decimals use, like Polish 'other', are left
+// out, as are ones gettext conventionally doesn't have, like French 'many'. Languages with a single form, like Japanese,
+// need no entry.
+const PLURAL_FORMS = {
+	'ar': { plural: '(n==0 ? 0 : n==1 ? 1 : n==2 ? 2 : n%100>=3 && n%100<=10 ? 3 : n%100>=11 ? 4 : 5)', categories: [ 'zero', 'one', 'two', 'few', 'many', 'other' ] },
+	'be': { plural: '(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<12 || n%100>14) ? 1 : 2)', categories: [ 'one', 'few', 'many' ] },
+	'bg': { plural: '(n != 1)', categories: [ 'one', 'other' ] },
+	'bn': { plural: '(n > 1)', categories: [ 'one', 'other' ] },
+	'ca': { plural: '(n != 1)', categories: [ 'one', 'other' ] },
+	'cs': { plural: '(n==1 ? 0 : n>=2 && n<=4 ? 1 : 2)', categories: [ 'one', 'few', 'other' ] },
+	'cy': { plural: '(n==0 ? 0 : n==1 ? 1 : n==2 ? 2 : n==3 ? 3 : n==6 ? 4 : 5)', categories: [ 'zero', 'one', 'two', 'few', 'many', 'other' ] },
+	'da': { plural: '(n != 1)', categories: [ 'one', 'other' ] },
+	'de': { plural: '(n != 1)', categories: [ 'one', 'other' ] },
+	'el': { plural: '(n != 1)', categories: [ 'one', 'other' ] },
+	'en': { plural: '(n != 1)', categories: [ 'one', 'other' ] },
+	'es': { plural: '(n != 1)', categories: [ 'one', 'other' ] },
+	'et': { plural: '(n != 1)', categories: [ 'one', 'other' ] },
+	'fa': { plural: '(n > 1)', categories: [ 'one', 'other' ] },
+	'fi': { plural: '(n != 1)', categories: [ 'one', 'other' ] },
+	'fr': { plural: '(n > 1)', categories: [ 'one', 'other' ] },
+	'ga': { plural: '(n==1 ? 0 : n==2 ? 1 : n>=3 && n<=6 ? 2 : n>=7 && n<=10 ? 3 : 4)', categories: [ 'one', 'two', 'few', 'many', 'other' ] },
+	'he': { plural: '(n==1 ? 0 : n==2 ? 1 : 2)', categories: [ 'one', 'two', 'other' ] },
+	'hi': { plural: '(n > 1)', categories: [ 'one', 'other' ] },
+	'hr': { plural: '(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<12 || n%100>14) ? 1 : 2)', categories: [ 'one', 'few', 'other' ] },
+	'hu': { plural: '(n != 1)', categories: [ 'one', 'other' ] },
+	'it': { plural: '(n != 1)', categories: [ 'one', 'other' ] },
+	'lt': { plural: '(n%10==1 && (n%100<11 || n%100>19) ? 0 : n%10>=2 && (n%100<11 || n%100>19) ? 1 : 2)', categories: [ 'one', 'few', 'other' ] },
+	'lv': { plural: '(n%10==0 || (n%100>=11 && n%100<=19) ? 0 : n%10==1 && n%100!=11 ? 1 : 2)', categories: [ 'zero', 'one', 'other' ] },
+	'nb': { plural: '(n != 1)', categories: [ 'one', 'other' ] },
+	'nl': { plural: '(n != 1)', categories: [ 'one', 'other' ] },
+	'pl': { plural: '(n==1 ? 0 : n%10>=2 && n%10<=4 && (n%100<12 || n%100>14) ? 1 : 2)', categories: [ 'one', 'few', 'many' ] },
+	'pt': { plural: '(n > 1)', categories: [ 'one', 'other' ] },
+	'pt-pt': { plural: '(n != 1)', categories: [ 'one', 'other' ] },
+	'ro': { plural: '(n==1 ? 0 : n==0 || (n%100>=1 && n%100<=19) ? 1 : 2)', categories: [ 'one', 'few', 'other' ] },
+	'ru': { plural: '(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<12 || n%100>14) ? 1 : 2)', categories: [ 'one', 'few', 'many' ] },
+	'sk': { plural: '(n==1 ? 0 : n>=2 && n<=4 ? 1 : 2)', categories: [ 'one', 'few', 'other' ] },
+	'sl': { plural: '(n%100==1 ? 0 : n%100==2 ? 1 : n%100==3 || n%100==4 ? 2 : 3)', categories: [ 'one', 'two', 'few', 'other' ] },
+	'sr': { plural: '(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<12 || n%100>14) ? 1 : 2)', categories: [ 'one', 'few', 'other' ] },
+	'sv': { plural: '(n != 1)', categories: [ 'one', 'other' ] },
+	'tr': { plural: '(n != 1)', categories: [ 'one', 'other' ] },
+	'uk': { plural: '(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<12 || n%100>14) ? 1 : 2)', categories: [ 'one', 'few', 'many' ] },
+	'ur': { plural: '(n != 1)', categories: [ 'one', 'other' ] }
+}
+
+export function getEntryKey({ msgctxt, msgid }) {
+	return (msgctxt !== null && msgctxt !== undefined) ? `${msgctxt}${CONTEXT_SEPARATOR}${msgid}` : msgid
+}
+
+export function getPluralEntryKey(entry) {
+	return `${getEntryKey(entry)}${PLURAL_SEPARATOR}${entry.msgidPlural}`
+}
+
+// The inverse of getEntryKey() & getPluralEntryKey()
+function parseEntryKey(key) {
+	const [ singularKey, msgidPlural = null ] = key.split(PLURAL_SEPARATOR)
+	const contextSeparatorIdx = singularKey.indexOf(CONTEXT_SEPARATOR)
+	return {
+		singularKey,
+		msgctxt: contextSeparatorIdx >= 0 ? singularKey.substring(0, contextSeparatorIdx) : null,
+		msgid: contextSeparatorIdx >= 0 ? singularKey.substring(contextSeparatorIdx + 1) : singularKey,
+		msgidPlural
+	}
+}
+
+function unquote(s) {
+	return s
+		.replace(/^"|"$/g, '')
+		.replace(/\\(.)/g, (match, c) => ({ n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\' })[c] ?? c)
+}
+
+function quote(s) {
+	const escaped = s
+		.replace(/\\/g, '\\\\')
+		.replace(/"/g, '\\"')
+		.replace(/\t/g, '\\t')
+		.replace(/\r/g, '\\r')
+
+	// Multi-line strings are written as "" followed by one line per "\n", as gettext tools do
+	const lines = escaped.split('\n')
+	if (lines.length === 1) return `"${escaped}"`
+	const lastLine = lines.pop()
+	return [ '""', ...lines.map(l => `"${l}\\n"`), ...(lastLine.length ? [ `"${lastLine}"` ] : []) ].join('\n')
+}
+
+function createEntry() {
+	return {
+		msgctxt: null,
+		msgid: null,
+		msgidPlural: null,
+		msgstr: [],
+		flags: [],
+		translatorComments: [],
+		extractedComments: [],
+		references: []
+	}
+}
+
+// Parses .po/.pot text into a list of entries. Obsolete ('#~') entries are dropped.
+export function parsePo(text) {
+	const entries = []
+	let entry = createEntry()
+	let field = null	// The field that continuation lines ("...") append to
+	let fieldIdx = 0
+
+	const finishEntry = () => {
+		if (entry.msgid !== null) entries.push(entry)
+		entry = createEntry()
+		field = null
+	}
+
+	for (const rawLine of text.split(/\r?\n/)) {
+		const line = rawLine.trim()
+		if (!line.length) {
+			finishEntry()
+			continue
+		}
+
+		if (line.startsWith('#')) {
+			// A comment after msgid/msgstr starts a new entry
+			if (entry.msgid !== null) finishEntry()
+
+			if (line.startsWith('#~')) continue
+			else if (line.startsWith('#,')) entry.flags.push(...line.substring(2).split(',').map(f => f.trim()).filter(f => f.length))
+			else if (line.startsWith('#.')) entry.extractedComments.push(line.substring(2).trim())
+			else if (line.startsWith('#:')) entry.references.push(line.substring(2).trim())
+			else if (!line.startsWith('#|')) entry.translatorComments.push(line.substring(1).trim())
+			continue
+		}
+
+		if (line.startsWith('"')) {
+			if (field === 'msgstr') entry.msgstr[fieldIdx] += unquote(line)
+			else if (field) entry[field] += unquote(line)
+			continue
+		}
+
+		const match = line.match(/^(msgctxt|msgid_plural|msgid|msgstr(?:\[(\d+)])?)\s+(".*")$/)
+		if (!match) continue
+
+		const [ , keyword, idx, value ] = match
+		if (keyword === 'msgctxt') {
+			if (entry.msgid !== null) finishEntry()
+			field = 'msgctxt'
+			entry.msgctxt = unquote(value)
+		} else if (keyword === 'msgid') {
+			if (entry.msgid !== null) finishEntry()
+			field = 'msgid'
+			entry.msgid = unquote(value)
+		} else if (keyword === 'msgid_plural') {
+			field = 'msgidPlural'
+			entry.msgidPlural = unquote(value)
+		} else {
+			field = 'msgstr'
+			fieldIdx = idx === undefined ? 0 : parseInt(idx)
+			entry.msgstr[fieldIdx] = unquote(value)
+		}
+	}
+	finishEntry()
+
+	return entries
+}
+
+function isHeaderEntry(entry) {
+	return entry.msgid === '' && entry.msgctxt === null
+}
+
+// Returns the number of plural forms declared by a header's 'Plural-Forms', or null if there is none
+function getPluralFormCount(header) {
+	const match = header?.match(/^Plural-Forms:.*nplurals\s*=\s*(\d+)/m)
+	return match ? parseInt(match[1]) : null
+}
+
+// Returns lang's PLURAL_FORMS entry, or null if it isn't known
+function getPluralFormsEntry(lang) {
+	const entry = PLURAL_FORMS[lang.toLowerCase()] ?? PLURAL_FORMS[lang.split('-')[0].toLowerCase()]
+	if (entry) return entry
+	return getPluralCategoriesForLanguage(lang)?.length === 1 ? { plural: '0', categories: [ 'other' ] } : null
+}
+
+// Returns the 'Plural-Forms' value for lang, e.g. 'nplurals=2; plural=(n != 1);', or null if lang isn't known
+function getPluralForms(lang) {
+	const entry = getPluralFormsEntry(lang)
+	return entry ? `nplurals=${entry.categories.length}; plural=${entry.plural};` : null
+}
+
+// Returns the header of a new file for lang
+function getDefaultHeader(lang) {
+	const pluralForms = lang ? getPluralForms(lang) : null
+	return [
+		...(lang ? [ `Language: ${lang.replace(/-/g, '_')}` ] : []),
+		...(pluralForms ? [ `Plural-Forms: ${pluralForms}` ] : []),
+		'Content-Type: text/plain; charset=UTF-8'
+	].map(line => `${line}\n`).join('')
+}
+
+// Returns { count, singular, plural }: the number of msgstrs of plural entries, and the indexes of those holding the
+// singular and plural translations. When the header has as many forms as lang's PLURAL_FORMS entry, as getDefaultHeader()
+// writes, they're its 'one' form (-1 if lang has none, like Japanese) and its 'other' form, or its last, for languages
+// without one, like Polish; otherwise, they're msgstr[0] and msgstr[1], as is usual for gettext files.
+function getPluralFormIndexes({ header, lang }) {
+	const count = getPluralFormCount(header) ?? 2
+	const categories = lang ? getPluralFormsEntry(lang)?.categories : null
+	if (categories?.length === count) {
+		return { count, singular: categories.indexOf('one'), plural: categories.includes('other') ? categories.indexOf('other') : count - 1 }
+	}
+	return { count: Math.max(count, 2), singular: 0, plural: 1 }
+}
+
+// Returns { data, contextMap } for a .po/.pot reference file. Reference values are the msgids themselves, and each
+// entry's msgctxt and extracted comments become its context.
+export function getReferenceDataFromPo(text) {
+	const data = {}
+	const contextMap = {}
+	for (const entry of parsePo(text)) {
+		if (isHeaderEntry(entry)) continue
+
+		const context = [
+			...(entry.msgctxt?.length ? [ entry.msgctxt ] : []),
+			...entry.extractedComments
+		].join('\n')
+
+		const keys = [ getEntryKey(entry) ]
+		data[keys[0]] = entry.msgid
+		if (entry.msgidPlural !== null) {
+			keys.push(getPluralEntryKey(entry))
+			data[keys[1]] = entry.msgidPlural
+		}
+
+		if (context.length) keys.forEach(key => contextMap[key] = context)
+	}
+	return { data, contextMap }
+}
+
+export async function parse(text, { lang } = {}) {
+	const data = {}
+	const metadata = { header: null, entries: {} }
+	const entries = parsePo(text)
+	metadata.header = entries.find(isHeaderEntry)?.msgstr[0] ?? null
+	const { singular, plural } = getPluralFormIndexes({ header: metadata.header, lang })
+	for (const entry of entries) {
+		if (isHeaderEntry(entry)) continue
+
+		const key = getEntryKey(entry)
+		if (entry.msgidPlural !== null) {
+			// Without a singular form, the plural form stands in for it
+			data[key] = entry.msgstr[singular] ?? entry.msgstr[plural] ?? ''
+			data[getPluralEntryKey(entry)] = entry.msgstr[plural] ?? ''
+		} else {
+			data[key] = entry.msgstr[0] ?? ''
+		}
+		metadata.entries[key] = entry
+	}
+
+	// Keep the header, flags and comments for serialize(), so they survive a read/write round trip
+	Object.defineProperty(data, FORMAT_METADATA, { value: metadata })
+	return data
+}
+
+export function serialize(data, metadata, { lang, reviewStates = new Map() } = {}) {
+	const header = metadata?.header ?? getDefaultHeader(lang)
+	const pluralForms = getPluralFormIndexes({ header, lang })
+
+	// Group plural keys with their singular keys, preserving order
+	const values = {}
+	for (const keyPath of getKeyPaths(data)) {
+		values[keyPathToString(keyPath)] = String(getValueAtKeyPath(data, keyPath))
+	}
+	const entries = {}	// Map of singular key => { key info, msgstr }
+	for (const key of Object.keys(values)) {
+		const { singularKey, msgctxt, msgid, msgidPlural } = parseEntryKey(key)
+		entries[singularKey] = entries[singularKey] ?? { msgctxt, msgid, msgidPlural: null, singular: null, plural: null, keys: [] }
+		entries[singularKey].keys.push(key)
+		if (msgidPlural !== null) {
+			entries[singularKey].msgidPlural = msgidPlural
+			entries[singularKey].plural = values[key]
+		} else {
+			entries[singularKey].singular = values[key]
+		}
+	}
+
+	const blocks = [
+		`msgid ""\nmsgstr ${quote(header)}`
+	]
+	for (const [ key, { msgctxt, msgid, msgidPlural, singular, plural, keys } ] of Object.entries(entries)) {
+		const existing = metadata?.entries?.[key]
+		const lines = []
+
+		existing?.translatorComments.forEach(c => lines.push(`# ${c}`))
+		existing?.extractedComments.forEach(c => lines.push(`#. ${c}`))
+		existing?.references.forEach(c => lines.push(`#: ${c}`))
+
+		// Machine translations are flagged for review, and reviewed values, e.g. imported from XLIFF, are unflagged; entries
+		// this run didn't set keep their flags
+		const entryReviewStates = keys.filter(k => reviewStates.has(k)).map(k => reviewStates.get(k))
+		const fuzzy = entryReviewStates.length ? entryReviewStates.includes(true) : Boolean(existing?.flags.includes('fuzzy'))
+		const flags = (existing?.flags ?? []).filter(f => f !== 'fuzzy')
+		if (fuzzy) flags.unshift('fuzzy')
+		if (flags.length) lines.push(`#, ${flags.join(', ')}`)
+
+		const unchanged = existing && (msgidPlural === null
+			? (existing.msgstr[0] ?? '') === (singular ?? '')
+			: (pluralForms.singular < 0 || (existing.msgstr[pluralForms.singular] ?? '') === (singular ?? ''))
+				&& (existing.msgstr[pluralForms.plural] ?? '') === (plural ?? ''))
+
+		if (msgctxt !== null) lines.push(`msgctxt ${quote(msgctxt)}`)
+		lines.push(`msgid ${quote(msgid)}`)
+		if (msgidPlural !== null) {
+			lines.push(`msgid_plural ${quote(msgidPlural)}`)
+			for (let i = 0; i < pluralForms.count; ++i) {
+				// Other forms keep any existing value, otherwise they repeat the plural translation
+				const value = i === pluralForms.singular ? singular : (i === pluralForms.plural ? plural : ((unchanged && existing.msgstr[i]) || plural))
+				lines.push(`msgstr[${i}] ${quote(value ?? '')}`)
+			}
+		} else {
+			lines.push(`msgstr ${quote(singular ?? '')}`)
+		}
+
+		blocks.push(lines.join('\n'))
+	}
+
+	return blocks.join('\n\n') + '\n'
+}
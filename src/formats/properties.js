@@ -0,0 +1,76 @@
+// Java-style .properties files: one 'key=value' pair per line. Nested keys are written in dotted form, e.g. 'auth.login.title'
+
+import { getKeyPaths, getValueAtKeyPath, keyPathToString } from '../lib/key-paths.js'
+
+export const extension = 'properties'
+export const flat = true
+
+function escape(s, isKey) {
+	let result = s
+		.replace(/\\/g, '\\\\')
+		.replace(/\n/g, '\\n')
+		.replace(/\r/g, '\\r')
+		.replace(/\t/g, '\\t')
+		.replace(/\f/g, '\\f')
+
+	if (isKey) {
+		result = result.replace(/([ =:#!])/g, '\\$1')
+	} else {
+		// Leading whitespace in values is otherwise dropped by readers
+		result = result.replace(/^ /, '\\ ')
+		result = result.replace(/^([#!])/, '\\$1')
+	}
+
+	return result
+}
+
+function unescape(s) {
+	return s.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (match, c) => {
+		switch (c[0]) {
+			case 'n': return '\n'
+			case 'r': return '\r'
+			case 't': return '\t'
+			case 'f': return '\f'
+			case 'u': return c.length === 5 ? String.fromCharCode(parseInt(c.substring(1), 16)) : c
+			default: return c
+		}
+	})
+}
+
+// Joins lines ending with an odd number of backslashes with the following line
+function getLogicalLines(text) {
+	const result = []
+	let current = null
+	for (const rawLine of text.split(/\r\n|\r|\n/)) {
+		const line = rawLine.replace(/^\s+/, '')
+		if (current === null && (!line.length || line[0] === '#' || line[0] === '!')) continue
+
+		const trailingBackslashes = line.match(/\\*$/)[0].length
+		const joined = (current ?? '') + (trailingBackslashes % 2 ? line.slice(0, -1) : line)
+		if (trailingBackslashes % 2) {
+			current = joined
+		} else {
+			result.push(joined)
+			current = null
+		}
+	}
+	if (current !== null) result.push(current)
+	return result
+}
+
+export function serialize(data) {
+	return getKeyPaths(data)
+		.map(keyPath => `${escape(keyPathToString(keyPath), true)}=${escape(String(getValueAtKeyPath(data, keyPath)), false)}`)
+		.join('\n') + '\n'
+}
+
+export async function parse(text) {
+	const result = {}
+	for (const line of getLogicalLines(text)) {
+		// The key ends at the first unescaped separator ('=', ':' or whitespace)
+		const match = line.match(/^((?:\\.|[^\\=:\s])*)\s*[=:]?\s*(.*)$/)
+		if (!match) continue
+		result[unescape(match[1])] = unescape(match[2])
+	}
+	return result
+}
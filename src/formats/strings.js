@@ -0,0 +1,89 @@
+// Apple .strings files: '"key" = "value";' pairs, each optionally preceded by a /* comment */. Nested keys are written in
+// dotted form, e.g. 'auth.login.title'. Comments in an existing file are kept.
+
+import { FORMAT_METADATA } from '../lib/consts.js'
+import { getKeyPaths, getValueAtKeyPath, keyPathToString } from '../lib/key-paths.js'
+
+export const extension = 'strings'
+export const flat = true
+export const outputPathTemplate = '{lang}.lproj/{basename}.{ext}'
+
+// Xcode writes this for strings without a comment, so it's no use as context
+const NO_COMMENT = 'No comment provided by engineer.'
+
+function unescape(s) {
+	return s.replace(/\\([uU][0-9a-fA-F]{4}|.)/g, (match, c) => {
+		switch (c[0]) {
+			case 'n': return '\n'
+			case 't': return '\t'
+			case 'r': return '\r'
+			case 'u':
+			case 'U':
+				return c.length === 5 ? String.fromCharCode(parseInt(c.substring(1), 16)) : c
+			default: return c
+		}
+	})
+}
+
+function quote(s) {
+	const escaped = s
+		.replace(/\\/g, '\\\\')
+		.replace(/"/g, '\\"')
+		.replace(/\n/g, '\\n')
+		.replace(/\t/g, '\\t')
+		.replace(/\r/g, '\\r')
+	return `"${escaped}"`
+}
+
+// Parses .strings text into a list of { key, value, comment } entries
+export function parseStrings(text) {
+	const entries = []
+	let comment = null
+	const regex = /\/\*([\s\S]*?)\*\/|\/\/[^\n]*|("(?:\\.|[^"\\])*"|[\w.-]+)\s*=\s*"((?:\\.|[^"\\])*)"\s*;/g
+	for (const [ , commentText, key, value ] of text.replace(/^\uFEFF/, '').matchAll(regex)) {
+		if (commentText !== undefined) {
+			comment = commentText.trim()
+		} else if (key !== undefined) {
+			entries.push({
+				key: key.startsWith('"') ? unescape(key.slice(1, -1)) : key,
+				value: unescape(value),
+				comment
+			})
+			comment = null
+		}
+	}
+	return entries
+}
+
+// Returns { data, contextMap } for a .strings reference file, where each entry's comment becomes its context
+export function getReferenceDataFromStrings(text) {
+	const data = {}
+	const contextMap = {}
+	for (const { key, value, comment } of parseStrings(text)) {
+		data[key] = value
+		if (comment?.length && comment !== NO_COMMENT) contextMap[key] = comment
+	}
+	return { data, contextMap }
+}
+
+export function serialize(data, metadata) {
+	const comments = metadata?.comments ?? {}
+	return getKeyPaths(data)
+		.map(keyPath => {
+			const key = keyPathToString(keyPath)
+			const line = `${quote(key)} = ${quote(String(getValueAtKeyPath(data, keyPath)))};`
+			return comments[key]?.length ? `/* ${comments[key]} */\n${line}` : line
+		})
+		.join('\n\n') + '\n'
+}
+
+export async function parse(text) {
+	const result = {}
+	const comments = {}
+	for (const { key, value, comment } of parseStrings(text)) {
+		result[key] = value
+		if (comment?.length) comments[key] = comment
+	}
+	Object.defineProperty(result, FORMAT_METADATA, { value: { comments } })
+	return result
+}
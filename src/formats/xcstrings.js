@@ -0,0 +1,121 @@
+// Apple string catalogs (.xcstrings). A catalog holds every language's strings in one file, so this format is
+// multilingual: parse() reads one language from it, and serialize() merges one language into the file's current contents.
+// Plural variations are read and written as plural objects, e.g. { one: '%lld file', other: '%lld files' }, with only the
+// variations a language uses. Nested keys are written in dotted form, e.g. 'auth.login.title'.
+
+import { FORMAT_METADATA } from '../lib/consts.js'
+import { getPluralCategoriesForLanguage } from '../lib/icu.js'
+import { isPlainObject, keyPathToString } from '../lib/key-paths.js'
+import { getPluralCategoryContext, isPluralObject, selectPluralForms } from '../lib/plurals.js'
+import { parseJson } from '../lib/io.js'
+
+export const extension = 'xcstrings'
+export const flat = true
+export const nativePlurals = true
+export const multilingual = true
+export const outputPathTemplate = '{basename}.{ext}'
+
+// String unit states; machine translations are marked for review, like gettext's 'fuzzy' flag, and reviewed values, e.g.
+// imported from XLIFF, as translated
+const STATE_TRANSLATED = 'translated'
+const STATE_NEEDS_REVIEW = 'needs_review'
+
+function createCatalog(sourceLanguage) {
+	return { sourceLanguage, strings: {}, version: '1.0' }
+}
+
+// Returns a string's value for a localization: a string, a plural object, or undefined
+function getLocalizationValue(localization) {
+	if (localization?.stringUnit) return localization.stringUnit.value
+
+	const pluralVariations = localization?.variations?.plural
+	if (isPlainObject(pluralVariations)) {
+		const result = {}
+		for (const [ category, variation ] of Object.entries(pluralVariations)) {
+			if (typeof variation?.stringUnit?.value === 'string') result[category] = variation.stringUnit.value
+		}
+		return result
+	}
+
+	return undefined
+}
+
+// needsReview is undefined for values this run didn't set, which keep their state unless changed
+function createStringUnit(value, existingStringUnit, needsReview) {
+	let state = existingStringUnit?.value === value ? existingStringUnit.state : STATE_NEEDS_REVIEW
+	if (needsReview !== undefined) state = needsReview ? STATE_NEEDS_REVIEW : STATE_TRANSLATED
+	return { state, value }
+}
+
+function createLocalization({ key, value, existingLocalization, lang, reviewStates }) {
+	if (isPluralObject(value)) {
+		const plural = {}
+		for (const [ category, categoryValue ] of Object.entries(selectPluralForms(value, getPluralCategoriesForLanguage(lang)))) {
+			const existingStringUnit = existingLocalization?.variations?.plural?.[category]?.stringUnit
+			plural[category] = { stringUnit: createStringUnit(categoryValue, existingStringUnit, reviewStates.get(keyPathToString([ key, category ]))) }
+		}
+		return { variations: { plural } }
+	}
+	return { stringUnit: createStringUnit(value, existingLocalization?.stringUnit, reviewStates.get(key)) }
+}
+
+// Yields [ key, value ] for each string or plural object in data, with nested keys in dotted form
+function* getStrings(data, parentKeyPath = []) {
+	for (const [ key, value ] of Object.entries(data)) {
+		const keyPath = [ ...parentKeyPath, key ]
+		if (isPlainObject(value) && !isPluralObject(value)) yield* getStrings(value, keyPath)
+		else if (!Array.isArray(value)) yield [ keyPathToString(keyPath), isPluralObject(value) ? value : String(value) ]
+	}
+}
+
+// Returns { data, contextMap } for the catalog's source language. Strings marked as not to be translated are skipped; a
+// string's comment becomes its context.
+export function getReferenceDataFromXcstrings(text) {
+	const catalog = parseJson(text)
+	if (!catalog?.strings) return { data: null, contextMap: {} }
+
+	const data = {}
+	const contextMap = {}
+	for (const [ key, entry ] of Object.entries(catalog.strings)) {
+		if (entry.shouldTranslate === false) continue
+
+		// Strings with no source language localization use their key as their value
+		const value = getLocalizationValue(entry.localizations?.[catalog.sourceLanguage]) ?? key
+		data[key] = value
+
+		if (isPluralObject(value)) {
+			for (const category of Object.keys(value)) {
+				contextMap[keyPathToString([ key, category ])] = [ entry.comment, getPluralCategoryContext(category) ].filter(c => c?.length).join('\n')
+			}
+		} else if (entry.comment?.length) {
+			contextMap[key] = entry.comment
+		}
+	}
+	return { data, contextMap }
+}
+
+// Merges lang's data into text, the catalog's current contents, if any. Strings in the catalog but not in data are left as-is.
+export function serialize(data, metadata, { lang, text, reviewStates = new Map() }) {
+	const catalog = (text && parseJson(text)) || metadata?.catalog || createCatalog('en')	// Xcode's default source language
+	for (const [ key, value ] of getStrings(data)) {
+		const entry = catalog.strings[key] = catalog.strings[key] ?? {}
+		entry.localizations = entry.localizations ?? {}
+		entry.localizations[lang] = createLocalization({ key, value, existingLocalization: entry.localizations[lang], lang, reviewStates })
+	}
+
+	// Xcode writes ' : ' between keys and values
+	return JSON.stringify(catalog, null, 2).replace(/^(\s*"(?:\\.|[^"\\])*"): /gm, '$1 : ') + '\n'
+}
+
+export async function parse(text, { lang }) {
+	const catalog = parseJson(text)
+	if (!catalog?.strings) return null
+
+	const result = {}
+	for (const [ key, entry ] of Object.entries(catalog.strings)) {
+		const value = getLocalizationValue(entry.localizations?.[lang])
+		if (value !== undefined) result[key] = value
+	}
+	Object.defineProperty(result, FORMAT_METADATA, { value: { catalog } })
+	return result
+}
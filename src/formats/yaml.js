@@ -0,0 +1,16 @@
+import YAML from 'yaml'
+
+export const extension = 'yaml'
+export const flat = false
+
+export function serialize(data) {
+	return YAML.stringify(data)
+}
+
+export async function parse(text) {
+	try {
+		return YAML.parse(text)
+	} catch (e) {
+		return null
+	}
+}
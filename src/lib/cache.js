@@ -1,4 +1,5 @@
 import { readJsonFile } from './io.js'
+import { calculateHash } from './utils.js'
 
 export async function loadCache(path) {
 	const storedCache = await readJsonFile(path)
@@ -7,6 +8,65 @@ export async function loadCache(path) {
 		referenceKeyHashes: storedCache?.referenceKeyHashes ?? {},
 		state: storedCache?.state ?? {},
 		lastRun: storedCache?.lastRun ?? null,
+		...(storedCache?.namespaces ? { namespaces: storedCache.namespaces } : {}),
+		...(storedCache?.batch ? { batch: storedCache.batch } : {}),	// A batch submitted with --batch, awaiting --resume-batch
+		...(storedCache?.usage ? { usage: storedCache.usage } : {})	// Cumulative token usage; see reportUsage()
 	}
 }
 
+// Returns the part of the cache for a reference file's namespace, creating it if needed. A project with a single reference
+// file has no namespace, and uses the top level of the cache.
+export function getNamespaceCache(cache, namespace) {
+	if (namespace === null) return cache
+
+	cache.namespaces = cache.namespaces ?? {}
+	cache.namespaces[namespace] = cache.namespaces[namespace] ?? { referenceHash: '', referenceKeyHashes: {}, state: {} }
+	return cache.namespaces[namespace]
+}
+
+// The state of a target language's value for a key, relative to the cache
+export const KEY_STATUS_MISSING = 'missing'				// No value in the output file
+export const KEY_STATUS_OUTDATED = 'outdated'			// The reference value or its context changed since it was translated, or it was never translated by ALT
+export const KEY_STATUS_TRANSLATED = 'translated'	// Translated by ALT, and up to date
+export const KEY_STATUS_MODIFIED = 'modified'			// Edited by the user, so ALT will never overwrite it
+
+export function getKeyStatus({ cache, targetLang, key, curValue, referenceValueHash }) {
+	if (curValue === null || curValue === undefined) return KEY_STATUS_MISSING
+
+	const storedHashForTargetLangAndValue = cache.state[targetLang]?.keyHashes?.[key]
+	if (storedHashForTargetLangAndValue && calculateHash(curValue) !== storedHashForTargetLangAndValue) return KEY_STATUS_MODIFIED
+
+	const storedHashForReferenceValue = cache.referenceKeyHashes[targetLang]?.[key]
+	if (!storedHashForReferenceValue || storedHashForReferenceValue !== referenceValueHash) return KEY_STATUS_OUTDATED
+
+	return KEY_STATUS_TRANSLATED
+}
+
+// Records value as ALT's own, up-to-date translation of key, so it's neither re-translated nor treated as user-modified
+export function setKeyCacheHashes({ cache, targetLang, key, value, referenceValueHash }) {
+	cache.state[targetLang] = cache.state[targetLang] || { keyHashes: {} }
+	cache.state[targetLang].keyHashes[key] = calculateHash(value)
+	cache.referenceKeyHashes[targetLang] = cache.referenceKeyHashes[targetLang] || {}
+	cache.referenceKeyHashes[targetLang][key] = referenceValueHash
+}
+
+// Records which provider and model, { provider, model }, produced key's translation, or that none did, if producedBy is null
+export function setKeyProducedBy({ cache, targetLang, key, producedBy }) {
+	const languageState = cache.state[targetLang]
+	if (producedBy) {
+		languageState.keyProviders = languageState.keyProviders ?? {}
+		languageState.keyProviders[key] = producedBy
+	} else if (languageState.keyProviders) {
+		delete languageState.keyProviders[key]
+	}
+}
+
+// Records a user's edit of key's value, so it's never overwritten, as if they'd edited the output file directly. Edits are
+// detected by the value no longer matching the hash of ALT's last translation; if ALT never translated the key,
+// previousValue (or the empty string) stands in for its translation.
+export function markKeyUserModified({ cache, targetLang, key, previousValue }) {
+	cache.state[targetLang] = cache.state[targetLang] || { keyHashes: {} }
+	if (!cache.state[targetLang].keyHashes[key]) {
+		cache.state[targetLang].keyHashes[key] = calculateHash(previousValue ?? '')
+	}
+}
@@ -31,10 +31,15 @@ export async function loadConfig({ configFile, log }) {
 			lookForContextData: false,
 			contextPrefix: '',
 			contextSuffix: '',
+			maxLengthPrefix: '',
+			maxLengthSuffix: '',
+			maxLengths: {},
 			outputDir: null,
 			referenceFile: null,
 			referenceLanguage: null,
-			normalizeOutputFilenames: false
+			normalizeOutputFilenames: false,
+			outputFormat: null,
+			outputPathTemplate: null
 		}
 	}
 
@@ -3,14 +3,61 @@ export const LANGTAG_DEFAULT = LANGTAG_ENGLISH
 
 export const VALID_TRANSLATION_PROVIDERS = [
 	'anthropic',
+	'azure-openai',
+	'deepl',
 	'google',
-	'openai'
+	'google-translate',
+	'openai',
+	'openai-compatible',
+	'pseudo'
 ]
 
+export const VALID_OUTPUT_FORMATS = [
+	'json',
+	'esm',
+	'yaml',
+	'properties',
+	'po',
+	'android',
+	'strings',
+	'xcstrings',
+	'arb'
+]
+export const DEFAULT_OUTPUT_FORMAT = 'json'
+
+// Map of reference file extension => output format, for reference files which can be written in their own format. These
+// are the default output format for such reference files.
+export const REFERENCE_FILE_OUTPUT_FORMATS = {
+	po: 'po',
+	pot: 'po',
+	xml: 'android',
+	strings: 'strings',
+	xcstrings: 'xcstrings',
+	arb: 'arb'
+}
+
+// Output format modules may attach data under this key when parsing a file (e.g. headers or comments), to be passed back
+// to them when serializing the same file. Being a symbol, it's ignored by JSON & Object.entries()
+export const FORMAT_METADATA = Symbol('formatMetadata')
+// Commands note under this key, in output data, which values they've set need review; see setNeedsReview()
+export const REVIEW_STATES = Symbol('reviewStates')
+export const DEFAULT_OUTPUT_PATH_TEMPLATE = '{lang}.{ext}'
+export const DEFAULT_NAMESPACED_OUTPUT_PATH_TEMPLATE = '{lang}/{basename}.{ext}'
+
+export const VALID_XLIFF_VERSIONS = [
+	'1.2',
+	'2.0'
+]
+export const DEFAULT_XLIFF_VERSION = '1.2'
+
 export const ENV_VARS = [
 	{ name: 'ANTHROPIC_API_KEY', description: 'Your Anthropic API key' },
 	{ name: 'OPENAI_API_KEY', description: 'Your OpenAI API key' },
+	{ name: 'AZURE_OPENAI_API_KEY', description: 'Your Azure OpenAI resource\'s API key' },
 	{ name: 'GOOGLE_API_KEY', description: 'Your Google Gemini API key' },
+	{ name: 'DEEPL_API_KEY', description: 'Your DeepL API key' },
+	{ name: 'GOOGLE_TRANSLATE_API_KEY', description: 'Your Google Cloud Translation API key, or OAuth access token for v3' },
+	{ name: 'OPENAI_COMPATIBLE_API_KEY', description: 'API key for an OpenAI-compatible server, if it needs one' },
 	{ name: 'ALT_LANGUAGE', description: 'BCP47 language tag used for display' }
 ]
 
@@ -18,18 +65,64 @@ export const LOCALIZATION_SRC_DIR = 'localization'
 export const DEFAULT_CACHE_FILENAME = '.localization.cache.json'
 export const DEFAULT_CONFIG_FILENAME = 'alt.config.json'
 export const OVERLOADED_BACKOFF_INTERVAL_MS = 30 * 1000
+export const DEFAULT_FALLBACK_AFTER_FAILURES = 3	// Consecutive failed requests to a provider before switching to the next of 'fallbackProviders'
+export const DEFAULT_HTTP_TIMEOUT_MS = 2 * 60 * 1000	// Requests which get no response for this long fail, and are retried
 export const CWD = process.cwd()
 
 export const SUPPORTED_REFERENCE_FILE_EXTENSIONS = [
 	'js',
 	'mjs',
 	'json',
-	'jsonc'
+	'jsonc',
+	'ts',
+	'mts',
+	'cts',
+	'po',
+	'pot',
+	'xml',
+	'strings',
+	'xcstrings',
+	'arb'
+]
+
+// Language tags conventionally used for pseudo-localization, e.g. by Android: accented, expanded English, and right-to-left
+// English. They're not real languages, but are valid target languages, e.g. for the 'pseudo' provider.
+export const PSEUDO_LOCALES = [
+	'en-XA',
+	'ar-XB'
 ]
 
 export const DEFAULT_LLM_MODELS = {
 	anthropic: 'claude-3-7-sonnet-20250219',
 	google: 'gemini-2.0-flash',
-	openai: 'gpt-4-turbo'
+	openai: 'gpt-4o'
+}
+
+// Prices of models, in US dollars per million input and output tokens, for estimating what a run costs. A model's price
+// is that of the longest name here which its name starts with, e.g. 'claude-3-7-sonnet' for 'claude-3-7-sonnet-20250219'.
+// The config's 'modelPrices' setting adds to and overrides these, as prices change.
+export const MODEL_PRICES = {
+	'claude-3-haiku': { input: 0.25, output: 1.25 },
+	'claude-3-5-haiku': { input: 0.8, output: 4 },
+	'claude-3-5-sonnet': { input: 3, output: 15 },
+	'claude-3-7-sonnet': { input: 3, output: 15 },
+	'claude-haiku-4-5': { input: 1, output: 5 },
+	'claude-sonnet-4': { input: 3, output: 15 },
+	'claude-opus-4': { input: 15, output: 75 },
+	'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+	'gemini-1.5-pro': { input: 1.25, output: 5 },
+	'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+	'gemini-2.0-flash-lite': { input: 0.075, output: 0.3 },
+	'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+	'gemini-2.5-pro': { input: 1.25, output: 10 },
+	'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+	'gpt-4-turbo': { input: 10, output: 30 },
+	'gpt-4o': { input: 2.5, output: 10 },
+	'gpt-4o-mini': { input: 0.15, output: 0.6 },
+	'gpt-4.1': { input: 2, output: 8 },
+	'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+	'gpt-4.1-nano': { input: 0.1, output: 0.4 }
 }
+// Batches cost half as much, with both Anthropic and OpenAI
+export const BATCH_PRICE_MULTIPLIER = 0.5
 
@@ -14,6 +14,14 @@ export function isContextKey({ appLang, key, contextPrefix, contextSuffix, log }
 	)
 }
 
+// Keys holding a key's maximum translation length work like context keys, e.g. '_maxLength:title' for 'title', but are
+// only looked for if a prefix or suffix is set
+export function isMaxLengthKey({ key, maxLengthPrefix, maxLengthSuffix }) {
+	if (maxLengthPrefix?.length) return key.startsWith(maxLengthPrefix)
+	if (maxLengthSuffix?.length) return key.endsWith(maxLengthSuffix)
+	return false
+}
+
 export function formatContextKeyFromKey({ key, prefix, suffix }) {
 	return `${prefix}${key}${suffix}`
 }
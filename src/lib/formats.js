@@ -0,0 +1,83 @@
+import * as json from '../formats/json.js'
+import * as esm from '../formats/esm.js'
+import * as yaml from '../formats/yaml.js'
+import * as properties from '../formats/properties.js'
+import * as po from '../formats/po.js'
+import * as android from '../formats/android.js'
+import * as strings from '../formats/strings.js'
+import * as xcstrings from '../formats/xcstrings.js'
+import * as arb from '../formats/arb.js'
+import { normalizeKeys, readFileAsText, readFileAsTextSync, writeFile } from './io.js'
+import { assertIsObj, assertValidPath } from './assert.js'
+import { FORMAT_METADATA, REVIEW_STATES } from './consts.js'
+import { keyPathToString } from './key-paths.js'
+import { normalizeData } from './utils.js'
+
+// Map of output format name => format module. Each module exports:
+//   extension: the default file extension, without the '.'
+//   flat: true if the format has no nesting, in which case nested keys are stored in their dotted form
+//   serialize(data, metadata, { lang, text, referenceMetadata, reviewStates }): returns the file contents for data; metadata
+//     is whatever parse() attached, if anything, referenceMetadata is whatever the reference file's loader attached to its
+//     data, and reviewStates maps the dotted keys of values set by this run to whether they need review
+//   parse(text, { lang }): async; returns the data in text, or null if it can't be parsed
+// and optionally:
+//   nativePlurals: true if the format has plural entries, which are stored as plural objects, e.g. { one, other }
+//   multilingual: true if all languages share one file; lang is the language to parse or serialize, and serialize() is
+//     given the file's current text to merge into, since other languages may have been written since it was parsed
+//   outputPathTemplate: the default output path template, for formats with a directory convention
+const OutputFormats = {
+	json,
+	esm,
+	yaml,
+	properties,
+	po,
+	android,
+	strings,
+	xcstrings,
+	arb
+}
+
+export function getOutputFormat(formatName) {
+	return OutputFormats[formatName] ?? null
+}
+
+// Reads and parses an output file; returns null if the file doesn't exist or can't be parsed
+export async function readOutputFile(filePath, formatName, lang) {
+	const text = await readFileAsText(filePath)
+	if (text === null) return null
+
+	const data = await getOutputFormat(formatName).parse(text, { lang })
+	const result = normalizeData(data)
+	if (result && data[FORMAT_METADATA]) {
+		Object.defineProperty(result, FORMAT_METADATA, { value: data[FORMAT_METADATA] })
+	}
+	return result
+}
+
+export function writeOutputFile(filePath, data, formatName, lang, log, referenceData = null) {
+	assertValidPath(filePath)
+	assertIsObj(data)
+	log.V(`Preparing to write ${filePath} (${formatName})...`)
+	const format = getOutputFormat(formatName)
+	const text = format.multilingual ? readFileAsTextSync(filePath) : null
+	writeFile(filePath, format.serialize(normalizeKeys(data), data[FORMAT_METADATA], {
+		lang,
+		text,
+		referenceMetadata: referenceData?.[FORMAT_METADATA] ?? null,
+		reviewStates: data[REVIEW_STATES] ?? new Map()
+	}), log)
+}
+
+// Notes whether the value at keyPath in output data needs review: true for machine translations, false for reviewed ones,
+// e.g. imported from XLIFF. Formats with a review flag, like gettext's 'fuzzy', set or clear it to match.
+export function setNeedsReview(data, keyPath, needsReview) {
+	if (!data[REVIEW_STATES]) Object.defineProperty(data, REVIEW_STATES, { value: new Map() })
+	data[REVIEW_STATES].set(keyPathToString(keyPath), needsReview)
+}
+
+// Adds an output file to appState.filesToWrite, to be written on shutdown. The languages of multilingual formats share a
+// file, so each is added separately. referenceData is the data of the reference file it's translated from.
+export function addFileToWrite({ appState, filePath, data, formatName, lang, referenceData }) {
+	const id = getOutputFormat(formatName).multilingual ? `${filePath}#${lang}` : filePath
+	appState.filesToWrite[id] = { filePath, data, format: formatName, lang, referenceData }
+}
@@ -0,0 +1,192 @@
+import axios from 'axios'
+import http from 'http'
+import https from 'https'
+import tls from 'tls'
+import { localizeFormatted } from '../localizer/localize.js'
+import { readFileAsText } from './io.js'
+import { DEFAULT_HTTP_TIMEOUT_MS } from './consts.js'
+
+// Every request to a provider, to translate or to list models, goes through here, so that they all share the transport
+// configured by configureHttp(): a timeout, an HTTP(S) proxy, extra CA certificates and extra headers. Until it's
+// configured, requests just get the default timeout.
+let transport = createTransport({})
+
+function createTransport({ timeout = DEFAULT_HTTP_TIMEOUT_MS, headers = {}, proxy = {}, noProxy = [], ca = null }) {
+	const tlsOptions = ca ? { ca } : {}
+	return {
+		timeout,
+		headers,
+		proxy,
+		noProxy,
+		httpAgent: new http.Agent({ keepAlive: true }),
+		httpsAgent: new https.Agent({ keepAlive: true, ...tlsOptions }),
+		tunnelingAgent: proxy['https:'] ? new TunnelingAgent({ proxyUrl: proxy['https:'], keepAlive: true, ...tlsOptions }) : null
+	}
+}
+
+// An agent which connects to HTTPS servers through an HTTP(S) proxy, by tunneling each connection with CONNECT
+class TunnelingAgent extends https.Agent {
+	constructor({ proxyUrl, ...options }) {
+		super(options)
+		this.proxyUrl = new URL(proxyUrl)
+	}
+
+	createConnection(options, callback) {
+		const { proxyUrl } = this
+		const target = `${options.host}:${options.port}`
+		const request = (proxyUrl.protocol === 'https:' ? https : http).request({
+			host: proxyUrl.hostname,
+			port: proxyUrl.port || (proxyUrl.protocol === 'https:' ? 443 : 80),
+			method: 'CONNECT',
+			path: target,
+			headers: { host: target, ...getProxyAuthorizationHeader(proxyUrl) },
+			timeout: transport.timeout
+		})
+		request.once('connect', (response, socket) => {
+			if (response.statusCode !== 200) {
+				socket.destroy()
+				callback(new Error(`Proxy ${proxyUrl.host} refused to connect to ${target}: ${response.statusCode} ${response.statusMessage}`))
+				return
+			}
+			callback(null, tls.connect({ ...options, socket, servername: options.servername ?? options.host }))
+		})
+		request.once('timeout', () => request.destroy(new Error(`Proxy ${proxyUrl.host} timed out connecting to ${target}`)))
+		request.once('error', callback)
+		request.end()
+	}
+}
+
+function getProxyAuthorizationHeader(proxyUrl) {
+	if (!proxyUrl.username) return {}
+	const credentials = `${decodeURIComponent(proxyUrl.username)}:${decodeURIComponent(proxyUrl.password)}`
+	return { 'Proxy-Authorization': `Basic ${Buffer.from(credentials).toString('base64')}` }
+}
+
+// Returns whether a request to url bypasses the proxy, according to noProxy, a list of host names, each of which matches
+// the host and its subdomains, with an optional port; '*' matches every host
+export function isNoProxyHost({ url, noProxy }) {
+	const { hostname, port, protocol } = new URL(url)
+	const urlPort = port || (protocol === 'https:' ? '443' : '80')
+	return noProxy.some(entry => {
+		if (entry === '*') return true
+		const [ , host, entryPort ] = entry.match(/^\.?(.+?)(?::(\d+))?$/) ?? []
+		return Boolean(host)
+			&& (hostname === host || hostname.endsWith(`.${host.replace(/^\*\./, '')}`))
+			&& (!entryPort || entryPort === urlPort)
+	})
+}
+
+function isValidUrl(url) {
+	try {
+		new URL(url)
+		return true
+	} catch {
+		return false
+	}
+}
+
+function parseNoProxy(noProxy) {
+	return [ noProxy ?? [] ].flat().flatMap(entry => entry.split(',')).map(entry => entry.trim().toLowerCase()).filter(entry => entry.length)
+}
+
+// Configures the transport used by httpPost() and httpFetch() from the config's 'http' setting, which is like:
+// "http": { "proxy": "http://proxy:8080", "noProxy": "localhost,.internal", "caFile": "corp-ca.pem", "timeout": 60000,
+//   "headers": { "X-Gateway-Key": "..." } }
+// or, for settings it doesn't have, from the HTTPS_PROXY, HTTP_PROXY, NO_PROXY, NODE_EXTRA_CA_CERTS and ALT_HTTP_TIMEOUT
+// environment variables. A 'proxy' setting applies to both HTTP and HTTPS requests. Empty settings and variables, like
+// 'HTTPS_PROXY=', count as unset.
+export async function configureHttp({ appState, config, log }) {
+	const settings = config?.http ?? {}
+	const env = process.env
+
+	const timeoutSetting = settings.timeout || env.ALT_HTTP_TIMEOUT || DEFAULT_HTTP_TIMEOUT_MS
+	const timeout = Number(timeoutSetting)
+	if (!Number.isInteger(timeout) || timeout <= 0) {
+		throw new Error(localizeFormatted({ token: 'error-invalid-http-timeout', data: { timeout: timeoutSetting }, lang: appState.lang, log }))
+	}
+
+	const proxy = {
+		'https:': settings.proxy || env.HTTPS_PROXY || env.https_proxy || null,
+		'http:': settings.proxy || env.HTTP_PROXY || env.http_proxy || null
+	}
+	for (const proxyUrl of Object.values(proxy)) {
+		if (proxyUrl !== null && !isValidUrl(proxyUrl)) {
+			throw new Error(localizeFormatted({ token: 'error-invalid-proxy-url', data: { proxyUrl }, lang: appState.lang, log }))
+		}
+	}
+
+	// A 'ca' option replaces Node's own CA certificates, which include NODE_EXTRA_CA_CERTS, so they're added back
+	let ca = null
+	if (settings.caFile?.length) {
+		ca = [ ...tls.rootCertificates ]
+		for (const caFile of [ env.NODE_EXTRA_CA_CERTS, settings.caFile ].filter(Boolean)) {
+			const certificates = await readFileAsText(caFile)
+			if (certificates === null) {
+				throw new Error(localizeFormatted({ token: 'error-ca-file-not-found', data: { caFile }, lang: appState.lang, log }))
+			}
+			ca.push(certificates)
+		}
+	}
+
+	transport = createTransport({
+		timeout,
+		headers: settings.headers ?? {},
+		proxy,
+		noProxy: parseNoProxy(settings.noProxy || env.NO_PROXY || env.no_proxy),
+		ca
+	})
+	log.D(`HTTP transport: timeout=${timeout}; proxy=${JSON.stringify(proxy)}; noProxy=${transport.noProxy}; ca=${Boolean(ca)}`)
+}
+
+// Returns axios request config for a request to url, sent through the configured transport, with config's headers
+// overridden by the configured ones
+function getRequestConfig(url, config = {}) {
+	const { protocol } = new URL(url)
+	const proxyUrl = isNoProxyHost({ url, noProxy: transport.noProxy }) ? null : transport.proxy[protocol]
+	const requestConfig = {
+		...config,
+		headers: { ...config.headers, ...transport.headers },
+		timeout: transport.timeout,
+		httpAgent: transport.httpAgent,
+		httpsAgent: proxyUrl ? transport.tunnelingAgent : transport.httpsAgent,
+		// axios's own proxy support is only used for plain HTTP; HTTPS requests are tunneled by TunnelingAgent
+		proxy: false
+	}
+	if (proxyUrl && protocol === 'http:') {
+		const { protocol: proxyProtocol, hostname, port, username, password } = new URL(proxyUrl)
+		requestConfig.proxy = {
+			protocol: proxyProtocol.replace(/:$/, ''),
+			host: hostname,
+			port: Number(port || (proxyProtocol === 'https:' ? 443 : 80)),
+			...(username ? { auth: { username: decodeURIComponent(username), password: decodeURIComponent(password) } } : {})
+		}
+	}
+	return requestConfig
+}
+
+// Like axios.post(), through the configured transport
+export async function httpPost(url, data, config) {
+	return axios.post(url, data, getRequestConfig(url, config))
+}
+
+// Like fetch(), through the configured transport, for the parts of the Fetch API which providers use: method, headers
+// and body in, and ok, status, statusText, headers, json() and text() out
+export async function httpFetch(url, { method = 'GET', headers, body } = {}) {
+	const response = await axios.request(getRequestConfig(String(url), {
+		url: String(url),
+		method,
+		headers,
+		data: body,
+		responseType: 'text',
+		transformResponse: [ data => data ],
+		validateStatus: () => true
+	}))
+	return {
+		ok: response.status >= 200 && response.status < 300,
+		status: response.status,
+		statusText: response.statusText,
+		headers: response.headers,
+		json: async () => JSON.parse(response.data),
+		text: async () => response.data
+	}
+}
@@ -0,0 +1,260 @@
+// ICU MessageFormat messages, e.g. '{count, plural, one {# file} other {# files}}'. Messages are parsed into a list of
+// nodes, so that translations can be checked against their reference values. A node is one of:
+// * { type: 'text', value }
+// * { type: 'pound' }, for '#' within a plural or selectordinal option
+// * { type: 'argument', name, argType, style }, e.g. for '{name}' or '{total, number, percent}'
+// * { type: 'plural' | 'selectordinal' | 'select', name, offset, options }, where options maps each selector (e.g. 'one'
+//   or '=0') to its message's nodes
+
+import { PLURAL_CATEGORIES } from './plurals.js'
+
+const COMPLEX_ARGUMENT_TYPES = [
+	'plural',
+	'selectordinal',
+	'select'
+]
+
+// Parses a message, throwing an Error which describes the first syntax error, if any
+export function parseIcuMessage(text) {
+	let pos = 0
+
+	const fail = message => {
+		throw new Error(`${message} at position ${pos}${pos < text.length ? ` ("${text.substring(pos, pos + 10)}")` : ''}`)
+	}
+	const skipWhitespace = () => {
+		while (pos < text.length && /\s/.test(text[pos])) ++pos
+	}
+	const readWord = () => {
+		const match = text.substring(pos).match(/^[^\s{}#,'|]+/)
+		if (!match) return null
+		pos += match[0].length
+		return match[0]
+	}
+	const expect = c => {
+		skipWhitespace()
+		if (text[pos] !== c) fail(`Expected "${c}"`)
+		++pos
+	}
+
+	// Reads text and arguments until the end of the message, or the '}' closing an option's message
+	const parseNodes = ({ inPluralOption, nested }) => {
+		const nodes = []
+		let value = ''
+		const flushText = () => {
+			if (value.length) nodes.push({ type: 'text', value })
+			value = ''
+		}
+
+		while (pos < text.length) {
+			const c = text[pos]
+			if (c === '\'') {
+				// '' is a literal apostrophe; an apostrophe before a syntax character quotes text up to the next lone apostrophe
+				if (text[pos + 1] === '\'') {
+					value += '\''
+					pos += 2
+				} else if (/[{}#|]/.test(text[pos + 1] ?? '')) {
+					const end = text.indexOf('\'', pos + 1)
+					value += text.substring(pos + 1, end < 0 ? text.length : end)
+					pos = end < 0 ? text.length : end + 1
+				} else {
+					value += c
+					++pos
+				}
+			} else if (c === '{') {
+				flushText()
+				nodes.push(parseArgument())
+			} else if (c === '}') {
+				if (!nested) fail('Unexpected "}"')
+				break
+			} else if (c === '#' && inPluralOption) {
+				flushText()
+				nodes.push({ type: 'pound' })
+				++pos
+			} else {
+				value += c
+				++pos
+			}
+		}
+		flushText()
+		return nodes
+	}
+
+	const parseArgument = () => {
+		expect('{')
+		skipWhitespace()
+		const name = readWord()
+		if (!name) fail('Expected an argument name')
+		skipWhitespace()
+		if (text[pos] === '}') {
+			++pos
+			return { type: 'argument', name, argType: null, style: null }
+		}
+
+		expect(',')
+		skipWhitespace()
+		const argType = readWord()
+		if (!argType) fail('Expected an argument type')
+		skipWhitespace()
+
+		if (!COMPLEX_ARGUMENT_TYPES.includes(argType)) {
+			let style = null
+			if (text[pos] === ',') {
+				// A simple argument's style runs to the argument's closing brace, e.g. '::currency/EUR' or a date pattern
+				++pos
+				const start = pos
+				for (let depth = 0; pos < text.length && (depth > 0 || text[pos] !== '}'); ++pos) {
+					if (text[pos] === '{') ++depth
+					else if (text[pos] === '}') --depth
+				}
+				style = text.substring(start, pos).trim()
+			}
+			expect('}')
+			return { type: 'argument', name, argType, style }
+		}
+
+		expect(',')
+		skipWhitespace()
+		let offset = 0
+		if (argType !== 'select' && text.startsWith('offset:', pos)) {
+			pos += 'offset:'.length
+			skipWhitespace()
+			const match = text.substring(pos).match(/^\d+/)
+			if (!match) fail('Expected an offset')
+			offset = parseInt(match[0])
+			pos += match[0].length
+		}
+
+		const options = {}
+		for (skipWhitespace(); text[pos] !== '}'; skipWhitespace()) {
+			const selector = readWord()
+			if (!selector) fail('Expected a selector')
+			if (selector in options) fail(`Duplicate "${selector}" selector`)
+			expect('{')
+			options[selector] = parseNodes({ inPluralOption: argType !== 'select', nested: true })
+			expect('}')
+		}
+		if (!('other' in options)) fail(`Expected an "other" selector for "${name}"`)
+		++pos
+		return { type: argType, name, offset, options }
+	}
+
+	return parseNodes({ inPluralOption: false, nested: false })
+}
+
+// Returns text with ICU syntax characters quoted, so that it's parsed as the same text
+function escapeIcuText(text) {
+	return text
+		.replace(/'/g, '\'\'')
+		.replace(/[{}#]+/g, '\'$&\'')
+}
+
+// Returns the message for nodes, as parsed by parseIcuMessage(), i.e. formatIcuMessage(parseIcuMessage(text)) is
+// equivalent to text
+export function formatIcuMessage(nodes) {
+	return nodes
+		.map(node => {
+			switch (node.type) {
+				case 'text':
+					return escapeIcuText(node.value)
+				case 'pound':
+					return '#'
+				case 'argument':
+					return `{${[ node.name, node.argType, node.style ].filter(part => part !== null).join(', ')}}`
+				default: {
+					const options = Object.entries(node.options)
+						.map(([ selector, optionNodes ]) => `${selector} {${formatIcuMessage(optionNodes)}}`)
+						.join(' ')
+					return `{${node.name}, ${node.type}, ${node.offset ? `offset:${node.offset} ` : ''}${options}}`
+				}
+			}
+		})
+		.join('')
+}
+
+// Yields every argument node in nodes, including those nested within other arguments' options
+function* getArgumentNodes(nodes) {
+	for (const node of nodes) {
+		if (node.type === 'text' || node.type === 'pound') continue
+		yield node
+		for (const optionNodes of Object.values(node.options ?? {})) yield* getArgumentNodes(optionNodes)
+	}
+}
+
+// Returns the sorted, unique argument names in nodes
+export function getIcuArgumentNames(nodes) {
+	return [ ...new Set([ ...getArgumentNodes(nodes) ].map(node => node.name)) ].sort()
+}
+
+// Returns whether text is an ICU message with plural, selectordinal or select arguments; messages with only simple
+// arguments, like '{name}', are no different to other placeholders
+export function isComplexIcuMessage(text) {
+	try {
+		return [ ...getArgumentNodes(parseIcuMessage(text)) ].some(node => COMPLEX_ARGUMENT_TYPES.includes(node.type))
+	} catch (error) {
+		return false
+	}
+}
+
+// Returns the CLDR plural categories lang uses for cardinal ('plural') or ordinal ('selectordinal') numbers, e.g.
+// [ 'one', 'few', 'many', 'other' ] for Polish, or null if lang isn't known
+export function getPluralCategoriesForLanguage(lang, argType = 'plural') {
+	try {
+		return new Intl.PluralRules(lang, { type: argType === 'selectordinal' ? 'ordinal' : 'cardinal' }).resolvedOptions().pluralCategories
+			.sort((a, b) => PLURAL_CATEGORIES.indexOf(a) - PLURAL_CATEGORIES.indexOf(b))
+	} catch (error) {
+		return null
+	}
+}
+
+// Returns [ { name, argType, categories } ] for each plural and selectordinal argument in text, with the categories lang
+// needs for it
+export function getIcuPluralArguments(text, lang) {
+	return [ ...getArgumentNodes(parseIcuMessage(text)) ]
+		.filter(node => node.type === 'plural' || node.type === 'selectordinal')
+		.map(node => ({ name: node.name, argType: node.type, categories: getPluralCategoriesForLanguage(lang, node.type) }))
+}
+
+// Checks that translation is a valid ICU message with the same arguments as reference, and that each of its plural
+// arguments has the plural categories targetLang needs. Returns null if so, or { token, data } describing the first problem.
+export function validateIcuTranslation({ reference, translation, targetLang }) {
+	const referenceNodes = parseIcuMessage(reference)
+	let translationNodes
+	try {
+		translationNodes = parseIcuMessage(translation)
+	} catch (error) {
+		return { token: 'error-icu-invalid-syntax', data: { error: error.message } }
+	}
+
+	const expectedNames = getIcuArgumentNames(referenceNodes)
+	const names = getIcuArgumentNames(translationNodes)
+	if (expectedNames.join(',') !== names.join(',')) {
+		return { token: 'error-icu-arguments-changed', data: { expected: expectedNames.join(', ') || '(none)', actual: names.join(', ') || '(none)' } }
+	}
+
+	const referenceArguments = [ ...getArgumentNodes(referenceNodes) ]
+	for (const node of getArgumentNodes(translationNodes)) {
+		const referenceNode = referenceArguments.find(n => n.name === node.name)
+		const expectedType = referenceNode.argType ?? referenceNode.type
+		const type = node.argType ?? node.type
+		if (type !== expectedType) {
+			return { token: 'error-icu-argument-type-changed', data: { name: node.name, expected: expectedType, actual: type } }
+		}
+
+		if (node.type === 'select') {
+			// Select options are keywords from the app, e.g. 'male', 'female', so must not be translated
+			const expectedSelectors = Object.keys(referenceNode.options).sort().join(', ')
+			const selectors = Object.keys(node.options).sort().join(', ')
+			if (selectors !== expectedSelectors) {
+				return { token: 'error-icu-select-options-changed', data: { name: node.name, expected: expectedSelectors, actual: selectors } }
+			}
+		} else if (node.type === 'plural' || node.type === 'selectordinal') {
+			const missingCategories = (getPluralCategoriesForLanguage(targetLang, node.type) ?? [])
+				.filter(category => !(category in node.options))
+			if (missingCategories.length) {
+				return { token: 'error-icu-missing-plural-categories', data: { name: node.name, categories: missingCategories.join(', ') } }
+			}
+		}
+	}
+
+	return null
+}
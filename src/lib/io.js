@@ -3,10 +3,12 @@ import * as fs from 'fs'
 import * as fsp from 'fs/promises'
 import * as path from 'path'
 import stripJsonComments from 'strip-json-comments'
+import { transform } from 'sucrase'
 import { ensureExtension, normalizeKey } from './utils.js'
 import { assertIsObj, assertValidPath } from './assert.js'
 import { pathToFileURL } from 'url'
 import { CWD } from './consts.js'
+import { isPlainObject } from './key-paths.js'
 import { localizeFormatted } from '../localizer/localize.js'
 
 export async function mkTmpDir() {
@@ -32,6 +34,18 @@ export async function readFileAsText(filePath) {
 	}
 }
 
+// Synchronous version of readFileAsText(), for use during shutdown
+export function readFileAsTextSync(filePath) {
+	try {
+		return fs.readFileSync(filePath, 'utf8')
+	} catch (error) {
+		if (error.code === 'ENOENT') {
+			return null
+		}
+		throw error
+	}
+}
+
 export async function readJsonFile(filePath, isJSONComments = false) {
 	let content = await readFileAsText(filePath)
 	if (isJSONComments) content = stripJsonComments(content)
@@ -76,6 +90,33 @@ export async function copyFileToTempAndEnsureExtension({ appLang, filePath, tmpD
 	}
 }
 
+// Strips TypeScript-only syntax (types, 'as const', etc.) from the .ts, .mts or .cts file at filePath, and writes the result
+// to tmpDir as an .mjs, or a .cjs for .cts files, so it can be dynamically imported. Returns the written file's path.
+export async function transpileTsFileToTemp({ appLang, filePath, tmpDir, log }) {
+	const isCommonJs = path.extname(filePath).toLowerCase() === '.cts'
+	let code
+	try {
+		code = transform(await fsp.readFile(filePath, 'utf8'), {
+			transforms: isCommonJs ? [ 'typescript', 'imports' ] : [ 'typescript' ],
+			filePath,
+			disableESTransforms: true
+		}).code
+	} catch (error) {
+		throw new Error(
+			localizeFormatted({
+				token: 'error-transpiling-typescript-file',
+				data: { filePath, error: error.message },
+				lang: appLang,
+				log
+			})
+		)
+	}
+
+	const destPath = path.join(tmpDir, ensureExtension(path.basename(filePath), isCommonJs ? 'cjs' : 'mjs'))
+	await fsp.writeFile(destPath, code, 'utf8')
+	return destPath
+}
+
 // Dynamically imports the javascript file at filePath, which can be relative or absolute
 export async function importJsFile(filePath) {
 	if (!path.isAbsolute(filePath)) {
@@ -87,21 +128,21 @@ export async function importJsFile(filePath) {
 }
 
 export function normalizeOutputPath({ dir, filename, normalize }) {
-	return path.join(dir, normalize ? filename.toLowerCase() : filename)
+	return path.resolve(dir, normalize ? filename.toLowerCase() : filename)
 }
 
-export function writeJsonFile(filePath, data, log) {
-	assertValidPath(filePath)
-	assertIsObj(data)
-	log.V(`Preparing to write ${filePath}...`)
-
-	// Create normalized version of data with consistent key encoding
-	log.D(`Normalizing data...`)
-	const normalizedData = {}
+// Returns a copy of data with consistent key encoding; nested objects keep their shape
+export function normalizeKeys(data) {
+	const result = {}
 	for (const [ key, value ] of Object.entries(data)) {
-		normalizedData[normalizeKey(key)] = value
+		result[normalizeKey(key)] = isPlainObject(value) ? normalizeKeys(value) : value
 	}
-	log.D(`Done.`)
+	return result
+}
+
+// Writes content, a string (as UTF-8) or a Uint8Array, creating the file's directory if needed
+export function writeFile(filePath, content, log) {
+	assertValidPath(filePath)
 
 	try {
 		const dir = path.dirname(filePath)
@@ -117,19 +158,31 @@ export function writeJsonFile(filePath, data, log) {
 
 	log.V(`Writing ${filePath}...`)
 	try {
-		fs.writeFileSync(filePath, JSON.stringify(normalizedData, null, 2), 'utf8')
+		fs.writeFileSync(filePath, content, 'utf8')
 	} catch (err) {
 		log.E(err)
 	}
 	log.D(`Done.`)
 }
 
+export function writeJsonFile(filePath, data, log) {
+	assertValidPath(filePath)
+	assertIsObj(data)
+	log.V(`Preparing to write ${filePath}...`)
+
+	log.D(`Normalizing data...`)
+	const normalizedData = normalizeKeys(data)
+	log.D(`Done.`)
+
+	writeFile(filePath, JSON.stringify(normalizedData, null, 2), log)
+}
+
 export function dirExists(dir, log) {
 	try {
 		log.D(`fetching stats for ${dir}...`)
 		return fs.statSync(dir).isDirectory()
 	} catch (error) {
-		log.E(error)
+		if (error.code !== 'ENOENT') log.E(error)
 		return false
 	}
 }
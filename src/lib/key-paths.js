@@ -0,0 +1,70 @@
+import { unique } from './utils.js'
+
+// Reference data may be nested, e.g. { auth: { login: { title: '...' } } }. Internally, each leaf value is addressed by a
+// key path (array of keys), and externally (--keys, cache, display) by its dotted string form, e.g. 'auth.login.title'
+
+export function isPlainObject(x) {
+	return x !== null && typeof x === 'object' && !Array.isArray(x)
+}
+
+export function keyPathToString(keyPath) {
+	return keyPath.join('.')
+}
+
+// Returns the last key in keyPath, i.e. the name of the leaf value itself
+export function getLeafKey(keyPath) {
+	return keyPath[keyPath.length - 1]
+}
+
+// Returns the key paths of all leaf (non-object) values in data, in traversal order
+export function getKeyPaths(data, parentKeyPath = []) {
+	const result = []
+	for (const [ key, value ] of Object.entries(data ?? {})) {
+		const keyPath = [ ...parentKeyPath, key ]
+		if (isPlainObject(value)) {
+			result.push(...getKeyPaths(value, keyPath))
+		} else {
+			result.push(keyPath)
+		}
+	}
+	return result
+}
+
+// Returns a map of dotted key => key path, for all leaf values in data
+export function mapKeyPaths(data) {
+	const result = {}
+	for (const keyPath of getKeyPaths(data)) {
+		result[keyPathToString(keyPath)] = keyPath
+	}
+	return result
+}
+
+export function getValueAtKeyPath(data, keyPath) {
+	let value = data
+	for (const key of keyPath) {
+		if (!isPlainObject(value) || !(key in value)) return undefined
+		value = value[key]
+	}
+	return value
+}
+
+export function setValueAtKeyPath(data, keyPath, value) {
+	let parent = data
+	for (const key of keyPath.slice(0, -1)) {
+		if (!isPlainObject(parent[key])) parent[key] = {}
+		parent = parent[key]
+	}
+	parent[getLeafKey(keyPath)] = value
+}
+
+// Resolves a list of dotted keys (e.g. from --keys) against keyPathMap. A key naming a nested object selects every leaf
+// beneath it. Keys which match nothing are kept, so the caller can report them as missing.
+export function resolveKeys(keys, keyPathMap) {
+	const allKeys = Object.keys(keyPathMap)
+	const result = []
+	for (const key of keys) {
+		const matches = allKeys.filter(k => k === key || k.startsWith(`${key}.`))
+		result.push(...(matches.length ? matches : [ key ]))
+	}
+	return unique(result)
+}
@@ -0,0 +1,130 @@
+// Inline markup in strings, e.g. 'Read the <a href="/terms">terms</a>' or React-Intl's rich text tags, like
+// '<link>Learn more</link>'. Translations must keep the reference value's tags, their attributes and their nesting.
+
+import { subtract, unique } from './utils.js'
+
+// HTML elements with no closing tag. Other tags which are never closed must be self-closing, e.g. '<icon/>'.
+const VOID_ELEMENTS = [
+	'br',
+	'hr',
+	'img',
+	'input',
+	'wbr'
+]
+
+const TAG_REGEX = /<(\/?)([a-zA-Z0-9][\w.:-]*)((?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>/g
+const ATTRIBUTE_REGEX = /([^\s=>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g
+
+
+function parseAttributes(text) {
+	const result = {}
+	for (const [ , name, doubleQuoted, singleQuoted, unquoted ] of text.matchAll(ATTRIBUTE_REGEX)) {
+		result[name] = doubleQuoted ?? singleQuoted ?? unquoted ?? ''
+	}
+	return result
+}
+
+// Returns a tag as written, with its attributes in a stable order, e.g. '<a href="/terms" target="_blank">'
+export function formatTag({ name, attributes }) {
+	const attributeStr = Object.keys(attributes)
+		.sort()
+		.map(attributeName => ` ${attributeName}="${attributes[attributeName]}"`)
+		.join('')
+	return `<${name}${attributeStr}>`
+}
+
+// Parses the tags in text into a tree of { name, attributes, children } nodes, ignoring the text between them. Throws an
+// Error describing the first unbalanced tag, if any.
+export function parseMarkup(text) {
+	const root = { name: null, attributes: {}, children: [] }
+	const stack = [ root ]
+	for (const [ tag, closing, name, attributeText, selfClosing ] of text.matchAll(TAG_REGEX)) {
+		const parent = stack[stack.length - 1]
+		if (closing) {
+			if (parent.name !== name) {
+				throw new Error(parent.name ? `"${tag}" closes <${parent.name}>` : `"${tag}" has no opening tag`)
+			}
+			stack.pop()
+			continue
+		}
+
+		const node = { name, attributes: parseAttributes(attributeText), children: [] }
+		parent.children.push(node)
+		if (!selfClosing && !VOID_ELEMENTS.includes(name.toLowerCase())) stack.push(node)
+	}
+	if (stack.length > 1) throw new Error(`<${stack[stack.length - 1].name}> is not closed`)
+	return root.children
+}
+
+// Returns the tags in text, in order, as [ { index, text } ], where index is the position of text
+export function findTags(text) {
+	return [ ...text.matchAll(TAG_REGEX) ].map(match => ({ index: match.index, text: match[0] }))
+}
+
+// Returns whether text has tags. Text whose tags are unbalanced, like 'a < b > c', doesn't count.
+export function hasMarkup(text) {
+	try {
+		return parseMarkup(text).length > 0
+	} catch (error) {
+		return false
+	}
+}
+
+// Yields every node in a tree
+function* getNodes(nodes) {
+	for (const node of nodes) {
+		yield node
+		yield* getNodes(node.children)
+	}
+}
+
+// Returns each distinct tag in text, e.g. [ '<b>', '<a href="/terms">' ]
+export function getMarkupTags(text) {
+	return unique([ ...getNodes(parseMarkup(text)) ].map(formatTag))
+}
+
+// Returns a string describing a tree's structure, in which siblings' order doesn't matter, since translations may reorder
+// them
+function getStructure(nodes) {
+	return nodes
+		.map(node => `${formatTag(node)}[${getStructure(node.children)}]`)
+		.sort()
+		.join('')
+}
+
+// Checks that translation has the same tags as reference, with the same attributes and nesting. Returns null if so, or
+// { token, data } describing the first problem. With exactCounts: false, only which tags are used is checked, e.g. for ICU
+// messages, where each plural form repeats the tags, and languages have different numbers of plural forms.
+export function validateMarkup({ reference, translation, exactCounts = true }) {
+	const referenceNodes = parseMarkup(reference)
+	let translationNodes
+	try {
+		translationNodes = parseMarkup(translation)
+	} catch (error) {
+		return { token: 'error-markup-unbalanced', data: { error: error.message } }
+	}
+
+	let expectedTags = [ ...getNodes(referenceNodes) ].map(formatTag)
+	let tags = [ ...getNodes(translationNodes) ].map(formatTag)
+	if (!exactCounts) {
+		expectedTags = unique(expectedTags)
+		tags = unique(tags)
+	}
+	const missing = subtract(expectedTags, tags)
+	const unexpected = subtract(tags, expectedTags)
+	if (missing.length || unexpected.length) {
+		return {
+			token: 'error-markup-tags-changed',
+			data: {
+				missing: missing.join(', ') || '(none)',
+				unexpected: unexpected.join(', ') || '(none)'
+			}
+		}
+	}
+
+	if (exactCounts && getStructure(referenceNodes) !== getStructure(translationNodes)) {
+		return { token: 'error-markup-nesting-changed', data: {} }
+	}
+
+	return null
+}
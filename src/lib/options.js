@@ -1,10 +1,11 @@
 import { isBcp47LanguageTagValid } from '../localizer/localize.js'
+import { PSEUDO_LOCALES } from './consts.js'
 import { unique } from './utils.js'
 
 // Helper function to parse comma-separated list
 export function languageList(value, log) {
 	const languages = unique(value.split(',').map(item => item.trim()))
-	const invalid = languages.filter(tag => !isBcp47LanguageTagValid(tag))
+	const invalid = languages.filter(tag => !isBcp47LanguageTagValid(tag) && !PSEUDO_LOCALES.includes(tag))
 	if (invalid.length) {
 		log.E(`Found invalid language(s): ${invalid.join(', ')}`)
 		process.exit(1)
@@ -0,0 +1,52 @@
+import * as path from 'path'
+import { localizeFormatted } from '../localizer/localize.js'
+
+// Splits a BCP47 tag (or an underscore-style tag like 'pt_BR') into its language, script and region subtags
+export function parseLanguageTag(tag) {
+	const [ language, ...subtags ] = tag.split(/[-_]/)
+	return {
+		language,
+		script: subtags.find(s => /^[a-zA-Z]{4}$/.test(s)) ?? '',
+		region: subtags.find(s => /^([a-zA-Z]{2}|[0-9]{3})$/.test(s)) ?? ''
+	}
+}
+
+// Returns the language qualifier Android uses for resource directories, e.g. 'fr', 'pt-rBR', or 'b+zh+Hant' for tags
+// with a script or a numeric region
+export function getAndroidLanguageQualifier(tag) {
+	const { language, script, region } = parseLanguageTag(tag)
+	if (script.length || /^[0-9]+$/.test(region)) return [ 'b', language, script, region ].filter(s => s.length).join('+')
+	return region.length ? `${language}-r${region}` : language
+}
+
+// Returns a map of template token => value for the given target language
+export function getOutputPathTokens({ targetLang, referenceFile, extension }) {
+	const ext = path.extname(referenceFile)
+	return {
+		lang: targetLang,
+		lang_underscore: targetLang.replace(/-/g, '_'),
+		lang_android: getAndroidLanguageQualifier(targetLang),
+		...parseLanguageTag(targetLang),
+		basename: path.basename(referenceFile, ext),
+		ext: extension
+	}
+}
+
+// Expands a template like 'locales/{lang}/{basename}.{ext}' for the given target language. Relative results are relative
+// to the output dir.
+export function expandOutputPathTemplate({ appLang, template, targetLang, referenceFile, extension, log }) {
+	const tokens = getOutputPathTokens({ targetLang, referenceFile, extension })
+	return template.replace(/\{([^}]*)\}/g, (match, token) => {
+		if (!(token in tokens)) {
+			throw new Error(
+				localizeFormatted({
+					token: 'error-unknown-output-path-template-token',
+					data: { token: match, template, tokens: Object.keys(tokens).map(t => `{${t}}`).join(', ') },
+					lang: appLang,
+					log
+				})
+			)
+		}
+		return tokens[token]
+	})
+}
@@ -0,0 +1,57 @@
+// Placeholders for values an app substitutes into its strings at runtime, which must survive translation unchanged
+
+import { subtract } from './utils.js'
+
+// Each syntax's pattern, in the order they're tried at each position. Names may be in any script. printf specifiers
+// include positional ones (e.g. '%1$d'), length modifiers (e.g. '%lld') and Apple's '%@'; a space flag isn't supported,
+// so that '100% sure' isn't one.
+const PLACEHOLDER_SYNTAXES = [
+	{ name: 'percent', pattern: '%%[\\p{L}\\p{N}_.-]+%%' },	// %%name%%
+	{ name: 'escapedPercent', pattern: '%%' },	// A literal '%' in printf strings; not a placeholder
+	{ name: 'doubleBraces', pattern: '\\{\\{\\s*[\\p{L}\\p{N}_.-]+\\s*\\}\\}' },	// {{name}}
+	{ name: 'singleBraces', pattern: '\\{[\\p{L}\\p{N}_.-]+\\}' },	// {name}
+	{ name: 'printf', pattern: '%(?:\\d+\\$)?[-+#0]*\\d*(?:\\.\\d+)?(?:hh|h|ll|l|L|q|j|z|t)?[sdiufFeEgGxXoaAcp@]' },	// %s, %1$d, %.2f
+	{ name: 'colon', pattern: '(?<![\\p{L}\\p{N}_:/]):[\\p{L}_][\\p{L}\\p{N}_]*' }	// :name
+]
+
+// Returns the placeholders in text, in order, as [ { index, text, syntax } ], where index is the position of text. Literal '%'s in
+// printf strings ('%%') aren't placeholders, so aren't included. Single-brace placeholders are skipped with
+// singleBraces: false, e.g. for ICU messages, whose arguments are checked separately.
+export function findPlaceholders(text, { singleBraces = true } = {}) {
+	const syntaxes = PLACEHOLDER_SYNTAXES.filter(({ name }) => singleBraces || name !== 'singleBraces')
+	const regex = new RegExp(syntaxes.map(({ pattern }) => `(${pattern})`).join('|'), 'gu')
+
+	const result = []
+	for (const match of text.matchAll(regex)) {
+		const syntax = syntaxes[match.slice(1).findIndex(group => group !== undefined)]
+		if (syntax.name === 'escapedPercent') continue
+		result.push({ index: match.index, text: match[0], syntax: syntax.name })
+	}
+	return result
+}
+
+// Returns the placeholders in text, sorted, with a placeholder appearing as many times as it does in text. {{name}}
+// placeholders are normalized to have no inner whitespace.
+export function extractPlaceholders(text, { singleBraces = true } = {}) {
+	return findPlaceholders(text, { singleBraces })
+		.map(({ text, syntax }) => syntax === 'doubleBraces' ? text.replace(/\s+/g, '') : text)
+		.sort()
+}
+
+// Checks that translation has the same placeholders as reference. Returns null if so, or { token, data } describing the
+// placeholders which were lost or added.
+export function validatePlaceholders({ reference, translation, singleBraces }) {
+	const expected = extractPlaceholders(reference, { singleBraces })
+	const actual = extractPlaceholders(translation, { singleBraces })
+	const missing = subtract(expected, actual)
+	const unexpected = subtract(actual, expected)
+	if (!missing.length && !unexpected.length) return null
+
+	return {
+		token: 'error-placeholders-changed',
+		data: {
+			missing: missing.join(', ') || '(none)',
+			unexpected: unexpected.join(', ') || '(none)'
+		}
+	}
+}
@@ -0,0 +1,33 @@
+import { isPlainObject } from './key-paths.js'
+
+// CLDR plural categories, as used by Android <plurals> and Apple string catalogs
+export const PLURAL_CATEGORIES = [
+	'zero',
+	'one',
+	'two',
+	'few',
+	'many',
+	'other'
+]
+
+// A plural object maps plural categories to strings, e.g. { one: '%d file', other: '%d files' }
+export function isPluralObject(value) {
+	if (!isPlainObject(value)) return false
+	const entries = Object.entries(value)
+	return entries.length > 0 && entries.every(([ category, v ]) => PLURAL_CATEGORIES.includes(category) && typeof v === 'string')
+}
+
+// Context for one form of a plural string, so the AI knows which form it's translating
+export function getPluralCategoryContext(category) {
+	return `Plural form "${category}"`
+}
+
+// Returns a plural object with its forms in CLDR order, keeping only the given categories, if any, e.g. a language's
+// plural categories, so a translation doesn't keep forms its language never uses
+export function selectPluralForms(value, categories = null) {
+	const result = {}
+	for (const category of PLURAL_CATEGORIES) {
+		if (category in value && (!categories || categories.includes(category))) result[category] = value[category]
+	}
+	return result
+}
@@ -0,0 +1,488 @@
+import * as path from 'path'
+import { glob, isDynamicPattern } from 'tinyglobby'
+import { localize, localizeFormatted } from '../localizer/localize.js'
+import {
+	DEFAULT_CACHE_FILENAME, DEFAULT_NAMESPACED_OUTPUT_PATH_TEMPLATE, DEFAULT_OUTPUT_FORMAT, DEFAULT_OUTPUT_PATH_TEMPLATE,
+	REFERENCE_FILE_OUTPUT_FORMATS,
+	VALID_OUTPUT_FORMATS
+} from './consts.js'
+import { assertIsObj } from './assert.js'
+import { dirExists, ensureDir, mkTmpDir, normalizeOutputPath, readFileAsText } from './io.js'
+import { calculateHash, getFileExtension, unique } from './utils.js'
+import { formatContextKeyFromKey, isContextKey, isMaxLengthKey } from './context-keys.js'
+import { getLeafKey, getValueAtKeyPath, keyPathToString, mapKeyPaths, resolveKeys } from './key-paths.js'
+import { getPluralCategoryContext, isPluralObject, PLURAL_CATEGORIES } from './plurals.js'
+import { getPluralCategoriesForLanguage } from './icu.js'
+import { loadConfig } from './config.js'
+import { getOutputFormat } from './formats.js'
+import { expandOutputPathTemplate } from './output-path.js'
+import { loadCache } from './cache.js'
+import { loadReferenceFile } from './reference-loader.js'
+
+// Key qualifiers, e.g. 'common:auth.login.title', used when there's more than one reference file
+const NAMESPACE_SEPARATOR = ':'
+
+// Resolves the reference file setting, which may be a path, a glob, or a list of either, to a list of paths. Each glob's
+// matches are sorted, so namespaces are processed in a stable order.
+async function resolveReferenceFiles({ appState, referenceFile, log }) {
+	const result = []
+	for (const pattern of Array.isArray(referenceFile) ? referenceFile : [ referenceFile ]) {
+		if (!isDynamicPattern(pattern)) {
+			result.push(pattern)
+			continue
+		}
+
+		const matches = await glob(pattern, { onlyFiles: true, expandDirectories: false })
+		log.D(`"${pattern}" matched ${matches.length} file(s)`)
+		if (!matches.length) {
+			throw new Error(
+				localizeFormatted({
+					token: 'error-no-reference-files-matched',
+					data: { pattern },
+					lang: appState.lang,
+					log
+				})
+			)
+		}
+		result.push(...matches.sort())
+	}
+	return unique(result)
+}
+
+// A reference file's namespace is its name, without its extension, e.g. 'common' for 'locales/en/common.json'
+function getReferenceNamespace(referenceFile) {
+	return path.basename(referenceFile, path.extname(referenceFile))
+}
+
+// Returns a key as shown to the user, qualified by its reference file's namespace, if any
+export function formatNamespacedKey({ reference, key }) {
+	return reference.namespace === null ? key : `${reference.namespace}${NAMESPACE_SEPARATOR}${key}`
+}
+
+// Resolves everything a command needs to know about the reference files, output files and cache from CLI options and
+// config, and loads the reference data and cache. Each reference file is listed in 'references', with its own data and
+// output files. With more than one, each also has a namespace, under which its keys are stored in the cache.
+export async function loadProject({ appState, options, log }) {
+	// Attempt to load a config file, or return default values
+	const config = await loadConfig({
+		configFile: options.configFile,
+		log
+	})
+	assertIsObj(config)
+
+	const referenceFileSetting = options.referenceFile ?? config.referenceFile
+	if (!referenceFileSetting?.length) {
+		throw new Error(
+			localize({
+				token: 'error-no-reference-file-specified',
+				lang: appState.lang,
+				log
+			})
+		)
+	}
+	const referenceFiles = await resolveReferenceFiles({ appState, referenceFile: referenceFileSetting, log })
+	log.D(`referenceFiles=${referenceFiles.join(', ')}`)
+
+	// With a single reference file, there are no namespaces, so the cache keeps its original layout
+	const namespaced = referenceFiles.length > 1
+	const namespaces = {}	// Map of namespace => reference file
+	for (const referenceFile of referenceFiles) {
+		const namespace = getReferenceNamespace(referenceFile)
+		if (namespaced && namespaces[namespace]) {
+			throw new Error(
+				localizeFormatted({
+					token: 'error-duplicate-reference-namespace',
+					data: { namespace, referenceFiles: `${namespaces[namespace]}, ${referenceFile}` },
+					lang: appState.lang,
+					log
+				})
+			)
+		}
+		namespaces[namespace] = referenceFile
+	}
+
+	const refFileDir = path.dirname(referenceFiles[0])
+	let outputDir = path.resolve(options.outputDir ?? config.outputDir ?? refFileDir)
+	log.D(`outputDir=${outputDir}`)
+	if (!outputDir?.length) {
+		throw new Error(
+			localizeFormatted({
+				token: 'error-no-output-dir-specified',
+				data: { refFileDir },
+				lang: appState.lang,
+				log
+			})
+		)
+	}
+
+	if (!dirExists(outputDir, log)) {
+		log.V(`Directory "${outputDir}" did not exist -- creating...`)
+		ensureDir(outputDir, log)
+
+		if (!dirExists(outputDir, log)) {
+			throw new Error(
+				localizeFormatted({
+					token: 'error-dir-create-failed',
+					data: { dir: outputDir },
+					lang: appState.lang,
+					log
+				})
+			)
+		}
+	} else {
+		log.D(`Output dir "${outputDir}" existed`)
+	}
+
+	const referenceLanguage = options.referenceLanguage || config.referenceLanguage
+	if (!referenceLanguage || !referenceLanguage.length) {
+		throw new Error(
+			localize({ token: 'error-no-reference-language', lang: appState.lang, log })
+		)
+	}
+
+	// Get target languages from CLI or config
+	const targetLanguages = options.targetLanguages || config.targetLanguages
+	if (!targetLanguages || !targetLanguages.length) {
+		throw new Error(
+			localize({ token: 'error-no-target-languages', lang: appState.lang, log })
+		)
+	}
+
+	const normalizeOutputFilenames = options.normalizeOutputFilenames || config.normalizeOutputFilenames
+
+	// By default, output is written in the (first) reference file's own format, if it can be (e.g. .po), or JSON otherwise
+	const outputFormatName = (options.outputFormat ?? config.outputFormat ?? REFERENCE_FILE_OUTPUT_FORMATS[getFileExtension(referenceFiles[0])] ?? DEFAULT_OUTPUT_FORMAT).toLowerCase()
+	if (!VALID_OUTPUT_FORMATS.includes(outputFormatName)) {
+		throw new Error(
+			localizeFormatted({
+				token: 'error-unknown-output-format',
+				data: { outputFormat: outputFormatName },
+				lang: appState.lang,
+				log
+			})
+			+ localizeFormatted({
+				token: 'supported-output-formats',
+				data: { outputFormats: VALID_OUTPUT_FORMATS.join(', ') },
+				lang: appState.lang,
+				log
+			})
+		)
+	}
+	const outputFormat = getOutputFormat(outputFormatName)
+	log.D(`outputFormat=${outputFormatName}`)
+
+	// Each reference file's output files are kept apart by its {basename} by default, when there's more than one
+	const outputPathTemplate = options.outputPathTemplate
+		?? config.outputPathTemplate
+		?? outputFormat.outputPathTemplate
+		?? (namespaced ? DEFAULT_NAMESPACED_OUTPUT_PATH_TEMPLATE : DEFAULT_OUTPUT_PATH_TEMPLATE)
+	log.D(`outputPathTemplate=${outputPathTemplate}`)
+
+	const cacheFilePath = path.resolve(outputDir, DEFAULT_CACHE_FILENAME)
+
+	log.V(`Attempting to load cache file from "${cacheFilePath}"`)
+	const cache = await loadCache(cacheFilePath)
+	log.D(`Loaded cache file`)
+
+	// Create a tmp dir for storing the .mjs reference file; we can't dynamically import .js files directly, so we make a copy...
+	const tmpDir = await mkTmpDir()
+	appState.tmpDir = tmpDir
+
+	const references = []
+	const outputFileOwners = {}	// Map of output file path => the reference file it's written for
+	for (const referenceFile of referenceFiles) {
+		log.D(`referenceFile=${referenceFile}`)
+
+		// Resolve referenceExportedVarName
+		let referenceExportedVarName
+		const referenceFileExt = getFileExtension(referenceFile)
+		if (['js','mjs','ts','mts','cts'].includes(referenceFileExt)) {
+			log.D(`Searching for reference exported var name for .${referenceFileExt} extension...`)
+			if (options.referenceExportedVarName?.length) {
+				log.D(`Found reference exported var name via --reference-exported-var-name`)
+				referenceExportedVarName = options.referenceExportedVarName
+			} else if (config.referenceExportedVarName?.length) {
+				log.D(`Found reference exported var name in config, via 'referenceExportedVarName'`)
+				referenceExportedVarName = config.referenceExportedVarName
+			} else {
+				log.D(`No reference exported var name found; `)
+			}
+		}
+		log.D(`referenceExportedVarName=${referenceExportedVarName}`)
+
+		// Resolve each target language's output file, relative to the output dir
+		const outputFilePaths = {}	// Map of target language => output file path
+		for (const targetLang of targetLanguages) {
+			const outputFilePath = normalizeOutputPath({
+				dir: outputDir,
+				filename: expandOutputPathTemplate({
+					appLang: appState.lang,
+					template: outputPathTemplate,
+					targetLang,
+					referenceFile,
+					extension: outputFormat.extension,
+					log
+				}),
+				normalize: normalizeOutputFilenames
+			})
+
+			// Multilingual formats write every language to the same file
+			const otherTargetLang = Object.keys(outputFilePaths).find(lang => outputFilePaths[lang] === outputFilePath)
+			if (otherTargetLang && !outputFormat.multilingual) {
+				throw new Error(
+					localizeFormatted({
+						token: 'error-output-path-collision',
+						data: { outputFilePath, targetLangs: `${otherTargetLang}, ${targetLang}`, outputPathTemplate },
+						lang: appState.lang,
+						log
+					})
+				)
+			}
+
+			// ...but never two reference files' languages
+			const otherReferenceFile = outputFileOwners[outputFilePath]
+			if (otherReferenceFile && otherReferenceFile !== referenceFile) {
+				throw new Error(
+					localizeFormatted({
+						token: 'error-output-path-collision-between-references',
+						data: { outputFilePath, referenceFiles: `${otherReferenceFile}, ${referenceFile}`, outputPathTemplate },
+						lang: appState.lang,
+						log
+					})
+				)
+			}
+
+			outputFilePaths[targetLang] = outputFilePath
+			outputFileOwners[outputFilePath] = referenceFile
+		}
+
+		// Copy to a temp location first so we can ensure it has an .mjs extension
+		const referenceContextMap = {}	// Map of key => context, for reference formats with built-in context, like gettext's msgctxt
+		const referenceData = await loadReferenceFile({
+			appLang: appState.lang,
+			referenceFile,
+			referenceExportedVarName,
+			tmpDir,
+			outContextMap: referenceContextMap,
+			log
+		})
+		if (!referenceData) {
+			throw new Error(
+				localizeFormatted({
+					token: 'error-no-reference-data-in-variable',
+					data: {
+						referenceExportedVarName,
+						referenceFile,
+					},
+					lang: appState.lang,
+					log
+				})
+			)
+		}
+
+		references.push({
+			namespace: namespaced ? getReferenceNamespace(referenceFile) : null,
+			referenceFile,
+			referenceHash: calculateHash(await readFileAsText(referenceFile)),
+			referenceData,
+			referenceContextMap,
+			referenceKeyPaths: mapKeyPaths(referenceData),	// Map of dotted key (e.g. 'auth.login.title') => key path within the (possibly nested) reference data
+			outputFilePaths
+		})
+	}
+
+	log.D(`options.lookForContextData=${options.lookForContextData}`)
+	log.D(`config.lookForContextData=${config.lookForContextData}`)
+
+	return {
+		config,
+		references,
+		referenceLanguage,
+		targetLanguages,
+		outputDir,
+		outputFormat,
+		outputFormatName,
+		cacheFilePath,
+		cache,
+		lookForContextData: options.lookForContextData || config.lookForContextData,
+		contextPrefix: options.contextPrefix ?? config.contextPrefix,
+		contextSuffix: options.contextSuffix ?? config.contextSuffix,
+		maxLengthPrefix: options.maxLengthPrefix ?? config.maxLengthPrefix,
+		maxLengthSuffix: options.maxLengthSuffix ?? config.maxLengthSuffix,
+		maxLengths: config.maxLengths ?? {}	// Map of (possibly namespaced) key => maximum length of its translations
+	}
+}
+
+// Returns the dotted keys of a reference file to process: the given keys (e.g. from --keys), or all keys in its reference
+// data, minus any context and max length keys. With more than one reference file, given keys may be qualified by namespace (e.g.
+// 'common:auth.login.title'); unqualified keys are looked for in every reference file, and skipped where not found. Given a
+// target language, the forms of plural objects are those it uses; see getTargetPluralKeys().
+export function getProjectKeys({ appState, project, reference, keys, targetLang = null, log }) {
+	const { references, lookForContextData, contextPrefix, contextSuffix, maxLengthPrefix, maxLengthSuffix } = project
+	const { namespace, referenceKeyPaths } = reference
+
+	let result
+	if (!keys?.length) {
+		result = Object.keys(referenceKeyPaths)
+	} else if (namespace === null) {
+		result = resolveKeys(keys, referenceKeyPaths)
+	} else {
+		const getKeyNamespace = key => references.find(r => key.startsWith(`${r.namespace}${NAMESPACE_SEPARATOR}`))?.namespace ?? null
+		const qualifiedKeys = keys
+			.filter(key => getKeyNamespace(key) === namespace)
+			.map(key => key.substring(namespace.length + NAMESPACE_SEPARATOR.length))
+		const unqualifiedKeys = keys.filter(key => getKeyNamespace(key) === null)
+		result = unique([
+			...resolveKeys(qualifiedKeys, referenceKeyPaths),
+			...resolveKeys(unqualifiedKeys, referenceKeyPaths).filter(key => key in referenceKeyPaths)
+		])
+	}
+
+	if (lookForContextData) {
+		result = result
+			.filter(key => !isContextKey({
+				appLang: appState.lang,
+				key: getLeafKey(referenceKeyPaths[key] ?? [ key ]),	// Context keys are matched by their own name, not their parents'
+				contextPrefix,
+				contextSuffix,
+				log
+			}))
+	}
+
+	result = result.filter(key => !isMaxLengthKey({ key: getLeafKey(referenceKeyPaths[key] ?? [ key ]), maxLengthPrefix, maxLengthSuffix }))
+
+	return targetLang ? getTargetPluralKeys({ project, reference, keys: result, targetLang }) : result
+}
+
+// Returns the key path of the plural object whose form a dotted key names, e.g. [ 'files' ] for 'files.few', even if the
+// reference data has no such form, or null if it isn't one
+function getPluralParentKeyPath({ reference, key }) {
+	const { referenceData, referenceKeyPaths } = reference
+	const separatorIdx = key.lastIndexOf('.')
+	if (separatorIdx < 0 || !PLURAL_CATEGORIES.includes(key.substring(separatorIdx + 1))) return null
+
+	const parentKey = key.substring(0, separatorIdx)
+	const siblingKey = PLURAL_CATEGORIES.map(category => `${parentKey}.${category}`).find(k => k in referenceKeyPaths)
+	const parentKeyPath = siblingKey ? referenceKeyPaths[siblingKey].slice(0, -1) : null
+	return parentKeyPath?.length && isPluralObject(getValueAtKeyPath(referenceData, parentKeyPath)) ? parentKeyPath : null
+}
+
+// For formats with their own plural entries, replaces the forms of each plural object among keys with the forms
+// targetLang uses, in CLDR order, e.g. 'files.one' and 'files.other' with 'files.one', 'files.few', 'files.many' and
+// 'files.other' for Polish, or just 'files.other' for Japanese. Forms the reference data has are kept only if they were
+// among keys; forms it lacks are translated from its 'other' form.
+function getTargetPluralKeys({ project, reference, keys, targetLang }) {
+	if (!project.outputFormat.nativePlurals) return keys
+
+	const categories = getPluralCategoriesForLanguage(targetLang)
+	if (!categories) return keys
+
+	const result = []
+	const seenParentKeys = new Set()
+	for (const key of keys) {
+		const parentKeyPath = getPluralParentKeyPath({ reference, key })
+		if (!parentKeyPath) {
+			result.push(key)
+			continue
+		}
+
+		const parentKey = keyPathToString(parentKeyPath)
+		if (seenParentKeys.has(parentKey)) continue
+		seenParentKeys.add(parentKey)
+
+		for (const category of categories) {
+			const formKey = keyPathToString([ ...parentKeyPath, category ])
+			if (keys.includes(formKey) || !(formKey in reference.referenceKeyPaths)) result.push(formKey)
+		}
+	}
+	return result
+}
+
+// Returns whether a dotted key, e.g. from an XLIFF or spreadsheet file, is one of a reference file's keys, or a plural
+// form which targetLang uses but the reference data lacks
+export function isReferenceKey({ project, reference, key, targetLang }) {
+	if (key in reference.referenceKeyPaths) return true
+	return Boolean(project.outputFormat.nativePlurals && getPluralParentKeyPath({ reference, key }))
+		&& (getPluralCategoriesForLanguage(targetLang)?.includes(key.substring(key.lastIndexOf('.') + 1)) ?? false)
+}
+
+// Returns a key's maximum translation length, from the config's 'maxLengths' map or its max length key, or null if it has
+// none. Reference formats whose values are all strings may give it as a string.
+function getMaxLength({ project, reference, key, keyPath }) {
+	const { maxLengths, maxLengthPrefix, maxLengthSuffix } = project
+
+	let maxLength = maxLengths[formatNamespacedKey({ reference, key })] ?? maxLengths[key]
+	if (maxLength === undefined && (maxLengthPrefix?.length || maxLengthSuffix?.length)) {
+		maxLength = getValueAtKeyPath(reference.referenceData, [
+			...keyPath.slice(0, -1),
+			formatContextKeyFromKey({ key: getLeafKey(keyPath), prefix: maxLengthPrefix ?? '', suffix: maxLengthSuffix ?? '' })
+		])
+	}
+
+	maxLength = parseInt(maxLength)
+	return maxLength > 0 ? maxLength : null
+}
+
+// Returns the reference value, context and maximum translation length for a dotted key, and where to find its value in
+// output data
+export function getReferenceKeyInfo({ project, reference, key, log }) {
+	const { outputFormat, contextPrefix, contextSuffix } = project
+	const { referenceData, referenceContextMap, referenceKeyPaths } = reference
+
+	// A plural form which the reference data lacks, e.g. Polish 'few', is translated from the 'other' form, with its own
+	// category as context
+	const pluralParentKeyPath = key in referenceKeyPaths ? null : getPluralParentKeyPath({ reference, key })
+	if (pluralParentKeyPath) {
+		const category = key.substring(key.lastIndexOf('.') + 1)
+		const plurals = getValueAtKeyPath(referenceData, pluralParentKeyPath)
+		const sourceCategory = 'other' in plurals ? 'other' : Object.keys(plurals).pop()
+		const sourceInfo = getReferenceKeyInfo({ project, reference, key: keyPathToString([ ...pluralParentKeyPath, sourceCategory ]), log })
+		const refContextValue = [
+			sourceInfo.refContextValue?.replace(getPluralCategoryContext(sourceCategory), '').trim(),
+			getPluralCategoryContext(category)
+		].filter(c => c?.length).join('\n')
+		return {
+			...sourceInfo,
+			keyPath: [ ...pluralParentKeyPath, category ],
+			outputKeyPath: [ ...sourceInfo.outputKeyPath.slice(0, -1), category ],
+			refContextValue,
+			referenceValueHash: calculateHash(`${sourceInfo.refValue}_${refContextValue}${sourceInfo.maxLength ? `_maxLength:${sourceInfo.maxLength}` : ''}`)
+		}
+	}
+
+	const keyPath = referenceKeyPaths[key] ?? [ key ]
+
+	// Flat formats store nested keys in dotted form, except for the forms of a plural object, if the format has its own
+	// plural entries
+	let outputKeyPath = keyPath
+	if (outputFormat.flat) {
+		const parentKeyPath = keyPath.slice(0, -1)
+		outputKeyPath = (outputFormat.nativePlurals && parentKeyPath.length && isPluralObject(getValueAtKeyPath(referenceData, parentKeyPath)))
+			? [ keyPathToString(parentKeyPath), getLeafKey(keyPath) ]
+			: [ key ]
+	}
+
+	// A context key is a sibling of the key it describes, e.g. 'auth.login._context:title' for 'auth.login.title'
+	const contextKeyPath = [
+		...keyPath.slice(0, -1),
+		formatContextKeyFromKey({
+			key: getLeafKey(keyPath),
+			prefix: contextPrefix,
+			suffix: contextSuffix
+		})
+	]
+	log.T(`contextKeyPath=${contextKeyPath}`)
+
+	const refValue = getValueAtKeyPath(referenceData, keyPath)
+	const refContextValue = getValueAtKeyPath(referenceData, contextKeyPath) ?? referenceContextMap[key] ?? null
+	const maxLength = getMaxLength({ project, reference, key, keyPath })
+
+	return {
+		keyPath,
+		outputKeyPath,
+		refValue,
+		refContextValue,
+		maxLength,
+		referenceValueHash: calculateHash(`${refValue}${refContextValue?.length ? `_${refContextValue}` : ''}${maxLength ? `_maxLength:${maxLength}` : ''}`)	// If any of the ref value, the context value or the max length change, we'll update
+	}
+}
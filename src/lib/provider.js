@@ -1,17 +1,139 @@
 import * as path from 'path'
+import { createRequire } from 'module'
+import { localize, localizeFormatted } from '../localizer/localize.js'
+import { CWD, DEFAULT_LLM_MODELS, VALID_TRANSLATION_PROVIDERS } from './consts.js'
 import { importJsFile } from './io.js'
+import { unique } from './utils.js'
 
-export async function loadTranslationProvider({__dirname, providerName, log}) {
-	const apiKeyName = `${providerName.toUpperCase()}_API_KEY`
-	const apiKey = process.env[apiKeyName]
-	if (!apiKey?.length) {
-		log.E(`${apiKeyName} environment variable is not set`)
-		process.exit(1)
-	}
+// A translation provider is an ES module exporting:
+// * name(): its display name, e.g. 'Anthropic'
+// * getTranslationRequestDetails({ model, messages, apiKey, settings, log }): { url, params, config } for an axios POST
+//   request, where messages is the prompt, as an array of strings. Machine translation providers, which take the text to
+//   translate rather than a prompt, export getTextTranslationRequestDetails({ text, sourceLang, targetLang, context,
+//   appContextMessage, model, apiKey, settings, log }) instead. Providers which translate locally, without a request,
+//   export translateText({ text, sourceLang, targetLang, settings, log }) instead, which returns the translation, and
+//   don't need getResult() or getSleepInterval().
+// * getResult(response, log, settings): the translated text, from the axios response, or null if the response is malformed,
+//   in which case it's retried
+// * getSleepInterval(headers, log): ms to wait before retrying a rate limited (429) request, or 0 to not wait
+// * listModels(apiKey, settings): the models available, for the list-models command
+// * defaultModel(settings) [optional]: the model to use if --model isn't specified
+// * isApiKeyRequired() [optional]: false if the API key is optional; it's required by default
+// * getRequiredSettings(settings) [optional]: the names of the settings it can't do without
+// * usesDeployments() [optional]: true if its models are deployment names, rather than the model IDs listModels() returns,
+//   so list-models can't check routes' models
+// * usesStructuredOutput(settings) [optional]: true if its responses are structured, e.g. JSON with the translation in a
+//   field, rather than text; otherwise, chat-based providers' translations are checked for preambles and the like
+// * getUsage(response, log) [optional]: the tokens a request used, { inputTokens, outputTokens }, from the axios response,
+//   or null if it doesn't say
+// * submitBatch({ requests, apiKey, settings, log }) and getBatchResults({ batchId, apiKey, settings, log }) [optional]: for
+//   --batch, submits requests, [ { id, model, messages } ], as one asynchronous batch, returning its ID, and later returns
+//   { status, results, usage }, where results maps request IDs to translated text (or null, for failed requests), or is
+//   null while the batch is still in progress, and usage, if any, maps request IDs to the tokens they used, like getUsage()
+// settings is the provider's entry in the config's 'providers' setting, if any. Entries are keyed by provider name, and
+// may configure one of ALT's own providers, like:
+// "providers": { "openai-compatible": { "baseUrl": "http://localhost:8080/v1" } }
+// or add another provider, based on one of ALT's own, or on a plugin, like:
+// "providers": { "vllm": { "provider": "openai-compatible", "baseUrl": "..." }, "gateway": { "module": "./alt-gateway.mjs" } }
+// where 'module' is a file path, relative to the current working directory, or an installed package's name. Any entry may
+// set 'apiKeyEnvVar', the environment variable to read its API key from, and 'model', its default model.
+const REQUIRED_PROVIDER_FUNCTIONS = [
+	'name',
+	'getResult',
+	'getSleepInterval',
+	'listModels'
+]
+// Functions which providers that translate locally don't need, as they don't make requests
+const REQUEST_FUNCTIONS = [
+	'getResult',
+	'getSleepInterval'
+]
+
+// Returns whether provider is a machine translation provider, rather than a chat-based one, i.e. it takes the text to
+// translate rather than a prompt
+export function isTextTranslationProvider(provider) {
+	return typeof provider.getTextTranslationRequestDetails === 'function' || isLocalProvider(provider)
+}
+
+// Returns whether provider translates locally, rather than by making requests
+export function isLocalProvider(provider) {
+	return typeof provider.translateText === 'function'
+}
+
+// Returns the model to use with a provider if none is specified: its 'model' setting, its own default, or ALT's default
+// for it, or null if it has none
+export function getDefaultModel(provider, settings) {
+	return settings.model ?? provider.defaultModel?.(settings) ?? DEFAULT_LLM_MODELS[provider.name().toLowerCase()] ?? null
+}
+
+// Returns whether a plugin's module setting is a file path, rather than a package name
+function isModulePath(module) {
+	return module.startsWith('.') || path.isAbsolute(module)
+}
 
-	return {
-		apiKey,
-		api: await importJsFile(path.resolve(__dirname, `providers/${providerName}.mjs`)),
+async function importProviderModule({ appState, providerName, settings }) {
+	if (settings.module?.length) {
+		if (isModulePath(settings.module)) return await importJsFile(settings.module)
+
+		// Resolve packages from the current working directory, i.e. the user's project, rather than from ALT's own
+		const require = createRequire(path.join(CWD, 'package.json'))
+		return await importJsFile(require.resolve(settings.module))
 	}
+	return await importJsFile(path.resolve(appState.__dirname, `providers/${settings.provider ?? providerName}.mjs`))
+}
+
+// Returns the default name of a provider's API key environment variable, e.g. 'OPENAI_COMPATIBLE_API_KEY'
+function getDefaultApiKeyEnvVar(providerName) {
+	return `${providerName.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_API_KEY`
 }
 
+// Loads a provider by name, from ALT's own providers or the entries in config.providers, and reads its API key from the
+// environment. Returns { apiKey, api, settings }.
+export async function loadTranslationProvider({ appState, config, providerName, log }) {
+	const entries = config?.providers ?? {}
+	const settings = entries[providerName] ?? {}
+	const builtInName = settings.provider ?? providerName
+	if (!settings.module && !VALID_TRANSLATION_PROVIDERS.includes(builtInName)) {
+		throw new Error(
+			(!providerName
+				? localize({ token: 'error-no-provider-specified', lang: appState.lang, log })
+				: entries[providerName]
+					? localizeFormatted({ token: 'error-provider-entry-invalid', data: { providerName, provider: settings.provider ?? '' }, lang: appState.lang, log })
+					: localizeFormatted({ token: 'error-unknown-provider', data: { providerName }, lang: appState.lang, log }))
+			+ localizeFormatted({
+				token: 'supported-providers',
+				data: { providers: unique([ ...VALID_TRANSLATION_PROVIDERS, ...Object.keys(entries) ]).join(', ') },
+				lang: appState.lang,
+				log
+			})
+		)
+	}
+
+	let api
+	try {
+		api = await importProviderModule({ appState, providerName, settings })
+	} catch (error) {
+		throw new Error(localizeFormatted({ token: 'error-provider-plugin-load-failed', data: { providerName, module: settings.module ?? builtInName, error: error.message }, lang: appState.lang, log }))
+	}
+
+	const missingFunctions = [
+		...(typeof api.getTranslationRequestDetails !== 'function' && !isTextTranslationProvider(api) ? [ 'getTranslationRequestDetails' ] : []),
+		...REQUIRED_PROVIDER_FUNCTIONS.filter(f => typeof api[f] !== 'function' && !(isLocalProvider(api) && REQUEST_FUNCTIONS.includes(f)))
+	]
+	if (missingFunctions.length) {
+		throw new Error(localizeFormatted({ token: 'error-provider-plugin-invalid', data: { providerName, functions: missingFunctions.join(', ') }, lang: appState.lang, log }))
+	}
+
+	const missingSettings = (api.getRequiredSettings?.(settings) ?? []).filter(setting => settings[setting] === undefined || settings[setting] === '')
+	if (missingSettings.length) {
+		throw new Error(localizeFormatted({ token: 'error-provider-missing-settings', data: { providerName, settings: missingSettings.join(', ') }, lang: appState.lang, log }))
+	}
+
+	const apiKeyName = settings.apiKeyEnvVar ?? getDefaultApiKeyEnvVar(providerName)
+	const apiKey = process.env[apiKeyName] ?? null
+	if (!apiKey?.length && api.isApiKeyRequired?.() !== false) {
+		throw new Error(localizeFormatted({ token: 'error-api-key-not-set', data: { apiKeyName }, lang: appState.lang, log }))
+	}
+
+	return { apiKey, api, settings }
+}
@@ -1,9 +1,26 @@
-import { copyFileToTempAndEnsureExtension, importJsFile, readJsonFile } from './io.js'
+import { copyFileToTempAndEnsureExtension, importJsFile, readFileAsText, readJsonFile, transpileTsFileToTemp } from './io.js'
 import { getFileExtension } from './utils.js'
 import { SUPPORTED_REFERENCE_FILE_EXTENSIONS } from './consts.js'
 import { localizeFormatted } from '../localizer/localize.js'
+import { getReferenceDataFromPo } from '../formats/po.js'
+import { getReferenceDataFromAndroid } from '../formats/android.js'
+import { getReferenceDataFromStrings } from '../formats/strings.js'
+import { getReferenceDataFromXcstrings } from '../formats/xcstrings.js'
+import { getReferenceDataFromArb } from '../formats/arb.js'
 
-export async function loadReferenceFile({ appLang, referenceFile, referenceExportedVarName, tmpDir, log }) {
+// Reads a reference file with getReferenceData(text) => { data, contextMap }, merging its context into outContextMap
+async function readReferenceDataWithContext(referenceFile, getReferenceData, outContextMap) {
+	const text = await readFileAsText(referenceFile)
+	if (text === null) return null
+
+	const { data, contextMap } = getReferenceData(text)
+	if (outContextMap) Object.assign(outContextMap, contextMap)
+	return data
+}
+
+// Some formats carry context for their strings (e.g. gettext's msgctxt); if so, this is written to outContextMap as a map of
+// key => context, to be used in the same way as context keys
+export async function loadReferenceFile({ appLang, referenceFile, referenceExportedVarName, tmpDir, outContextMap, log }) {
 	const ext = getFileExtension(referenceFile)?.toLowerCase()
 	if (!SUPPORTED_REFERENCE_FILE_EXTENSIONS.includes(ext)) {
 		throw new Error(
@@ -43,6 +60,23 @@ export async function loadReferenceFile({ appLang, referenceFile, referenceExpor
 			break
 		}
 
+		case 'ts':
+		case 'mts':
+		case 'cts': {
+			log.D(`Reading TypeScript file "${referenceFile}"...`)
+
+			// Types are stripped into a temp .mjs (or .cjs) which we can dynamically import, as for .js
+			const tmpReferencePath = await transpileTsFileToTemp({
+				appLang,
+				filePath: referenceFile,
+				tmpDir,
+				log
+			})
+			content = await importJsFile(tmpReferencePath)
+			useRefVar = true
+			break
+		}
+
 		case 'json': {
 			log.D(`Reading JSON file "${referenceFile}"...`)
 			content = await readJsonFile(referenceFile, false)
@@ -56,6 +90,42 @@ export async function loadReferenceFile({ appLang, referenceFile, referenceExpor
 			useRefVar = false
 			break
 		}
+
+		case 'po':
+		case 'pot': {
+			log.D(`Reading gettext file "${referenceFile}"...`)
+			content = await readReferenceDataWithContext(referenceFile, getReferenceDataFromPo, outContextMap)
+			useRefVar = false
+			break
+		}
+
+		case 'xml': {
+			log.D(`Reading Android string resources file "${referenceFile}"...`)
+			content = await readReferenceDataWithContext(referenceFile, getReferenceDataFromAndroid, outContextMap)
+			useRefVar = false
+			break
+		}
+
+		case 'strings': {
+			log.D(`Reading Apple strings file "${referenceFile}"...`)
+			content = await readReferenceDataWithContext(referenceFile, getReferenceDataFromStrings, outContextMap)
+			useRefVar = false
+			break
+		}
+
+		case 'xcstrings': {
+			log.D(`Reading Apple string catalog "${referenceFile}"...`)
+			content = await readReferenceDataWithContext(referenceFile, getReferenceDataFromXcstrings, outContextMap)
+			useRefVar = false
+			break
+		}
+
+		case 'arb': {
+			log.D(`Reading Flutter ARB file "${referenceFile}"...`)
+			content = await readReferenceDataWithContext(referenceFile, getReferenceDataFromArb, outContextMap)
+			useRefVar = false
+			break
+		}
 	}
 
 	if (!content) {
@@ -0,0 +1,66 @@
+import { localizeFormatted } from '../localizer/localize.js'
+
+// Returns whether a language tag matches a route's language pattern, which is a tag, e.g. 'hi', or a pattern in which '*'
+// matches anything, e.g. 'es-*' for Spanish's regional variants, or '*-*' for every regional variant. Matching is
+// case-insensitive.
+export function isLanguagePatternMatch(pattern, lang) {
+	const regExpStr = pattern
+		.split('*')
+		.map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+		.join('.*')
+	return new RegExp(`^${regExpStr}$`, 'i').test(lang)
+}
+
+// Returns the config's 'routes' setting, after checking it. Each route is { languages, provider, model }, where languages
+// is a language pattern or array of them, and at least one of provider and model is set.
+export function getRoutes({ appState, config, log }) {
+	const routes = config?.routes ?? []
+	const isValidRoute = route => {
+		const languages = [ route?.languages ?? [] ].flat()
+		return languages.length > 0
+			&& languages.every(pattern => typeof pattern === 'string' && pattern.length)
+			&& Boolean(route.provider?.length || route.model?.length)
+	}
+	if (!Array.isArray(routes)) {
+		throw new Error(localizeFormatted({ token: 'error-invalid-route', data: { route: JSON.stringify(routes) }, lang: appState.lang, log }))
+	}
+	for (const route of routes) {
+		if (!isValidRoute(route)) {
+			throw new Error(localizeFormatted({ token: 'error-invalid-route', data: { route: JSON.stringify(route) }, lang: appState.lang, log }))
+		}
+	}
+	return routes
+}
+
+// Returns the first of routes whose languages match targetLang, or null if none do
+export function getLanguageRoute({ routes, targetLang }) {
+	return routes.find(({ languages }) => [ languages ].flat().some(pattern => isLanguagePatternMatch(pattern, targetLang))) ?? null
+}
+
+// Returns { providerName, model } for translating into targetLang: a matching route's provider and model, or the default
+// provider and model. A route's model defaults to the default model only if the route uses the default provider, since
+// a model for one provider means nothing to another; otherwise, model is null, and the provider's own default applies.
+export function resolveLanguageRoute({ routes, targetLang, defaultProviderName, defaultModel }) {
+	const route = getLanguageRoute({ routes, targetLang })
+	const providerName = route?.provider?.toLowerCase() ?? defaultProviderName
+	return {
+		providerName,
+		model: route?.model ?? (providerName === defaultProviderName ? defaultModel : null) ?? null
+	}
+}
+
+// Returns the config's 'fallbackProviders' setting, in order, as [ { provider, model } ]. Each entry is a provider name, or
+// { provider, model }, where provider defaults to the provider it's falling back from, and at least one is set.
+export function getFallbackProviders({ appState, config, log }) {
+	const fallbackProviders = config?.fallbackProviders ?? []
+	const throwInvalid = fallback => {
+		throw new Error(localizeFormatted({ token: 'error-invalid-fallback-provider', data: { fallback: JSON.stringify(fallback) }, lang: appState.lang, log }))
+	}
+	if (!Array.isArray(fallbackProviders)) throwInvalid(fallbackProviders)
+
+	return fallbackProviders.map(fallback => {
+		if (typeof fallback === 'string' && fallback.length) return { provider: fallback.toLowerCase(), model: null }
+		if (!fallback?.provider?.length && !fallback?.model?.length) throwInvalid(fallback)
+		return { provider: fallback.provider?.toLowerCase() ?? null, model: fallback.model ?? null }
+	})
+}
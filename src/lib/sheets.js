@@ -0,0 +1,159 @@
+// Reading and writing simple spreadsheets, i.e. rows of string cells, as CSV or XLSX (the first worksheet only)
+
+import * as fsp from 'fs/promises'
+import { strFromU8, strToU8, unzipSync, zipSync } from 'fflate'
+import { getFileExtension } from './utils.js'
+import { decodeXmlEntities, escapeXml, parseXmlAttributes } from './xml.js'
+
+export const SHEET_FILE_EXTENSIONS = [
+	'csv',
+	'xlsx'
+]
+
+// CSV, per RFC 4180. A BOM is written so that Excel reads the file as UTF-8.
+export function serializeCsv(rows) {
+	const quote = cell => /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell
+	return '\uFEFF' + rows.map(row => row.map(cell => quote(cell ?? '')).join(',')).join('\r\n') + '\r\n'
+}
+
+export function parseCsv(text) {
+	const rows = []
+	let row = []
+	let cell = ''
+	let inQuotes = false
+	const s = text.replace(/^\uFEFF/, '')
+	for (let i = 0; i < s.length; ++i) {
+		const c = s[i]
+		if (inQuotes) {
+			if (c === '"' && s[i + 1] === '"') {
+				cell += '"'
+				++i
+			} else if (c === '"') {
+				inQuotes = false
+			} else {
+				cell += c
+			}
+		} else if (c === '"') {
+			inQuotes = true
+		} else if (c === ',') {
+			row.push(cell)
+			cell = ''
+		} else if (c === '\r' || c === '\n') {
+			if (c === '\r' && s[i + 1] === '\n') ++i
+			row.push(cell)
+			rows.push(row)
+			row = []
+			cell = ''
+		} else {
+			cell += c
+		}
+	}
+	if (cell.length || row.length) {
+		row.push(cell)
+		rows.push(row)
+	}
+	return rows
+}
+
+// Returns a column's letters, e.g. 0 => 'A', 26 => 'AA'
+function getColumnName(idx) {
+	let result = ''
+	for (let n = idx + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+		result = String.fromCharCode(65 + (n - 1) % 26) + result
+	}
+	return result
+}
+
+// The inverse of getColumnName(), for a cell reference like 'AA3'
+function getColumnIndex(cellRef) {
+	let result = 0
+	for (const c of cellRef.match(/^[A-Z]+/)[0]) {
+		result = result * 26 + (c.charCodeAt(0) - 64)
+	}
+	return result - 1
+}
+
+// A minimal workbook with one worksheet, whose cells are inline strings
+export function serializeXlsx(rows) {
+	const sheetRows = rows.map((row, rowIdx) => {
+		const cells = row.map((cell, colIdx) => `<c r="${getColumnName(colIdx)}${rowIdx + 1}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(cell ?? '')}</t></is></c>`)
+		return `<row r="${rowIdx + 1}">${cells.join('')}</row>`
+	})
+
+	const xml = s => strToU8(`<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n${s}`)
+	return zipSync({
+		'[Content_Types].xml': xml('<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+			'<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+			'<Default Extension="xml" ContentType="application/xml"/>' +
+			'<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+			'<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+			'</Types>'),
+		'_rels/.rels': xml('<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+			'<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+			'</Relationships>'),
+		'xl/workbook.xml': xml('<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+			'<sheets><sheet name="Translations" sheetId="1" r:id="rId1"/></sheets>' +
+			'</workbook>'),
+		'xl/_rels/workbook.xml.rels': xml('<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+			'<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+			'</Relationships>'),
+		'xl/worksheets/sheet1.xml': xml('<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+			`<sheetData>${sheetRows.join('')}</sheetData>` +
+			'</worksheet>')
+	})
+}
+
+// Returns the text of a string item (<si>) or inline string (<is>), which may be split into rich text runs
+function getStringItemText(xml) {
+	return [ ...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g) ].map(([ , t ]) => decodeXmlEntities(t)).join('')
+}
+
+// Reads the first worksheet of a workbook, as saved by us or by a spreadsheet app
+export function parseXlsx(buffer) {
+	const files = unzipSync(buffer)
+	const readFile = name => files[name] ? strFromU8(files[name]) : null
+
+	// Find the first worksheet via the workbook's relationships
+	const workbook = readFile('xl/workbook.xml') ?? ''
+	const firstSheetRelId = parseXmlAttributes(workbook.match(/<sheet\s([^>]*)\/?>/)?.[1] ?? '')['r:id']
+	const rels = readFile('xl/_rels/workbook.xml.rels') ?? ''
+	const target = [ ...rels.matchAll(/<Relationship\s([^>]*)\/?>/g) ]
+		.map(([ , attributes ]) => parseXmlAttributes(attributes))
+		.find(rel => rel.Id === firstSheetRelId)?.Target
+	const sheet = readFile(target ? `xl/${target.replace(/^\/?xl\//, '')}` : 'xl/worksheets/sheet1.xml')
+	if (sheet === null) return null
+
+	const sharedStrings = [ ...(readFile('xl/sharedStrings.xml') ?? '').matchAll(/<si>([\s\S]*?)<\/si>/g) ].map(([ , si ]) => getStringItemText(si))
+
+	const rows = []
+	for (const [ , rowAttributes, rowXml ] of sheet.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+		const row = []
+		for (const [ , cellAttributes, cellXml = '' ] of (rowXml ?? '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+			const { r, t } = parseXmlAttributes(cellAttributes)
+			const value = cellXml.match(/<v>([\s\S]*?)<\/v>/)?.[1]
+			let text
+			if (t === 's') text = sharedStrings[parseInt(value)] ?? ''
+			else if (t === 'inlineStr') text = getStringItemText(cellXml)
+			else text = value === undefined ? '' : decodeXmlEntities(value)
+			row[r ? getColumnIndex(r) : row.length] = text
+		}
+		rows[parseInt(parseXmlAttributes(rowAttributes).r ?? rows.length + 1) - 1] = Array.from(row, cell => cell ?? '')
+	}
+	return Array.from(rows, row => row ?? [])
+}
+
+// Returns the rows of a .csv or .xlsx file, or null if it doesn't exist
+export async function readSheetFile(filePath) {
+	let content
+	try {
+		content = await fsp.readFile(filePath)
+	} catch (error) {
+		if (error.code === 'ENOENT') return null
+		throw error
+	}
+	return getFileExtension(filePath) === 'xlsx' ? parseXlsx(new Uint8Array(content)) : parseCsv(content.toString('utf8'))
+}
+
+export function serializeSheet(filePath, rows) {
+	return getFileExtension(filePath) === 'xlsx' ? serializeXlsx(rows) : serializeCsv(rows)
+}
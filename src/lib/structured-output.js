@@ -0,0 +1,51 @@
+// Chat-based providers which support it are asked for a JSON object, { translation }, matching TRANSLATION_SCHEMA, rather
+// than plain text, so that preambles like 'Here is the translation:' can't end up in translations. Translations from
+// providers which don't are checked for such preambles instead.
+
+export const TRANSLATION_TOOL_NAME = 'submit_translation'
+
+export const TRANSLATION_SCHEMA = {
+	type: 'object',
+	properties: {
+		translation: {
+			type: 'string',
+			description: 'The translated text, and nothing else'
+		}
+	},
+	required: [ 'translation' ],
+	additionalProperties: false
+}
+
+// Returns the translation in a structured response, which is { translation } or its JSON, or null if it's malformed
+export function parseStructuredTranslation(structured) {
+	let result = structured
+	if (typeof structured === 'string') {
+		try {
+			result = JSON.parse(structured)
+		} catch {
+			return null
+		}
+	}
+	return typeof result?.translation === 'string' ? result.translation.trim() : null
+}
+
+// Patterns which give away text which isn't part of a translation, like a preamble, a note about the translation, or the
+// translation being quoted or in a code block
+const PREAMBLE_PATTERNS = [
+	/^(?:sure|certainly|of course|okay)\b[^\n]*?[,.!:]/i,
+	/^here(?:'s| is| are)\b[^\n]*?:/i,
+	/^(?:the )?(?:translation|translated text)\b[^\n]*?:/i,
+	/\n\s*\(?(?:note|explanation)s?\s*:/i,
+	/^```/,
+	/^"[\s\S]*"$/
+]
+
+// Returns the first part of translated which looks like it isn't part of the translation, or null if there's none. A
+// pattern which the reference value matches too isn't a giveaway.
+export function findPreamble({ refValue, translated }) {
+	for (const pattern of PREAMBLE_PATTERNS) {
+		const match = translated.match(pattern)
+		if (match && !pattern.test(refValue)) return match[0].trim()
+	}
+	return null
+}
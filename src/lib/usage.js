@@ -0,0 +1,131 @@
+import { localize, localizeFormatted } from '../localizer/localize.js'
+import { BATCH_PRICE_MULTIPLIER, MODEL_PRICES } from './consts.js'
+
+// A run's token usage is { languages, keys }, where languages maps target language => model => totals, and keys is
+// [ { targetLang, key, provider, model, ...totals } ]. Totals are { requests, inputTokens, outputTokens, cost,
+// unpricedRequests, unpricedInputTokens, unpricedOutputTokens }, where cost is in US dollars, or null if no model involved
+// has a price, and the unpriced counts are of requests to models without a price, which cost leaves out.
+export function createUsage() {
+	return { languages: {}, keys: [] }
+}
+
+const COUNTS = [ 'requests', 'inputTokens', 'outputTokens', 'unpricedRequests', 'unpricedInputTokens', 'unpricedOutputTokens' ]
+
+function createTotals() {
+	return { requests: 0, inputTokens: 0, outputTokens: 0, cost: null, unpricedRequests: 0, unpricedInputTokens: 0, unpricedOutputTokens: 0 }
+}
+
+// Totals in caches written before unpriced requests were counted don't have their counts
+function addToTotals(totals, addend) {
+	for (const count of COUNTS) totals[count] = (totals[count] ?? 0) + (addend[count] ?? 0)
+	if (addend.cost !== null) totals.cost = (totals.cost ?? 0) + addend.cost
+}
+
+// Returns a model's price, { input, output } in US dollars per million tokens, from modelPrices (the config's
+// 'modelPrices' setting) or MODEL_PRICES, or null if it has none. See MODEL_PRICES.
+export function getModelPrice({ model, modelPrices }) {
+	const prices = { ...MODEL_PRICES, ...modelPrices }
+	const [ name ] = Object.keys(prices)
+		.filter(name => model?.startsWith(name))
+		.sort((a, b) => b.length - a.length)
+	return name ? prices[name] : null
+}
+
+// Returns the cost of tokens at price, in US dollars, or null if there's no price
+export function calculateCost({ inputTokens, outputTokens, price, batch }) {
+	if (!price) return null
+	return (inputTokens * price.input + outputTokens * price.output) / 1000000 * (batch ? BATCH_PRICE_MULTIPLIER : 1)
+}
+
+// Records the tokens used by a request to translate a key
+export function recordUsage({ usage, modelPrices, targetLang, key, provider, model, inputTokens, outputTokens, batch = false }) {
+	const cost = calculateCost({ inputTokens, outputTokens, price: getModelPrice({ model, modelPrices }), batch })
+	const unpriced = cost === null
+	const requestTotals = {
+		requests: 1,
+		inputTokens,
+		outputTokens,
+		cost,
+		unpricedRequests: unpriced ? 1 : 0,
+		unpricedInputTokens: unpriced ? inputTokens : 0,
+		unpricedOutputTokens: unpriced ? outputTokens : 0
+	}
+
+	usage.languages[targetLang] = usage.languages[targetLang] ?? {}
+	usage.languages[targetLang][model] = usage.languages[targetLang][model] ?? createTotals()
+	addToTotals(usage.languages[targetLang][model], requestTotals)
+
+	let keyUsage = usage.keys.find(k => k.targetLang === targetLang && k.key === key && k.provider === provider && k.model === model)
+	if (!keyUsage) {
+		keyUsage = { targetLang, key, provider, model, ...createTotals() }
+		usage.keys.push(keyUsage)
+	}
+	addToTotals(keyUsage, requestTotals)
+}
+
+// Returns the totals of languages, a map of target language => model => totals
+export function getUsageTotals(languages) {
+	const totals = createTotals()
+	for (const modelTotals of Object.values(languages)) {
+		for (const t of Object.values(modelTotals)) addToTotals(totals, t)
+	}
+	return totals
+}
+
+// Adds a run's usage to the cumulative usage in the cache
+function addUsageToCache({ cache, usage }) {
+	cache.usage = cache.usage ?? { since: new Date().toISOString(), languages: {} }
+	for (const [ targetLang, modelTotals ] of Object.entries(usage.languages)) {
+		cache.usage.languages[targetLang] = cache.usage.languages[targetLang] ?? {}
+		for (const [ model, t ] of Object.entries(modelTotals)) {
+			cache.usage.languages[targetLang][model] = cache.usage.languages[targetLang][model] ?? createTotals()
+			addToTotals(cache.usage.languages[targetLang][model], t)
+		}
+	}
+	cache.usage.totals = getUsageTotals(cache.usage.languages)
+}
+
+// Returns totals' cost for display; where some requests were to models without a price, it's marked as partial
+function formatCost({ appState, totals, log }) {
+	const { cost, unpricedRequests, unpricedInputTokens, unpricedOutputTokens } = totals
+	if (cost === null) return localize({ token: 'msg-usage-cost-unknown', lang: appState.lang, log })
+	if (!unpricedRequests) return `$${cost.toFixed(4)}`
+	return localizeFormatted({
+		token: 'msg-usage-cost-partial',
+		data: { cost: `$${cost.toFixed(4)}`, unpricedInputTokens, unpricedOutputTokens },
+		lang: appState.lang,
+		log
+	})
+}
+
+// Logs a run's usage, by target language and model, adds it to the cumulative usage in the cache, and notes its report,
+// if reportPath is set, to be written on shutdown
+export function reportUsage({ appState, usage, cache, reportPath, log }) {
+	const totals = getUsageTotals(usage.languages)
+	if (totals.requests > 0) {
+		for (const [ targetLang, modelTotals ] of Object.entries(usage.languages)) {
+			for (const [ model, t ] of Object.entries(modelTotals)) {
+				log.I(localizeFormatted({
+					token: 'msg-usage-by-language-and-model',
+					data: { targetLang, model, ...t, cost: formatCost({ appState, totals: t, log }) },
+					lang: appState.lang,
+					log
+				}))
+			}
+		}
+		log.I(localizeFormatted({
+			token: 'msg-usage-totals',
+			data: { ...totals, cost: formatCost({ appState, totals, log }) },
+			lang: appState.lang,
+			log
+		}))
+		addUsageToCache({ cache, usage })
+	}
+
+	if (reportPath?.length) {
+		appState.filesToWrite[reportPath] = {
+			data: { date: new Date().toISOString(), totals, ...usage, cumulative: cache.usage ?? null },
+			format: 'json'
+		}
+	}
+}
@@ -81,6 +81,23 @@ export function unique(array) {
 	return [ ...new Set(array) ]
 }
 
+// Returns the items of a which are not in b, counting duplicates, e.g. [ 'x', 'x' ] minus [ 'x' ] is [ 'x' ]
+export function subtract(a, b) {
+	const remaining = [ ...b ]
+	return a.filter(item => {
+		const idx = remaining.indexOf(item)
+		if (idx < 0) return true
+		remaining.splice(idx, 1)
+		return false
+	})
+}
+
+// Returns the length of text as a reader would count it, in graphemes, so that e.g. 'é' written as 'e' + a combining accent,
+// or an emoji, is one character
+export function getTextLength(text) {
+	return [ ...new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(text) ].length
+}
+
 // Calculate hash of a string
 export function calculateHash(content) {
 	return crypto.createHash('sha256').update(content).digest('hex')
@@ -97,10 +114,13 @@ export function normalizeData(data) {
 		// Force UTF-8 encoding for the key
 		const utf8Key = Buffer.from(key, 'utf8').toString('utf8')
 
-		// Force UTF-8 encoding for string values
-		const utf8Value = typeof value === 'string'
-			? Buffer.from(value, 'utf8').toString('utf8')
-			: value
+		// Force UTF-8 encoding for string values, recursing into nested objects
+		let utf8Value = value
+		if (typeof value === 'string') {
+			utf8Value = Buffer.from(value, 'utf8').toString('utf8')
+		} else if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+			utf8Value = normalizeData(value)
+		}
 
 		normalizedData[normalizeKey(utf8Key)] = utf8Value
 	}
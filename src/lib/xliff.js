@@ -0,0 +1,159 @@
+import { XMLParser } from 'fast-xml-parser'
+import { decodeXmlEntities, escapeXml } from './xml.js'
+
+// Translation unit states, independent of XLIFF version
+export const UNIT_STATE_NEEDS_TRANSLATION = 'needs-translation'
+export const UNIT_STATE_TRANSLATED = 'translated'
+export const UNIT_STATE_FINAL = 'final'
+
+// Map of XLIFF version => map of unit state => XLIFF state attribute value
+const STATE_ATTRIBUTES = {
+	'1.2': {
+		[UNIT_STATE_NEEDS_TRANSLATION]: 'needs-translation',
+		[UNIT_STATE_TRANSLATED]: 'translated',
+		[UNIT_STATE_FINAL]: 'final'
+	},
+	'2.0': {
+		[UNIT_STATE_NEEDS_TRANSLATION]: 'initial',
+		[UNIT_STATE_TRANSLATED]: 'translated',
+		[UNIT_STATE_FINAL]: 'final'
+	}
+}
+
+// XLIFF state attribute values whose targets are ready to be imported. Units with no state but with a target are too.
+const REVIEWED_STATE_ATTRIBUTES = [
+	'translated',
+	'reviewed',
+	'signed-off',
+	'final'
+]
+
+export function isReviewedUnit(unit) {
+	return Boolean(unit.target?.length) && (!unit.state || REVIEWED_STATE_ATTRIBUTES.includes(unit.state))
+}
+
+// Keys may contain characters which are not allowed in XML (e.g. gettext's '\u0004' context separator), so unit IDs escape
+// them, and backslashes, as '\uXXXX'
+export function encodeUnitId(key) {
+	return key.replace(/[\\\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, c => `\\u${c.charCodeAt(0).toString(16).padStart(4, '0')}`)
+}
+
+export function decodeUnitId(id) {
+	return id.replace(/\\u([0-9a-fA-F]{4})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
+}
+
+function serializeUnit12({ id, source, target, state, note }) {
+	const lines = [
+		`      <trans-unit id="${escapeXml(encodeUnitId(id))}">`,
+		`        <source>${escapeXml(source)}</source>`,
+		target?.length
+			? `        <target state="${STATE_ATTRIBUTES['1.2'][state]}">${escapeXml(target)}</target>`
+			: `        <target state="${STATE_ATTRIBUTES['1.2'][state]}"/>`
+	]
+	if (note?.length) lines.push(`        <note>${escapeXml(note)}</note>`)
+	lines.push(`      </trans-unit>`)
+	return lines.join('\n')
+}
+
+function serializeUnit20({ id, source, target, state, note }) {
+	const lines = [
+		`    <unit id="${escapeXml(encodeUnitId(id))}">`
+	]
+	if (note?.length) lines.push(`      <notes>`, `        <note>${escapeXml(note)}</note>`, `      </notes>`)
+	lines.push(
+		`      <segment state="${STATE_ATTRIBUTES['2.0'][state]}">`,
+		`        <source>${escapeXml(source)}</source>`
+	)
+	if (target?.length) lines.push(`        <target>${escapeXml(target)}</target>`)
+	lines.push(`      </segment>`, `    </unit>`)
+	return lines.join('\n')
+}
+
+// Returns an XLIFF document for a single file's worth of units: [ { id, source, target, state, note } ]
+export function serializeXliff({ version, sourceLang, targetLang, original, units }) {
+	const lines = [ '<?xml version="1.0" encoding="UTF-8"?>' ]
+	if (version === '2.0') {
+		lines.push(
+			`<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="${escapeXml(sourceLang)}" trgLang="${escapeXml(targetLang)}">`,
+			`  <file id="f1" original="${escapeXml(original)}">`,
+			...units.map(serializeUnit20),
+			`  </file>`,
+			`</xliff>`
+		)
+	} else {
+		lines.push(
+			`<xliff xmlns="urn:oasis:names:tc:xliff:document:1.2" version="1.2">`,
+			`  <file source-language="${escapeXml(sourceLang)}" target-language="${escapeXml(targetLang)}" datatype="plaintext" original="${escapeXml(original)}">`,
+			`    <body>`,
+			...units.map(serializeUnit12),
+			`    </body>`,
+			`  </file>`,
+			`</xliff>`
+		)
+	}
+	return lines.join('\n') + '\n'
+}
+
+function asArray(x) {
+	if (x === undefined || x === null) return []
+	return Array.isArray(x) ? x : [ x ]
+}
+
+// Stop nodes are returned as raw inner XML; either a string, or an object with '#text' if the element has attributes
+function getText(node) {
+	if (node === undefined || node === null) return null
+	return decodeXmlEntities(typeof node === 'object' ? (node['#text'] ?? '') : String(node))
+}
+
+// Collects units from a <file>, <body> or <group>, including those in nested groups
+function collectUnits(node, unitTagName) {
+	const result = []
+	for (const unit of asArray(node?.[unitTagName])) result.push(unit)
+	for (const group of [ ...asArray(node?.body), ...asArray(node?.group) ]) result.push(...collectUnits(group, unitTagName))
+	return result
+}
+
+// Parses an XLIFF 1.2 or 2.0 document into [ { sourceLang, targetLang, original, units: [ { id, source, target, state } ] } ],
+// one entry per <file>
+export function parseXliff(text) {
+	const parser = new XMLParser({
+		ignoreAttributes: false,
+		attributeNamePrefix: '',
+		textNodeName: '#text',
+		stopNodes: [ '*.source', '*.target' ]
+	})
+	const xliff = parser.parse(text)?.xliff
+	if (!xliff) return null
+
+	const isVersion2 = String(xliff.version).startsWith('2')
+	return asArray(xliff.file).map(file => {
+		if (isVersion2) {
+			return {
+				sourceLang: xliff.srcLang,
+				targetLang: xliff.trgLang,
+				original: file.original ?? null,
+				units: collectUnits(file, 'unit').map(unit => {
+					const segments = asArray(unit.segment)
+					return {
+						id: decodeUnitId(String(unit.id)),
+						source: segments.map(s => getText(s.source) ?? '').join(''),
+						target: segments.some(s => s.target !== undefined) ? segments.map(s => getText(s.target) ?? '').join('') : null,
+						state: segments[0]?.state ?? null
+					}
+				})
+			}
+		}
+
+		return {
+			sourceLang: file['source-language'],
+			targetLang: file['target-language'],
+			original: file.original ?? null,
+			units: collectUnits(file, 'trans-unit').map(unit => ({
+				id: decodeUnitId(String(unit.id)),
+				source: getText(unit.source) ?? '',
+				target: getText(unit.target),
+				state: (typeof unit.target === 'object' && unit.target?.state) || null
+			}))
+		}
+	})
+}
@@ -0,0 +1,27 @@
+export function escapeXml(s) {
+	return String(s)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+}
+
+export function decodeXmlEntities(s) {
+	return s
+		.replace(/<!\[CDATA\[([\s\S]*?)]]>/g, (match, cdata) => cdata.replace(/&/g, '&amp;').replace(/</g, '&lt;'))	// Decoded below
+		.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|lt|gt|quot|apos|amp);/g, (match, entity) => {
+			if (entity[0] === '#') {
+				return String.fromCodePoint(entity[1] === 'x' ? parseInt(entity.substring(2), 16) : parseInt(entity.substring(1)))
+			}
+			return { lt: '<', gt: '>', quot: '"', apos: '\'', amp: '&' }[entity]
+		})
+}
+
+// Parses the attributes of a start tag, e.g. ' name="a" translatable="false"', into a map of name => decoded value
+export function parseXmlAttributes(s) {
+	const result = {}
+	for (const [ , name, doubleQuoted, singleQuoted ] of s.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+		result[name] = decodeXmlEntities(doubleQuoted ?? singleQuoted)
+	}
+	return result
+}
@@ -3,18 +3,24 @@ import { program } from 'commander'
 import { fileURLToPath } from 'url'
 import { initLocalizer } from './localizer/localize.js'
 import {
-	DEFAULT_CONFIG_FILENAME, DEFAULT_LLM_MODELS,
+	DEFAULT_CONFIG_FILENAME, DEFAULT_LLM_MODELS, DEFAULT_OUTPUT_FORMAT, DEFAULT_OUTPUT_PATH_TEMPLATE,
 	ENV_VARS,
 	LANGTAG_DEFAULT,
-	LOCALIZATION_SRC_DIR
+	DEFAULT_XLIFF_VERSION,
+	LOCALIZATION_SRC_DIR,
+	VALID_OUTPUT_FORMATS,
+	VALID_XLIFF_VERSIONS
 } from './lib/consts.js'
 import { readJsonFile } from './lib/io.js'
+import { SHEET_FILE_EXTENSIONS } from './lib/sheets.js'
 import { printLogo } from './lib/logo.js'
 import { createLog, initLogFromOptions } from './lib/logging.js'
 import { keyList, languageList } from './lib/options.js'
 import { runTranslation } from './commands/translate.js'
 import { registerSignalHandlers } from './shutdown.js'
 import { runListModels } from './commands/list-models.js'
+import { runExportXliff, runImportXliff } from './commands/xliff.js'
+import { runExportSheet, runImportSheet } from './commands/sheet.js'
 
 const __dirname = path.dirname(
 	fileURLToPath(import.meta.url)
@@ -28,7 +34,7 @@ export async function run() {
 		__dirname: path.dirname(fileURLToPath(import.meta.url)),
 		lang: null,	// The app language, for output display (unrelated to translator)
 		tmpDir: null,
-		filesToWrite: {},	// Map of file path => JSON data to write
+		filesToWrite: {},	// Map of file path => { filePath, data, format, lang, referenceData } to write, where 'format' is an output format name; see addFileToWrite()
 		errors: [],
 		log
 	}
@@ -61,10 +67,126 @@ export async function run() {
 		const SHARED_OPTIONS = {
 			'provider': {
 				flags: '-p, --provider <name>',
-				description: `AI provider to use for translations (anthropic, openai); overrides any 'provider' config setting`
+				description: `AI provider to use for translations (anthropic, azure-openai, deepl, google, google-translate, openai, openai-compatible, pseudo, or another in the config's 'providers' setting); overrides any 'provider' config setting`
+			},
+			'configFile': {
+				flags: '-c, --config-file <path>',
+				description: `Path to config file; defaults to "${DEFAULT_CONFIG_FILENAME}" in the current working directory if not specified`
+			},
+			'referenceFile': {
+				flags: '-r, --reference-file <path>',
+				description: `Path or glob of reference file(s) of source strings to be translated. This file can be in .js, .mjs, .ts, .mts, .cts, .json, .jsonc, .po, .pot, Android .xml, .strings, .xcstrings, or Flutter .arb formats and is presumed to be` +
+					` in the reference language specified by --reference-language; overrides any 'referenceFile' config setting`
+			},
+			'outputDir': {
+				flags: '-o, --output-dir <path>',
+				description: `Output directory for localized files; overrides any 'outputDir' config setting`
+			},
+			'referenceLanguage': {
+				flags: '-rl, --reference-language <language>',
+				description: `The reference file's language; overrides any 'referenceLanguage' config setting`
+			},
+			'targetLanguages': {
+				flags: '-tl, --target-languages <list>',
+				description: `Comma-separated list of language codes; overrides any 'targetLanguages' config setting`,
+				parser: value => languageList(value, log)
+			},
+			'keys': {
+				flags: '-k, --keys <list>',
+				description: `Comma-separated list of keys to process; nested keys use dot notation, e.g. 'auth.login.title'; if none are processed, all keys in the reference file will be processed`,
+				parser: keyList
+			},
+			'referenceExportedVarName': {
+				flags: '-R, --reference-exported-var-name <var name>',
+				description: `For .js, .mjs, .ts, .mts or .cts reference files only, this will be the exported variable, e.g. for 'export default = {...}' you'd use 'default' here, or 'data' for 'export const data = { ... }'. For .json or .jsonc reference files, this value is ignored.`,
+				defaultValue: 'default'
+			},
+			'outputFormat': {
+				flags: '-F, --output-format <format>',
+				description: `Output file format (${VALID_OUTPUT_FORMATS.join(', ')}); overrides any 'outputFormat' config setting; defaults to the reference file's format for .po, .pot, .xml, .strings, .xcstrings and .arb reference files, or "${DEFAULT_OUTPUT_FORMAT}" otherwise`
+			},
+			'outputPathTemplate': {
+				flags: '-T, --output-path-template <template>',
+				description: `Output file path, relative to the output dir, with tokens {lang} (e.g. "pt-BR"), {lang_underscore} ("pt_BR"), {lang_android} ("pt-rBR"), {language} ("pt"), {script}, {region} ("BR"), {basename} (the reference file's name without extension) and {ext} (the output format's extension); overrides any 'outputPathTemplate' config setting; defaults to "${DEFAULT_OUTPUT_PATH_TEMPLATE}", or the output format's directory convention, e.g. "values-{lang_android}/{basename}.{ext}" for Android`
+			},
+			'normalizeOutputFilenames': {
+				flags: '-n, --normalize-output-filenames',
+				description: `Normalizes output filenames (to all lower-case); overrides any 'normalizeOutputFilenames' in config setting`,
+				defaultValue: false
+			},
+			'logo': {
+				flags: '-N, --no-logo',
+				description: `Suppress logo printout`,
+				defaultValue: true	// NB: maps to options.logo, not options.noLogo
+			},
+			'contextPrefix': {
+				flags: '-cp, --context-prefix <value>',
+				description: `String to be prefixed to all keys to search for additional context, which are passed along to the AI for context`
+			},
+			'contextSuffix': {
+				flags: '-cs, --context-suffix <value>',
+				description: `String to be suffixed to all keys to search for additional context, which are passed along to the AI for context`
+			},
+			'maxLengthPrefix': {
+				flags: '--max-length-prefix <value>',
+				description: `String to be prefixed to keys to search for their translations' maximum lengths, e.g. '_maxLength:' for '_maxLength:title'`
+			},
+			'maxLengthSuffix': {
+				flags: '--max-length-suffix <value>',
+				description: `String to be suffixed to keys to search for their translations' maximum lengths, e.g. '[maxLength]' for 'title[maxLength]'`
+			},
+			'lookForContextData': {
+				flags: '-L, --look-for-context-data',
+				description: `If specified, ALT will pass any context data specified in the reference file to the AI provider for translation. At least one of --contextPrefix or --contextSuffix must be specified`,
+				defaultValue: false
+			},
+			'verbose': {
+				flags: '-v, --verbose',
+				description: `Enables verbose spew; forces --tty mode`,
+				defaultValue: false
+			},
+			'debug': {
+				flags: '-d, --debug',
+				description: `Enables debug spew; forces --tty mode`,
+				defaultValue: false
+			},
+			'trace': {
+				flags: '-t, --trace',
+				description: `Enables trace spew; forces --tty mode`,
+				defaultValue: false
+			},
+			'dev': {
+				flags: '--dev',
+				description: `Enable dev mode, which prints stack traces with errors`,
+				defaultValue: false
 			}
 		}
 
+		// Options for commands which work with a project's reference file, output files and cache
+		const PROJECT_OPTIONS = [
+			'configFile',
+			'referenceFile',
+			'outputDir',
+			'referenceLanguage',
+			'targetLanguages',
+			'keys',
+			'referenceExportedVarName',
+			'outputFormat',
+			'outputPathTemplate',
+			'normalizeOutputFilenames',
+			'contextPrefix',
+			'contextSuffix',
+			'lookForContextData',
+			'maxLengthPrefix',
+			'maxLengthSuffix'
+		]
+		const LOG_OPTIONS = [
+			'verbose',
+			'debug',
+			'trace',
+			'dev'
+		]
+
 		const addSharedOptions = ({ required, notRequired, program }) => {
 			required = (required || []).map(k => ({ k, f: 'requiredOption' }))
 			notRequired = (notRequired || []).map(k => ({ k, f: 'option' }))
@@ -73,8 +195,20 @@ export async function run() {
 				...notRequired
 			].forEach(({ k, f }) => {
 				const so = SHARED_OPTIONS[k]
-				program[f](so.flags, so.description, so?.defaultValue)
+				if (so.parser) {
+					program[f](so.flags, so.description, so.parser, so?.defaultValue)
+				} else {
+					program[f](so.flags, so.description, so?.defaultValue)
+				}
 			})
+			return program
+		}
+
+		const validateContextOptions = cmd => {
+			const opts = cmd.opts()
+			if (opts.lookForContextData && !(opts.contextPrefix?.length || opts.contextSuffix?.length)) {
+				cmd.error('--lookForContextData requires at least 1 of --contextPrefix or --contextSuffix be defined and non-empty')
+			}
 		}
 
 		const runCommand = async function() {
@@ -99,52 +233,100 @@ export async function run() {
 				case 'list-models':
 					await runListModels({ appState, options, log })
 					break
+
+				case 'export-xliff':
+					await runExportXliff({ appState, options, log })
+					break
+
+				case 'import-xliff':
+					await runImportXliff({ appState, options, files: this.processedArgs[0], log })
+					break
+
+				case 'export-sheet':
+					await runExportSheet({ appState, options, file: this.processedArgs[0], log })
+					break
+
+				case 'import-sheet':
+					await runImportSheet({ appState, options, file: this.processedArgs[0], log })
+					break
 			}
 		}
 
 		addSharedOptions({
-			notRequired: [ 'provider' ],
-			program: program
-				.command('translate', { isDefault: true })
-				.option('-c, --config-file <path>', `Path to config file; defaults to "${DEFAULT_CONFIG_FILENAME}" in the current working directory if not specified`)
-				.option('-r, --reference-file <path>', `Path to reference file of source strings to be translated. This file can be in .js, .mjs, .json, or .jsonc formats and is presumed to be` +
-					` in the reference language specified by --reference-language; overrides any 'referenceFile' config setting`)
-				.option('-o, --output-dir <path>', `Output directory for localized files; overrides any 'outputDir' config setting`)
-				.option('-rl, --reference-language <language>', `The reference file's language; overrides any 'referenceLanguage' config setting`)
-				.option('-tl, --target-languages <list>', `Comma-separated list of language codes; overrides any 'targetLanguages' config setting`, value => languageList(value, log))
-				.option('-k, --keys <list>', 'Comma-separated list of keys to process; if none are processed, all keys in the reference file will be processed', keyList)
-				.option('-R, --reference-exported-var-name <var name>', `For .js or .mjs reference files only, this will be the exported variable, e.g. for 'export default = {...}' you'd use 'default' here, or 'data' for 'export const data = { ... }'. For .json or .jsonc reference files, this value is ignored.`, 'default')
+			notRequired: [ 'logo', ...LOG_OPTIONS, 'provider' ],
+			program: addSharedOptions({
+				notRequired: PROJECT_OPTIONS,
+				program: program.command('translate', { isDefault: true })
+			})
 				.option('-m, --app-context-message <message>', `Description of your app, to be passed along to the AI, per translation request; overrides any 'appContextMessage' config setting`)
 				.option('-f, --force', `Force regeneration of all keys; if no '--keys' argument is specified, all keys will be processed`, false)
 				.option('-rtw, --realtime-writes', 'Write updates to disk immediately, rather than on shutdown', false)
 				.option('-y, --tty', 'Use tty/simple renderer; useful for CI', false)
 				.option('-M, --model <name>', `LLM model name to use; defaults are: ${Object.keys(DEFAULT_LLM_MODELS).map(p => `for "${p}": "${DEFAULT_LLM_MODELS[p]}"`).join(', ')}; use the 'list-models' command to view all models`)
 				.option('-x, --max-retries <integer>', 'Maximum retries on failure', 3)
-				.option('-n, --normalize-output-filenames', `Normalizes output filenames (to all lower-case); overrides any 'normalizeOutputFilenames' in config setting`, false)
-				.option('-N, --no-logo', `Suppress logo printout`, true)  // NB: maps to options.logo, not options.noLogo
-				.option('-cp, --context-prefix <value>', `String to be prefixed to all keys to search for additional context, which are passed along to the AI for context`)
-				.option('-cs, --context-suffix <value>', `String to be suffixed to all keys to search for additional context, which are passed along to the AI for context`)
-				.option('-L, --look-for-context-data', `If specified, ALT will pass any context data specified in the reference file to the AI provider for translation. At least one of --contextPrefix or --contextSuffix must be specified`, false)
-				.option('-v, --verbose', `Enables verbose spew; forces --tty mode`, false)
-				.option('-d, --debug', `Enables debug spew; forces --tty mode`, false)
-				.option('-t, --trace', `Enables trace spew; forces --tty mode`, false)
-				.option('--dev', `Enable dev mode, which prints stack traces with errors`, false)
-				.hook('preAction', cmd => {
-					const opts = cmd.opts()
-					if (opts.lookForContextData && !(opts.contextPrefix?.length || opts.contextSuffix?.length)) {
-						cmd.error('--lookForContextData requires at least 1 of --contextPrefix or --contextSuffix be defined and non-empty')
-					}
-				})
-				.action(runCommand)
+				.option('--batch', 'Submit all needed translations as one batch, to be translated asynchronously at lower cost (anthropic and openai only); apply its results later with --resume-batch', false)
+				.option('--resume-batch', 'Apply the results of the batch submitted by --batch, if it has finished', false)
+				.option('--usage-report <path>', 'Write a JSON report of the tokens used and their estimated cost, by target language, model and key')
 		})
+			.hook('preAction', validateContextOptions)
+			.action(runCommand)
 
 		addSharedOptions({
-			required: [ 'provider' ],
+			notRequired: [ 'provider', 'configFile' ],
 			program: program
 				.command('list-models')
 				.action(runCommand)
 		})
 
+		addSharedOptions({
+			notRequired: LOG_OPTIONS,
+			program: addSharedOptions({
+				notRequired: PROJECT_OPTIONS,
+				program: program.command('export-xliff')
+					.description('Writes an XLIFF file per target language, for review by translators')
+			})
+				.option('-xd, --xliff-dir <path>', `Directory to write XLIFF files to; defaults to the output dir`)
+				.option('-X, --xliff-version <version>', `XLIFF version to write (${VALID_XLIFF_VERSIONS.join(', ')})`, DEFAULT_XLIFF_VERSION)
+		})
+			.hook('preAction', validateContextOptions)
+			.action(runCommand)
+
+		addSharedOptions({
+			notRequired: LOG_OPTIONS,
+			program: addSharedOptions({
+				notRequired: PROJECT_OPTIONS,
+				program: program.command('import-xliff')
+					.description('Merges reviewed translations from XLIFF files into the output files and cache, so they are not re-translated')
+					.argument('<files...>', 'XLIFF files to import')
+			})
+		})
+			.hook('preAction', validateContextOptions)
+			.action(runCommand)
+
+		addSharedOptions({
+			notRequired: LOG_OPTIONS,
+			program: addSharedOptions({
+				notRequired: PROJECT_OPTIONS,
+				program: program.command('export-sheet')
+					.description('Writes a spreadsheet with a row per key, and columns for the reference value, its context, and each target language\'s value and status, for review')
+					.argument('<file>', `Spreadsheet to write (${SHEET_FILE_EXTENSIONS.map(ext => `.${ext}`).join(', ')})`)
+			})
+		})
+			.hook('preAction', validateContextOptions)
+			.action(runCommand)
+
+		addSharedOptions({
+			notRequired: LOG_OPTIONS,
+			program: addSharedOptions({
+				notRequired: PROJECT_OPTIONS,
+				program: program.command('import-sheet')
+					.description('Applies edited target language values from a spreadsheet written by export-sheet to the output files; imported edits are never overwritten by translate')
+					.argument('<file>', `Spreadsheet to import (${SHEET_FILE_EXTENSIONS.map(ext => `.${ext}`).join(', ')})`)
+			})
+		})
+			.hook('preAction', validateContextOptions)
+			.action(runCommand)
+
 		program.parse(process.argv)
 	} catch (error) {
 		log.E(error)
@@ -1,19 +1,43 @@
+import { TRANSLATION_SCHEMA, TRANSLATION_TOOL_NAME, parseStructuredTranslation } from '../lib/structured-output.js'
+import { httpFetch } from '../lib/http.js'
+
+const DEFAULT_BASE_URL = 'https://api.anthropic.com'
+
+// The 'baseUrl' provider setting can point at a proxy or compatible server instead
+function getBaseUrl(settings) {
+	return (settings?.baseUrl ?? DEFAULT_BASE_URL).replace(/\/+$/, '')
+}
+
+function getHeaders(apiKey) {
+	return {
+		'Content-Type': 'application/json',
+		'x-api-key': apiKey,
+		'anthropic-version': '2023-06-01',
+	}
+}
+
 export function name() {
 	return 'Anthropic'
 }
 
-export async function listModels(apiKey) {
+// Translations are submitted with a tool, whose input matches TRANSLATION_SCHEMA, unless the 'structuredOutput' setting
+// is false
+export function usesStructuredOutput(settings) {
+	return settings?.structuredOutput !== false
+}
+
+export async function listModels(apiKey, settings) {
 	let allModels = []
 	let hasMore = true
 	let lastId = null
 
 	while (hasMore) {
-		const url = new URL('https://api.anthropic.com/v1/models')
+		const url = new URL(`${getBaseUrl(settings)}/v1/models`)
 		if (lastId) {
 			url.searchParams.append('after', lastId)
 		}
 
-		const response = await fetch(url, {
+		const response = await httpFetch(url, {
 			method: 'GET',
 			headers: {
 				'x-api-key': apiKey,
@@ -38,26 +62,35 @@ export async function listModels(apiKey) {
 	return allModels
 }
 
-export function getTranslationRequestDetails({ model, messages, apiKey, log }) {
+export function getTranslationRequestDetails({ model, messages, apiKey, settings, log }) {
 	return {
-		url: 'https://api.anthropic.com/v1/messages',
+		url: `${getBaseUrl(settings)}/v1/messages`,
 		params: {
 			model,
 			max_tokens: 1024,
 			messages: messages.map(m => ({ role: 'user', content: m })),
+			...(usesStructuredOutput(settings) ? {
+				tools: [ { name: TRANSLATION_TOOL_NAME, description: 'Submits the translation', input_schema: TRANSLATION_SCHEMA } ],
+				tool_choice: { type: 'tool', name: TRANSLATION_TOOL_NAME }
+			} : {}),
 		},
 		config: {
-			headers: {
-				'Content-Type': 'application/json',
-				'x-api-key': apiKey,
-				'anthropic-version': '2023-06-01',
-			},
+			headers: getHeaders(apiKey),
 		},
 	}
 }
 
-export function getResult(response, log) {
-	return response.data.content[0].text.trim()
+// With structured output, the translation is the input to a forced call of the translation tool
+export function getResult(response, log, settings) {
+	if (!usesStructuredOutput(settings)) return response.data.content[0].text.trim()
+
+	const toolUse = response.data.content?.find(block => block.type === 'tool_use' && block.name === TRANSLATION_TOOL_NAME)
+	return parseStructuredTranslation(toolUse?.input)
+}
+
+export function getUsage(response, log) {
+	const { input_tokens: inputTokens, output_tokens: outputTokens } = response.data.usage ?? {}
+	return Number.isInteger(inputTokens) ? { inputTokens, outputTokens: outputTokens ?? 0 } : null
 }
 
 function getHeader(headers, name) {
@@ -73,3 +106,47 @@ export function getSleepInterval(headers, log) {
 	log.D('retryAfter', retryAfter)
 	return 1000 * retryAfter + 200
 }
+
+// Submits requests, [ { id, model, messages } ], as a Message Batch; returns its ID
+export async function submitBatch({ requests, apiKey, settings, log }) {
+	const response = await httpFetch(`${getBaseUrl(settings)}/v1/messages/batches`, {
+		method: 'POST',
+		headers: getHeaders(apiKey),
+		body: JSON.stringify({
+			requests: requests.map(({ id, model, messages }) => ({
+				custom_id: id,
+				params: getTranslationRequestDetails({ model, messages, apiKey, settings, log }).params
+			}))
+		})
+	})
+	const result = await response.json()
+	if (!response.ok) throw new Error(result.error?.message ?? `${response.status} ${response.statusText}`)
+	return result.id
+}
+
+// Returns { status, results, usage }, where results maps each request's ID to its translated text (or null if it failed),
+// or is null if the batch hasn't ended, and usage maps request IDs to the tokens they used
+export async function getBatchResults({ batchId, apiKey, settings, log }) {
+	const response = await httpFetch(`${getBaseUrl(settings)}/v1/messages/batches/${batchId}`, {
+		method: 'GET',
+		headers: getHeaders(apiKey)
+	})
+	const batch = await response.json()
+	if (!response.ok) throw new Error(batch.error?.message ?? `${response.status} ${response.statusText}`)
+	log.D('batch', batch)
+	if (batch.processing_status !== 'ended') return { status: batch.processing_status, results: null }
+
+	const resultsResponse = await httpFetch(batch.results_url, {
+		method: 'GET',
+		headers: getHeaders(apiKey)
+	})
+	const results = {}
+	const usage = {}
+	for (const line of (await resultsResponse.text()).split('\n')) {
+		if (!line.trim().length) continue
+		const { custom_id: id, result } = JSON.parse(line)
+		results[id] = result.type === 'succeeded' ? getResult({ data: result.message }, log, settings) : null
+		usage[id] = result.type === 'succeeded' ? getUsage({ data: result.message }, log) : null
+	}
+	return { status: batch.processing_status, results, usage }
+}
@@ -0,0 +1,72 @@
+// OpenAI models hosted on Azure, at the 'endpoint' provider setting, e.g. 'https://my-resource.openai.azure.com'. Azure
+// addresses models by deployment name: the 'deployment' setting, unless --model is specified.
+import { getResult, getTranslationRequestDetails as getOpenAITranslationRequestDetails, getUsage, usesStructuredOutput } from './openai.mjs'
+import { httpFetch } from '../lib/http.js'
+
+export { getResult, getUsage, usesStructuredOutput }
+
+const DEFAULT_API_VERSION = '2024-10-21'
+
+function getUrl(settings, urlPath) {
+	const url = new URL(`${settings.endpoint.replace(/\/+$/, '')}/openai/${urlPath}`)
+	url.searchParams.append('api-version', settings.apiVersion ?? DEFAULT_API_VERSION)
+	return url.toString()
+}
+
+export function name() {
+	return 'Azure OpenAI'
+}
+
+export function getRequiredSettings() {
+	return [ 'endpoint' ]
+}
+
+export function defaultModel(settings) {
+	return settings?.deployment
+}
+
+// Models are deployment names, which listModels() doesn't list
+export function usesDeployments() {
+	return true
+}
+
+export async function listModels(apiKey, settings) {
+	const response = await httpFetch(getUrl(settings, 'models'), {
+		method: 'GET',
+		headers: {
+			'api-key': apiKey
+		}
+	})
+	return await response.json()
+}
+
+export function getTranslationRequestDetails({ model, messages, apiKey, settings, log }) {
+	// The deployment determines the model, so there's no 'model' parameter
+	const { params } = getOpenAITranslationRequestDetails({ model, messages, apiKey, settings, log })
+	delete params.model
+	return {
+		url: getUrl(settings, `deployments/${encodeURIComponent(model)}/chat/completions`),
+		params,
+		config: {
+			headers: {
+				'Content-Type': 'application/json',
+				'api-key': apiKey,
+			},
+		},
+	}
+}
+
+function getHeader(headers, name) {
+	return headers[name] || headers.get?.(name)
+}
+
+export function getSleepInterval(headers, log) {
+	log.T(headers)
+	const retryAfterMs = parseInt(getHeader(headers, 'retry-after-ms'))
+	log.D('retryAfterMs', retryAfterMs)
+	if (!isNaN(retryAfterMs)) return retryAfterMs + 200
+
+	const retryAfter = parseInt(getHeader(headers, 'retry-after'))
+	log.D('retryAfter', retryAfter)
+	return isNaN(retryAfter) ? 0 : 1000 * retryAfter + 200
+}
@@ -0,0 +1,99 @@
+// DeepL's machine translation API. Provider settings are 'formality' (e.g. 'more', 'less', 'prefer_more') and
+// 'glossaryId', both for all target languages, or per target language via 'formalities' and 'glossaryIds' maps.
+import { hasMarkup } from '../lib/markup.js'
+import { httpFetch } from '../lib/http.js'
+
+// DeepL only accepts regions for these target languages, e.g. 'EN-GB' or 'PT-BR'
+const TARGET_LANGUAGES_WITH_REGIONS = [
+	'en',
+	'pt'
+]
+const DEFAULT_TARGET_REGIONS = {
+	en: 'US',
+	pt: 'PT'
+}
+const TRADITIONAL_CHINESE_REGIONS = [
+	'TW',
+	'HK',
+	'MO'
+]
+const DEFAULT_SLEEP_INTERVAL_MS = 5000
+
+// Free API keys end with ':fx', and have their own endpoint
+function getBaseUrl(apiKey) {
+	return apiKey.endsWith(':fx') ? 'https://api-free.deepl.com/v2' : 'https://api.deepl.com/v2'
+}
+
+function getHeaders(apiKey) {
+	return {
+		'Content-Type': 'application/json',
+		'Authorization': `DeepL-Auth-Key ${apiKey}`
+	}
+}
+
+// Returns DeepL's code for a BCP47 language tag, e.g. 'DE' for 'de-AT', 'PT-BR' for 'pt-BR' or 'ZH-HANT' for 'zh-TW'
+export function getDeepLLanguageCode(lang, isTarget) {
+	const locale = new Intl.Locale(lang)
+	const language = locale.language.toUpperCase()
+	if (!isTarget) return language
+
+	if (language === 'ZH') {
+		const script = locale.script ?? (TRADITIONAL_CHINESE_REGIONS.includes(locale.region) ? 'Hant' : 'Hans')
+		return `ZH-${script.toUpperCase()}`
+	}
+	if (TARGET_LANGUAGES_WITH_REGIONS.includes(locale.language)) {
+		return `${language}-${locale.region ?? DEFAULT_TARGET_REGIONS[locale.language]}`
+	}
+	return language
+}
+
+export function name() {
+	return 'DeepL'
+}
+
+export async function listModels(apiKey) {
+	// DeepL has no models to choose from, so list the languages it can translate to instead
+	const response = await httpFetch(`${getBaseUrl(apiKey)}/languages?type=target`, {
+		method: 'GET',
+		headers: getHeaders(apiKey)
+	})
+	return await response.json()
+}
+
+export function getTextTranslationRequestDetails({ text, sourceLang, targetLang, context, appContextMessage, model, apiKey, settings, log }) {
+	const formality = settings?.formalities?.[targetLang] ?? settings?.formality
+	const glossaryId = settings?.glossaryIds?.[targetLang] ?? settings?.glossaryId
+	// Context isn't translated, and isn't billed for
+	const contextStr = [ appContextMessage, context ].filter(s => s?.length).join('\n')
+	return {
+		url: `${getBaseUrl(apiKey)}/translate`,
+		params: {
+			text: [ text ],
+			source_lang: getDeepLLanguageCode(sourceLang, false),
+			target_lang: getDeepLLanguageCode(targetLang, true),
+			...(contextStr.length ? { context: contextStr } : {}),
+			...(formality ? { formality } : {}),
+			...(glossaryId ? { glossary_id: glossaryId } : {}),
+			...(model ? { model_type: model } : {}),
+			...(hasMarkup(text) ? { tag_handling: 'html' } : {})
+		},
+		config: {
+			headers: getHeaders(apiKey)
+		}
+	}
+}
+
+export function getResult(response, log) {
+	return response.data.translations?.[0]?.text ?? ''
+}
+
+function getHeader(headers, name) {
+	return headers[name] || headers.get?.(name)
+}
+
+export function getSleepInterval(headers, log) {
+	log.T(headers)
+	const retryAfter = parseInt(getHeader(headers, 'retry-after'))
+	log.D('retryAfter', retryAfter)
+	return isNaN(retryAfter) ? DEFAULT_SLEEP_INTERVAL_MS : 1000 * retryAfter + 200
+}
@@ -0,0 +1,116 @@
+// Google Cloud Translation's machine translation API. The 'version' provider setting is 'v2' (Basic; the default), which
+// takes an API key, or 'v3' (Advanced), which takes an OAuth access token, e.g. from 'gcloud auth print-access-token', in
+// place of the API key, and also needs the 'projectId' setting. v3 can also use the 'location' (defaults to 'global'),
+// 'glossaryId' (or per target language, 'glossaryIds') and model (e.g. 'general/nmt') settings.
+import { httpFetch } from '../lib/http.js'
+
+const BASE_URL = 'https://translation.googleapis.com'
+const DEFAULT_LOCATION = 'global'
+
+// Regional variants Google has codes for; other languages are translated by their language subtag alone
+const REGIONAL_LANGUAGE_CODES = [
+	'fr-CA',
+	'pt-PT'
+]
+const TRADITIONAL_CHINESE_REGIONS = [
+	'TW',
+	'HK',
+	'MO'
+]
+const DEFAULT_SLEEP_INTERVAL_MS = 5000
+
+function isV3(settings) {
+	return settings?.version === 'v3'
+}
+
+function getV3ParentPath(settings) {
+	return `projects/${settings.projectId}/locations/${settings.location ?? DEFAULT_LOCATION}`
+}
+
+function getHeaders(apiKey, settings) {
+	return {
+		'Content-Type': 'application/json',
+		...(isV3(settings) ? { 'Authorization': `Bearer ${apiKey}` } : { 'X-Goog-Api-Key': apiKey })
+	}
+}
+
+// Returns Google's code for a BCP47 language tag, e.g. 'de' for 'de-AT', 'pt-PT' for 'pt-PT' or 'zh-TW' for 'zh-Hant'
+export function getGoogleLanguageCode(lang) {
+	const locale = new Intl.Locale(lang)
+	if (locale.language === 'zh') {
+		const isTraditional = locale.script === 'Hant' || (!locale.script && TRADITIONAL_CHINESE_REGIONS.includes(locale.region))
+		return isTraditional ? 'zh-TW' : 'zh-CN'
+	}
+	const languageAndRegion = `${locale.language}-${locale.region}`
+	return REGIONAL_LANGUAGE_CODES.includes(languageAndRegion) ? languageAndRegion : locale.language
+}
+
+export function name() {
+	return 'Google Cloud Translation'
+}
+
+export function getRequiredSettings(settings) {
+	return isV3(settings) ? [ 'projectId' ] : []
+}
+
+export async function listModels(apiKey, settings) {
+	// Models are chosen by path (e.g. 'general/nmt') rather than listed, so list the supported languages instead
+	const url = isV3(settings)
+		? `${BASE_URL}/v3/${getV3ParentPath(settings)}/supportedLanguages`
+		: `${BASE_URL}/language/translate/v2/languages?target=en`
+	const response = await httpFetch(url, {
+		method: 'GET',
+		headers: getHeaders(apiKey, settings)
+	})
+	return await response.json()
+}
+
+export function getTextTranslationRequestDetails({ text, sourceLang, targetLang, model, apiKey, settings, log }) {
+	// Neither version takes context
+	const config = { headers: getHeaders(apiKey, settings) }
+	if (!isV3(settings)) {
+		return {
+			url: `${BASE_URL}/language/translate/v2`,
+			params: {
+				q: [ text ],
+				source: getGoogleLanguageCode(sourceLang),
+				target: getGoogleLanguageCode(targetLang),
+				format: 'text'
+			},
+			config
+		}
+	}
+
+	const parentPath = getV3ParentPath(settings)
+	const glossaryId = settings.glossaryIds?.[targetLang] ?? settings.glossaryId
+	return {
+		url: `${BASE_URL}/v3/${parentPath}:translateText`,
+		params: {
+			contents: [ text ],
+			sourceLanguageCode: getGoogleLanguageCode(sourceLang),
+			targetLanguageCode: getGoogleLanguageCode(targetLang),
+			mimeType: 'text/plain',
+			...(model ? { model: `${parentPath}/models/${model}` } : {}),
+			...(glossaryId ? { glossaryConfig: { glossary: `${parentPath}/glossaries/${glossaryId}` } } : {})
+		},
+		config
+	}
+}
+
+export function getResult(response, log) {
+	const { data } = response
+	// v2 nests translations under 'data'; with a glossary, v3 has translations with and without it applied
+	const translation = data.data?.translations?.[0] ?? data.glossaryTranslations?.[0] ?? data.translations?.[0]
+	return translation?.translatedText ?? ''
+}
+
+function getHeader(headers, name) {
+	return headers[name] || headers.get?.(name)
+}
+
+export function getSleepInterval(headers, log) {
+	log.T(headers)
+	const retryAfter = parseInt(getHeader(headers, 'retry-after'))
+	log.D('retryAfter', retryAfter)
+	return isNaN(retryAfter) ? DEFAULT_SLEEP_INTERVAL_MS : 1000 * retryAfter + 200
+}
@@ -1,7 +1,19 @@
+import { TRANSLATION_SCHEMA, parseStructuredTranslation } from '../lib/structured-output.js'
+import { httpFetch } from '../lib/http.js'
+
+// Gemini's responseSchema is a subset of OpenAPI's schemas, without 'additionalProperties'
+const RESPONSE_SCHEMA = { ...TRANSLATION_SCHEMA }
+delete RESPONSE_SCHEMA.additionalProperties
+
 export function name() {
 	return 'Google'
 }
 
+// Responses are JSON matching RESPONSE_SCHEMA, unless the 'structuredOutput' setting is false
+export function usesStructuredOutput(settings) {
+	return settings?.structuredOutput !== false
+}
+
 export async function listModels(apiKey) {
 	let allModels = []
 	let pageToken = null
@@ -18,7 +30,7 @@ export async function listModels(apiKey) {
 			url.searchParams.append('pageToken', pageToken)
 		}
 
-		const response = await fetch(url, {
+		const response = await httpFetch(url, {
 			method: 'GET',
 			headers: {
 				'Content-Type': 'application/json'
@@ -47,14 +59,17 @@ export async function listModels(apiKey) {
 	return { models: allModels }
 }
 
-export function getTranslationRequestDetails({ model, messages, apiKey, log }) {
+export function getTranslationRequestDetails({ model, messages, apiKey, settings, log }) {
 	return {
 		url: `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`,
 		params: {
 			contents: messages.map(m => ({
 				role: 'user',
 				parts: [ { text: m } ]
-			}))
+			})),
+			...(usesStructuredOutput(settings) ? {
+				generationConfig: { responseMimeType: 'application/json', responseSchema: RESPONSE_SCHEMA }
+			} : {})
 		},
 		config: {
 			headers: {
@@ -64,8 +79,16 @@ export function getTranslationRequestDetails({ model, messages, apiKey, log }) {
 	}
 }
 
-export function getResult(response, log) {
-	return response.data.candidates?.[0]?.content?.parts?.[0]?.text?.trim?.() || ''
+export function getResult(response, log, settings) {
+	const text = response.data.candidates?.[0]?.content?.parts?.[0]?.text
+	if (usesStructuredOutput(settings)) return parseStructuredTranslation(text)
+	return text?.trim?.() || ''
+}
+
+// Thinking models' thoughts are billed as output
+export function getUsage(response, log) {
+	const { promptTokenCount: inputTokens, candidatesTokenCount, thoughtsTokenCount } = response.data.usageMetadata ?? {}
+	return Number.isInteger(inputTokens) ? { inputTokens, outputTokens: (candidatesTokenCount ?? 0) + (thoughtsTokenCount ?? 0) } : null
 }
 
 function getHeader(headers, name) {
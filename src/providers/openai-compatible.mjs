@@ -0,0 +1,61 @@
+// Any server with an OpenAI-compatible chat completions API, e.g. Ollama, llama.cpp's server or vLLM, at the 'baseUrl'
+// provider setting. An API key is optional, since self-hosted servers often don't need one.
+import { getResult as getOpenAIResult, getSleepInterval, getTranslationRequestDetails as getOpenAITranslationRequestDetails, getUsage } from './openai.mjs'
+import { httpFetch } from '../lib/http.js'
+
+export { getSleepInterval, getUsage }
+
+// Ollama's default
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1'
+
+function getBaseUrl(settings) {
+	return (settings?.baseUrl ?? DEFAULT_BASE_URL).replace(/\/+$/, '')
+}
+
+function getHeaders(apiKey) {
+	return {
+		'Content-Type': 'application/json',
+		...(apiKey?.length ? { 'Authorization': `Bearer ${apiKey}` } : {})
+	}
+}
+
+export function name() {
+	return 'OpenAI-compatible'
+}
+
+export function isApiKeyRequired() {
+	return false
+}
+
+// Not every server supports OpenAI's JSON schema response format, so it's only used if the 'structuredOutput' setting is
+// true
+export function usesStructuredOutput(settings) {
+	return settings?.structuredOutput === true
+}
+
+function getOpenAISettings(settings) {
+	return { ...settings, structuredOutput: usesStructuredOutput(settings) }
+}
+
+export async function listModels(apiKey, settings) {
+	const response = await httpFetch(`${getBaseUrl(settings)}/models`, {
+		method: 'GET',
+		headers: getHeaders(apiKey)
+	})
+	return await response.json()
+}
+
+export function getTranslationRequestDetails({ model, messages, apiKey, settings, log }) {
+	const { params } = getOpenAITranslationRequestDetails({ model, messages, apiKey, settings: getOpenAISettings(settings), log })
+	return {
+		url: `${getBaseUrl(settings)}/chat/completions`,
+		params,
+		config: {
+			headers: getHeaders(apiKey)
+		}
+	}
+}
+
+export function getResult(response, log, settings) {
+	return getOpenAIResult(response, log, getOpenAISettings(settings))
+}
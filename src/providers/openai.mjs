@@ -1,19 +1,43 @@
+import { TRANSLATION_SCHEMA, parseStructuredTranslation } from '../lib/structured-output.js'
+import { httpFetch } from '../lib/http.js'
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1'
+const CHAT_COMPLETIONS_PATH = '/v1/chat/completions'
+const BATCH_COMPLETION_WINDOW = '24h'
+
+// Batches which have ended; those which didn't complete may still have some results
+const ENDED_BATCH_STATUSES = [
+	'completed',
+	'expired',
+	'cancelled'
+]
+
+// The 'baseUrl' provider setting can point at a proxy or compatible server instead
+function getBaseUrl(settings) {
+	return (settings?.baseUrl ?? DEFAULT_BASE_URL).replace(/\/+$/, '')
+}
+
 export function name() {
 	return 'OpenAI'
 }
 
-export async function listModels(apiKey) {
+// Responses are JSON matching TRANSLATION_SCHEMA, unless the 'structuredOutput' setting is false, e.g. for older models
+export function usesStructuredOutput(settings) {
+	return settings?.structuredOutput !== false
+}
+
+export async function listModels(apiKey, settings) {
 	let allModels = []
 	let hasMore = true
 	let lastId = null
 
 	while (hasMore) {
-		const url = new URL('https://api.openai.com/v1/models')
+		const url = new URL(`${getBaseUrl(settings)}/models`)
 		if (lastId) {
 			url.searchParams.append('after', lastId)
 		}
 
-		const response = await fetch(url, {
+		const response = await httpFetch(url, {
 			method: 'GET',
 			headers: {
 				'Authorization': `Bearer ${apiKey}`,
@@ -45,9 +69,9 @@ export async function listModels(apiKey) {
 	return { data: allModels }
 }
 
-export function getTranslationRequestDetails({ model, messages, apiKey, log }) {
+export function getTranslationRequestDetails({ model, messages, apiKey, settings, log }) {
 	return {
-		url: 'https://api.openai.com/v1/chat/completions',
+		url: `${getBaseUrl(settings)}/chat/completions`,
 		params: {
 			model,
 			messages: messages.map((m, idx) => {
@@ -58,6 +82,12 @@ export function getTranslationRequestDetails({ model, messages, apiKey, log }) {
 			}),
 			temperature: 0.3,
 			max_tokens: 1024,
+			...(usesStructuredOutput(settings) ? {
+				response_format: {
+					type: 'json_schema',
+					json_schema: { name: 'translation', strict: true, schema: TRANSLATION_SCHEMA }
+				}
+			} : {}),
 		},
 		config: {
 			headers: {
@@ -68,6 +98,87 @@ export function getTranslationRequestDetails({ model, messages, apiKey, log }) {
 	}
 }
 
-export function getResult(response) {
-	return response.data.choices[0].message.content.trim()
+export function getResult(response, log, settings) {
+	const { content } = response.data.choices[0].message
+	return usesStructuredOutput(settings) ? parseStructuredTranslation(content) : content.trim()
+}
+
+export function getUsage(response, log) {
+	const { prompt_tokens: inputTokens, completion_tokens: outputTokens } = response.data.usage ?? {}
+	return Number.isInteger(inputTokens) ? { inputTokens, outputTokens: outputTokens ?? 0 } : null
+}
+
+function getHeader(headers, name) {
+	return headers[name] || headers.get?.(name)
+}
+
+export function getSleepInterval(headers, log) {
+	log.T(headers)
+	const retryAfter = parseInt(getHeader(headers, 'retry-after'))
+	log.D('retryAfter', retryAfter)
+	return isNaN(retryAfter) ? 0 : 1000 * retryAfter + 200
+}
+
+async function fetchJson(url, options) {
+	const response = await httpFetch(url, options)
+	const result = await response.json()
+	if (!response.ok) throw new Error(result.error?.message ?? `${response.status} ${response.statusText}`)
+	return result
+}
+
+// Submits requests, [ { id, model, messages } ], as a Batch, by uploading them as a JSONL file; returns the batch's ID
+export async function submitBatch({ requests, apiKey, settings, log }) {
+	const jsonl = requests
+		.map(({ id, model, messages }) => JSON.stringify({
+			custom_id: id,
+			method: 'POST',
+			url: CHAT_COMPLETIONS_PATH,
+			body: getTranslationRequestDetails({ model, messages, apiKey, settings, log }).params
+		}))
+		.join('\n')
+	const form = new FormData()
+	form.append('purpose', 'batch')
+	form.append('file', new Blob([ jsonl ], { type: 'application/jsonl' }), 'alt-batch.jsonl')
+	const file = await fetchJson(`${getBaseUrl(settings)}/files`, {
+		method: 'POST',
+		headers: { 'Authorization': `Bearer ${apiKey}` },
+		body: form
+	})
+
+	const batch = await fetchJson(`${getBaseUrl(settings)}/batches`, {
+		method: 'POST',
+		headers: {
+			'Authorization': `Bearer ${apiKey}`,
+			'Content-Type': 'application/json'
+		},
+		body: JSON.stringify({
+			input_file_id: file.id,
+			endpoint: CHAT_COMPLETIONS_PATH,
+			completion_window: BATCH_COMPLETION_WINDOW
+		})
+	})
+	return batch.id
+}
+
+// Returns { status, results, usage }, where results maps each request's ID to its translated text (or null if it failed),
+// or is null if the batch hasn't ended, and usage maps request IDs to the tokens they used
+export async function getBatchResults({ batchId, apiKey, settings, log }) {
+	const headers = { 'Authorization': `Bearer ${apiKey}` }
+	const batch = await fetchJson(`${getBaseUrl(settings)}/batches/${batchId}`, { method: 'GET', headers })
+	log.D('batch', batch)
+	if (batch.status === 'failed') throw new Error(batch.errors?.data?.[0]?.message ?? `Batch ${batchId} failed`)
+	if (!ENDED_BATCH_STATUSES.includes(batch.status)) return { status: batch.status, results: null }
+
+	const results = {}
+	const usage = {}
+	if (batch.output_file_id) {
+		const response = await httpFetch(`${getBaseUrl(settings)}/files/${batch.output_file_id}/content`, { method: 'GET', headers })
+		for (const line of (await response.text()).split('\n')) {
+			if (!line.trim().length) continue
+			const { custom_id: id, response: result } = JSON.parse(line)
+			results[id] = result?.status_code === 200 ? getResult({ data: result.body }, log, settings) : null
+			usage[id] = result?.body ? getUsage({ data: result.body }, log) : null
+		}
+	}
+	return { status: batch.status, results, usage }
 }
@@ -0,0 +1,94 @@
+// Pseudo-localization, for finding truncation and hardcoded strings in a UI before paying for real translations. Text is
+// accented, padded and bracketed, e.g. 'Sign in' => '[Ŝîĝñ îñ ~~~]', leaving placeholders, markup and ICU syntax as they
+// are. The padding is a proportion of the text's length, given by the 'expansion' provider setting (or per target
+// language, 'expansions').
+import { findTags } from '../lib/markup.js'
+import { findPlaceholders } from '../lib/placeholders.js'
+import { formatIcuMessage, getPluralCategoriesForLanguage, isComplexIcuMessage, parseIcuMessage } from '../lib/icu.js'
+
+const DEFAULT_EXPANSION = 0.4
+const PADDING_CHAR = '~'
+
+const ACCENTED_CHARS = {
+	a: 'â', b: 'ƀ', c: 'ĉ', d: 'đ', e: 'ê', f: 'ƒ', g: 'ĝ', h: 'ĥ', i: 'î', j: 'ĵ', k: 'ķ', l: 'ļ', m: 'ɱ',
+	n: 'ñ', o: 'ô', p: 'þ', q: 'ǫ', r: 'ŕ', s: 'ŝ', t: 'ţ', u: 'û', v: 'ṽ', w: 'ŵ', x: 'ẋ', y: 'ŷ', z: 'ẑ',
+	A: 'Â', B: 'Ɓ', C: 'Ĉ', D: 'Đ', E: 'Ê', F: 'Ƒ', G: 'Ĝ', H: 'Ĥ', I: 'Î', J: 'Ĵ', K: 'Ķ', L: 'Ļ', M: 'Ṁ',
+	N: 'Ñ', O: 'Ô', P: 'Þ', Q: 'Ǫ', R: 'Ŕ', S: 'Ŝ', T: 'Ţ', U: 'Û', V: 'Ṽ', W: 'Ŵ', X: 'Ẋ', Y: 'Ŷ', Z: 'Ẑ'
+}
+
+// Accents the letters in text, except within placeholders and tags. Returns { text, length }, where length is the number
+// of characters which were eligible for accenting.
+function accentText(text, { singleBraces }) {
+	const protectedSpans = [ ...findPlaceholders(text, { singleBraces }), ...findTags(text) ]
+		.sort((a, b) => a.index - b.index)
+
+	let result = ''
+	let length = 0
+	let pos = 0
+	const accent = s => {
+		length += s.length
+		return s.replace(/[a-zA-Z]/g, c => ACCENTED_CHARS[c])
+	}
+	for (const { index, text: spanText } of protectedSpans) {
+		if (index < pos) continue	// Overlaps the last span
+		result += accent(text.substring(pos, index)) + spanText
+		pos = index + spanText.length
+	}
+	result += accent(text.substring(pos))
+	return { text: result, length }
+}
+
+// Accents an ICU message's text, adding any plural categories targetLang needs as copies of the 'other' option
+function accentIcuNodes(nodes, targetLang) {
+	let length = 0
+	const result = nodes.map(node => {
+		if (node.type === 'text') {
+			const accented = accentText(node.value, { singleBraces: false })
+			length += accented.length
+			return { ...node, value: accented.text }
+		}
+		if (!node.options) return node
+
+		const options = {}
+		for (const [ selector, optionNodes ] of Object.entries(node.options)) {
+			const accented = accentIcuNodes(optionNodes, targetLang)
+			length = Math.max(length, accented.length)
+			options[selector] = accented.nodes
+		}
+		if (node.type === 'plural' || node.type === 'selectordinal') {
+			for (const category of getPluralCategoriesForLanguage(targetLang, node.type) ?? []) {
+				options[category] = options[category] ?? options.other
+			}
+		}
+		return { ...node, options }
+	})
+	return { nodes: result, length }
+}
+
+export function name() {
+	return 'Pseudo'
+}
+
+export function isApiKeyRequired() {
+	return false
+}
+
+export async function listModels() {
+	return []
+}
+
+export async function translateText({ text, targetLang, settings, log }) {
+	let accented
+	if (isComplexIcuMessage(text)) {
+		const { nodes, length } = accentIcuNodes(parseIcuMessage(text), targetLang)
+		accented = { text: formatIcuMessage(nodes), length }
+	} else {
+		accented = accentText(text, { singleBraces: true })
+	}
+	const { text: accentedText, length } = accented
+
+	const expansion = settings?.expansions?.[targetLang] ?? settings?.expansion ?? DEFAULT_EXPANSION
+	const paddingLength = Math.ceil(length * expansion)
+	log.D(`[pseudo] length=${length}; expansion=${expansion}; paddingLength=${paddingLength}`)
+	return `[${accentedText}${paddingLength > 0 ? ` ${PADDING_CHAR.repeat(paddingLength)}` : ''}]`
+}
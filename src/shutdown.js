@@ -1,4 +1,5 @@
-import { rmDir, writeJsonFile } from './lib/io.js'
+import { rmDir } from './lib/io.js'
+import { writeOutputFile } from './lib/formats.js'
 
 export function shutdown(appState, kill) {
 	const { log, errors, tmpDir, filesToWrite } = appState
@@ -12,11 +13,11 @@ export function shutdown(appState, kill) {
 	// Write any data to disk
 	//log.D('filesToWrite keys:', Object.keys(filesToWrite))
 	let filesWrittenCount = 0
-	for (const path of Object.keys(filesToWrite)) {
-		log.D('path:', path)
-		const json = filesToWrite[path]
-		log.T('json:', json)
-		writeJsonFile(path, json, appState.log)
+	for (const id of Object.keys(filesToWrite)) {
+		const { filePath = id, data, format, lang = null, referenceData = null } = filesToWrite[id]
+		log.D('path:', filePath)
+		log.T('data:', data)
+		writeOutputFile(filePath, data, format, lang, appState.log, referenceData)
 		++filesWrittenCount
 	}
 
@@ -0,0 +1,111 @@
+import { execa } from 'execa'
+import { expect } from 'chai'
+import * as fsp from 'fs/promises'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { dirname } from 'path'
+import { FORMAT_METADATA } from '../src/lib/consts.js'
+import { mkTmpDir, rmDir } from '../src/lib/io.js'
+import { getOutputFormat } from '../src/lib/formats.js'
+import { getReferenceDataFromArb } from '../src/formats/arb.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+const mockLog = {
+	D: () => {},
+	W: () => {},
+	E: () => {},
+	I: () => {},
+	V: () => {},
+	T: () => {}
+}
+
+const ARB_EN = JSON.stringify({
+	'@@locale': 'en',
+	'helloWorld': 'Hello World!',
+	'@helloWorld': { description: 'The conventional newborn programmer greeting' },
+	'greeting': 'Hello {name}',
+	'@greeting': { placeholders: { name: { type: 'String', example: 'Bob' } } }
+})
+
+const ARB_FR = JSON.stringify({
+	'@@locale': 'fr',
+	'@@last_modified': '2025-01-01T00:00:00Z',
+	'greeting': 'Bonjour {name}',
+	'@greeting': { placeholders: { name: { type: 'String' } } }
+})
+
+describe('arb format', () => {
+	const format = getOutputFormat('arb')
+
+	it('should load messages, with @key descriptions as context, and @key entries as metadata', () => {
+		const { data, contextMap } = getReferenceDataFromArb(ARB_EN)
+		expect(data).to.deep.equal({ helloWorld: 'Hello World!', greeting: 'Hello {name}' })
+		expect(contextMap).to.deep.equal({ helloWorld: 'The conventional newborn programmer greeting' })
+		expect(data[FORMAT_METADATA].attributes).to.have.keys('helloWorld', 'greeting')
+	})
+
+	it('should parse only messages, keeping @@ and @key entries as metadata', async () => {
+		const data = await format.parse(ARB_FR)
+		expect(data).to.deep.equal({ greeting: 'Bonjour {name}' })
+		expect(data[FORMAT_METADATA].attributes).to.have.keys('greeting')
+	})
+
+	it('should write @@locale and existing metadata back alongside messages', async () => {
+		const data = await format.parse(ARB_FR)
+		data.helloWorld = 'Bonjour le monde !'
+		expect(JSON.parse(format.serialize(data, data[FORMAT_METADATA], { lang: 'fr' }))).to.deep.equal({
+			'@@locale': 'fr',
+			'@@last_modified': '2025-01-01T00:00:00Z',
+			'greeting': 'Bonjour {name}',
+			'@greeting': { placeholders: { name: { type: 'String' } } },
+			'helloWorld': 'Bonjour le monde !'
+		})
+	})
+
+	it('should write @@locale in underscore form for new files', () => {
+		expect(JSON.parse(format.serialize({ a: 'b' }, undefined, { lang: 'pt-BR' }))).to.deep.equal({ '@@locale': 'pt_BR', 'a': 'b' })
+	})
+
+	it('should fall back to the reference file\'s @key entries', async () => {
+		const { data: referenceData } = getReferenceDataFromArb(ARB_EN)
+		const data = await format.parse(ARB_FR)
+		data.helloWorld = 'Bonjour le monde !'
+		const result = JSON.parse(format.serialize(data, data[FORMAT_METADATA], { lang: 'fr', referenceMetadata: referenceData[FORMAT_METADATA] }))
+		expect(result['@greeting']).to.deep.equal({ placeholders: { name: { type: 'String' } } })
+		expect(result['@helloWorld']).to.deep.equal({ description: 'The conventional newborn programmer greeting' })
+	})
+})
+
+describe('translate to arb', function() {
+	this.timeout(20000)
+
+	let tmpDir
+
+	beforeEach(async () => {
+		tmpDir = await mkTmpDir()
+		await fsp.writeFile(path.join(tmpDir, 'app_en.arb'), ARB_EN)
+		await fsp.writeFile(path.join(tmpDir, 'alt.config.json'), JSON.stringify({
+			provider: 'pseudo',
+			referenceFile: 'app_en.arb',
+			referenceLanguage: 'en',
+			outputDir: '.'
+		}))
+	})
+
+	afterEach(() => {
+		rmDir(tmpDir, mockLog)
+	})
+
+	it('should write the reference file\'s @key entries to new files', async () => {
+		const result = await execa('node', [ path.resolve(__dirname, '../alt.mjs'), 'translate', '-y', '-tl', 'en-XA' ], { cwd: tmpDir, reject: false })
+		expect(result.exitCode, result.stderr).to.equal(0)
+
+		const output = JSON.parse(await fsp.readFile(path.join(tmpDir, 'app_en_XA.arb'), 'utf8'))
+		expect(output['@@locale']).to.equal('en_XA')
+		expect(output['@helloWorld']).to.deep.equal({ description: 'The conventional newborn programmer greeting' })
+		expect(output['@greeting']).to.deep.equal({ placeholders: { name: { type: 'String', example: 'Bob' } } })
+		expect(output.greeting).to.include('{name}')
+	})
+})
@@ -0,0 +1,226 @@
+import { execa } from 'execa'
+import { expect } from 'chai'
+import * as fsp from 'fs/promises'
+import http from 'http'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { dirname } from 'path'
+import { mkTmpDir, rmDir } from '../src/lib/io.js'
+import { DEFAULT_CACHE_FILENAME } from '../src/lib/consts.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+const mockLog = {
+	D: () => {},
+	W: () => {},
+	E: () => {},
+	I: () => {},
+	V: () => {},
+	T: () => {}
+}
+
+// Translates a request's prompt by prefixing the text with the target language, e.g. 'fr:Hello', except that text
+// with 'FAIL' in it fails, and text with '{name}' loses its placeholder
+function translatePrompt(prompt) {
+	const [ , targetLang, text ] = prompt.match(/^Here we go\. Translate the following text from \S+ to (\S+):\n\n([\s\S]*)$/)
+	if (text.includes('FAIL')) return null
+	return `${targetLang}:${text.replace('{name}', 'NAME')}`
+}
+
+// A stand-in for Anthropic's Message Batches API and OpenAI's Batch API, whose batches end when `ended` is set. Results are
+// structured, as a tool call or JSON.
+function createBatchServer() {
+	const server = {
+		ended: false,
+		batches: {},
+		files: {}
+	}
+
+	const readBody = req => new Promise(resolve => {
+		const chunks = []
+		req.on('data', chunk => chunks.push(chunk))
+		req.on('end', () => resolve(Buffer.concat(chunks)))
+	})
+	const sendJson = (res, data) => {
+		res.setHeader('Content-Type', 'application/json')
+		res.end(JSON.stringify(data))
+	}
+
+	server.httpServer = http.createServer(async (req, res) => {
+		const body = await readBody(req)
+		const { pathname } = new URL(req.url, server.baseUrl)
+		let match
+
+		// Anthropic
+		if (req.method === 'POST' && pathname === '/v1/messages/batches') {
+			const id = `msgbatch_${Object.keys(server.batches).length + 1}`
+			server.batches[id] = JSON.parse(body).requests.map(({ custom_id, params }) => ({ id: custom_id, prompt: params.messages.at(-1).content }))
+			return sendJson(res, { id, processing_status: 'in_progress' })
+		}
+		if ((match = pathname.match(/^\/v1\/messages\/batches\/([^/]+)$/))) {
+			return sendJson(res, server.ended
+				? { id: match[1], processing_status: 'ended', results_url: `${server.baseUrl}/v1/messages/batches/${match[1]}/results` }
+				: { id: match[1], processing_status: 'in_progress' })
+		}
+		if ((match = pathname.match(/^\/v1\/messages\/batches\/([^/]+)\/results$/))) {
+			res.setHeader('Content-Type', 'application/binary')
+			return res.end(server.batches[match[1]]
+				.map(({ id, prompt }) => {
+					const text = translatePrompt(prompt)
+					return JSON.stringify({
+						custom_id: id,
+						result: text === null
+							? { type: 'errored', error: { type: 'invalid_request_error' } }
+							: { type: 'succeeded', message: { content: [ { type: 'tool_use', name: 'submit_translation', input: { translation: text } } ] } }
+					})
+				})
+				.join('\n'))
+		}
+
+		// OpenAI
+		if (req.method === 'POST' && pathname === '/v1/files') {
+			const form = await new Response(body, { headers: { 'Content-Type': req.headers['content-type'] } }).formData()
+			const id = `file-${Object.keys(server.files).length + 1}`
+			server.files[id] = await form.get('file').text()
+			return sendJson(res, { id, purpose: form.get('purpose') })
+		}
+		if (req.method === 'POST' && pathname === '/v1/batches') {
+			const { input_file_id: inputFileId } = JSON.parse(body)
+			const id = `batch_${Object.keys(server.batches).length + 1}`
+			server.batches[id] = server.files[inputFileId]
+				.split('\n')
+				.map(line => JSON.parse(line))
+				.map(({ custom_id, body }) => ({ id: custom_id, prompt: body.messages.at(-1).content }))
+			return sendJson(res, { id, status: 'validating' })
+		}
+		if ((match = pathname.match(/^\/v1\/batches\/([^/]+)$/))) {
+			return sendJson(res, server.ended
+				? { id: match[1], status: 'completed', output_file_id: `output-${match[1]}` }
+				: { id: match[1], status: 'in_progress' })
+		}
+		if ((match = pathname.match(/^\/v1\/files\/output-([^/]+)\/content$/))) {
+			return res.end(server.batches[match[1]]
+				.map(({ id, prompt }) => {
+					const text = translatePrompt(prompt)
+					return JSON.stringify({
+						custom_id: id,
+						response: text === null
+							? { status_code: 500, body: {} }
+							: { status_code: 200, body: { choices: [ { message: { role: 'assistant', content: JSON.stringify({ translation: text }) } } ] } }
+					})
+				})
+				.join('\n'))
+		}
+
+		res.statusCode = 404
+		sendJson(res, { error: { message: `No ${req.method} ${pathname}` } })
+	})
+
+	return server
+}
+
+describe('batch translation', function() {
+	this.timeout(20000)
+
+	let tmpDir
+	let server
+
+	beforeEach(async () => {
+		tmpDir = await mkTmpDir()
+		server = createBatchServer()
+		await new Promise(resolve => server.httpServer.listen(0, '127.0.0.1', resolve))
+		server.baseUrl = `http://127.0.0.1:${server.httpServer.address().port}`
+	})
+
+	afterEach(async () => {
+		await new Promise(resolve => server.httpServer.close(resolve))
+		rmDir(tmpDir, mockLog)
+	})
+
+	const writeProject = async ({ provider, providerSettings, referenceData }) => {
+		await fsp.writeFile(path.join(tmpDir, 'en.json'), JSON.stringify(referenceData))
+		await fsp.writeFile(path.join(tmpDir, 'alt.config.json'), JSON.stringify({
+			provider,
+			providers: { [provider]: providerSettings },
+			referenceFile: 'en.json',
+			referenceLanguage: 'en',
+			outputDir: 'out'
+		}))
+	}
+
+	const alt = (...args) => execa('node', [ path.resolve(__dirname, '../alt.mjs'), 'translate', '-y', ...args ], {
+		cwd: tmpDir,
+		env: { ANTHROPIC_API_KEY: 'test-key', OPENAI_API_KEY: 'test-key' },
+		reject: false
+	})
+
+	const readJson = async file => JSON.parse(await fsp.readFile(path.join(tmpDir, 'out', file), 'utf8'))
+
+	it('should submit a Message Batch, and apply its results once it has ended', async () => {
+		await writeProject({
+			provider: 'anthropic',
+			providerSettings: { baseUrl: server.baseUrl },
+			referenceData: { hello: 'Hello', nested: { bye: 'Goodbye' } }
+		})
+
+		let result = await alt('-tl', 'fr,de', '--batch')
+		expect(result.exitCode, result.stderr).to.equal(0)
+		let cache = await readJson(DEFAULT_CACHE_FILENAME)
+		expect(cache.batch.id).to.equal('msgbatch_1')
+		expect(cache.batch.provider).to.equal('anthropic')
+		expect(Object.keys(cache.batch.requests)).to.have.length(4)
+		expect(server.batches.msgbatch_1).to.have.length(4)
+
+		// Another batch can't be submitted until this one's applied
+		result = await alt('-tl', 'fr,de', '--batch')
+		expect(result.exitCode).to.equal(2)
+
+		result = await alt('-tl', 'fr,de', '--resume-batch')
+		expect(result.exitCode, result.stderr).to.equal(0)
+		expect(result.stdout).to.include('in_progress')
+		expect((await readJson(DEFAULT_CACHE_FILENAME)).batch.id).to.equal('msgbatch_1')
+
+		server.ended = true
+		result = await alt('-tl', 'fr,de', '--resume-batch')
+		expect(result.exitCode, result.stderr).to.equal(0)
+		expect(await readJson('fr.json')).to.deep.equal({ hello: 'fr:Hello', nested: { bye: 'fr:Goodbye' } })
+		expect(await readJson('de.json')).to.deep.equal({ hello: 'de:Hello', nested: { bye: 'de:Goodbye' } })
+		cache = await readJson(DEFAULT_CACHE_FILENAME)
+		expect(cache).to.not.have.property('batch')
+
+		// The results were cached like any other translations
+		server.httpServer.closeAllConnections()
+		result = await alt('-tl', 'fr,de')
+		expect(result.exitCode, result.stderr).to.equal(0)
+		expect(result.stdout).to.include('Nothing to do')
+	})
+
+	it('should submit an OpenAI Batch, leaving failed and rejected translations for the next run', async () => {
+		await writeProject({
+			provider: 'openai',
+			providerSettings: { baseUrl: `${server.baseUrl}/v1`, model: 'gpt-4o-mini' },
+			referenceData: { hello: 'Hello', greeting: 'Hi {name}', broken: 'FAIL' }
+		})
+
+		let result = await alt('-tl', 'fr', '--batch')
+		expect(result.exitCode, result.stderr).to.equal(0)
+		expect(server.files['file-1'].split('\n').map(line => JSON.parse(line).body.model)).to.deep.equal([ 'gpt-4o-mini', 'gpt-4o-mini', 'gpt-4o-mini' ])
+
+		server.ended = true
+		result = await alt('-tl', 'fr', '--resume-batch')
+		expect(result.exitCode, result.stderr).to.equal(0)
+		expect(result.stdout).to.include('Applied 1 of 3')
+		expect(result.stderr).to.include('"broken"')
+		expect(result.stderr).to.include('"greeting"')
+		expect(await readJson('fr.json')).to.deep.equal({ hello: 'fr:Hello' })
+		expect(await readJson(DEFAULT_CACHE_FILENAME)).to.not.have.property('batch')
+	})
+
+	it('should fail to resume without a pending batch', async () => {
+		await writeProject({ provider: 'anthropic', providerSettings: { baseUrl: server.baseUrl }, referenceData: { hello: 'Hello' } })
+		const result = await alt('-tl', 'fr', '--resume-batch')
+		expect(result.exitCode).to.equal(2)
+		expect(result.stderr).to.include('--batch')
+	})
+})
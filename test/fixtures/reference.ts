@@ -0,0 +1,12 @@
+export type ReferenceKey = keyof typeof strings
+
+interface Strings {
+	[key: string]: string
+}
+
+export const strings = {
+	'msg-test': `Nothing to do`,
+	'error-finished': `Finished with %%errorsEncountered%% error%%s%%`,
+} as const satisfies Strings
+
+export default strings
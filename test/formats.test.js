@@ -0,0 +1,65 @@
+import { expect } from 'chai'
+import { VALID_OUTPUT_FORMATS } from '../src/lib/consts.js'
+import { getOutputFormat } from '../src/lib/formats.js'
+
+describe('output formats', () => {
+	const data = {
+		title: 'Hello, %%name%%!',
+		auth: {
+			login: {
+				title: 'Sign in: "now"',
+			},
+			logout: 'Sign out\nnow'
+		}
+	}
+
+	it('should have a module for every valid output format', () => {
+		for (const formatName of VALID_OUTPUT_FORMATS) {
+			expect(getOutputFormat(formatName), formatName).to.include.keys('extension', 'flat', 'serialize', 'parse')
+		}
+		expect(getOutputFormat('nope')).to.be.null
+	})
+
+	for (const formatName of [ 'json', 'esm', 'yaml' ]) {
+		it(`should round-trip nested data through ${formatName}`, async () => {
+			const format = getOutputFormat(formatName)
+			expect(await format.parse(format.serialize(data))).to.deep.equal(data)
+		})
+	}
+
+	it('should write an ES module with a default export', () => {
+		expect(getOutputFormat('esm').serialize({ a: 'b' })).to.match(/^export default \{/)
+	})
+
+	it('should round-trip data through properties, using dotted keys', async () => {
+		const format = getOutputFormat('properties')
+		const text = format.serialize({ ...data, 'key with=separators': ' leading space' })
+		expect(text).to.include('auth.login.title=Sign in: "now"\n')
+		expect(await format.parse(text)).to.deep.equal({
+			'title': 'Hello, %%name%%!',
+			'auth.login.title': 'Sign in: "now"',
+			'auth.logout': 'Sign out\nnow',
+			'key with=separators': ' leading space'
+		})
+	})
+
+	it('should parse properties comments, separators, continuations and unicode escapes', async () => {
+		const text = [
+			'# comment',
+			'! another comment',
+			'a = 1',
+			'b:2',
+			'c 3',
+			'd = first \\',
+			'    second',
+			'e = caf\\u00e9'
+		].join('\n')
+		expect(await getOutputFormat('properties').parse(text)).to.deep.equal({
+			a: '1',
+			b: '2',
+			c: '3',
+			d: 'first second',
+			e: 'café'
+		})
+	})
+})
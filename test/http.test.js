@@ -0,0 +1,180 @@
+import { expect } from 'chai'
+import http from 'http'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { dirname } from 'path'
+import { initLocalizer } from '../src/localizer/localize.js'
+import { configureHttp, httpFetch, httpPost, isNoProxyHost } from '../src/lib/http.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+const mockLog = {
+	D: () => {},
+	W: () => {},
+	E: () => {},
+	I: () => {},
+	V: () => {},
+	T: () => {}
+}
+
+const appState = { lang: 'en' }
+
+const listen = async server => {
+	await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+	return `127.0.0.1:${server.address().port}`
+}
+const close = server => new Promise(resolve => server.close(resolve))
+
+describe('isNoProxyHost', () => {
+	it('should match hosts, their subdomains and ports', () => {
+		const noProxy = [ 'localhost', '.internal.example.com', 'api.example.com:8443' ]
+		expect(isNoProxyHost({ url: 'http://localhost:11434/v1', noProxy })).to.equal(true)
+		expect(isNoProxyHost({ url: 'https://llm.internal.example.com', noProxy })).to.equal(true)
+		expect(isNoProxyHost({ url: 'https://api.example.com:8443', noProxy })).to.equal(true)
+		expect(isNoProxyHost({ url: 'https://api.example.com', noProxy })).to.equal(false)
+		expect(isNoProxyHost({ url: 'https://api.openai.com', noProxy })).to.equal(false)
+		expect(isNoProxyHost({ url: 'https://api.openai.com', noProxy: [ '*' ] })).to.equal(true)
+	})
+})
+
+describe('HTTP transport', function() {
+	this.timeout(10000)
+
+	let target
+	let targetHost
+	let requests	// Requests to target, as { url, headers }
+
+	before(async () => {
+		await initLocalizer({
+			defaultAppLanguage: 'en',
+			appLanguage: null,
+			srcDir: path.resolve(__dirname, '../localization'),
+			log: mockLog
+		})
+		target = http.createServer((req, res) => {
+			requests.push({ url: req.url, headers: req.headers })
+			// Never responds to /hang
+			if (req.url === '/hang') return
+			req.resume()
+			req.on('end', () => {
+				res.setHeader('Content-Type', 'application/json')
+				res.end(JSON.stringify({ ok: true }))
+			})
+		})
+		targetHost = await listen(target)
+	})
+
+	beforeEach(() => {
+		requests = []
+	})
+
+	after(async () => {
+		await configureHttp({ appState, config: {}, log: mockLog })
+		target.closeAllConnections()
+		await close(target)
+	})
+
+	it('should add the configured headers to every request', async () => {
+		await configureHttp({ appState, config: { http: { headers: { 'X-Gateway-Key': 'secret' } } }, log: mockLog })
+		const response = await httpFetch(`http://${targetHost}/models`, { headers: { 'Authorization': 'Bearer key' } })
+		expect(response.ok).to.equal(true)
+		expect(await response.json()).to.deep.equal({ ok: true })
+		await httpPost(`http://${targetHost}/chat`, { messages: [] }, { headers: { 'Content-Type': 'application/json' } })
+		expect(requests.map(r => r.headers['x-gateway-key'])).to.deep.equal([ 'secret', 'secret' ])
+		expect(requests[0].headers.authorization).to.equal('Bearer key')
+	})
+
+	it('should time out requests which get no response', async () => {
+		await configureHttp({ appState, config: { http: { timeout: 200 } }, log: mockLog })
+		let error = null
+		try {
+			await httpPost(`http://${targetHost}/hang`, {})
+		} catch (e) {
+			error = e
+		}
+		expect(error?.code).to.equal('ECONNABORTED')
+	})
+
+	it('should send HTTP requests through the proxy, except for hosts in noProxy', async () => {
+		const proxied = []
+		const proxy = http.createServer((req, res) => {
+			proxied.push(req.url)
+			const { hostname, port, pathname } = new URL(req.url)
+			req.pipe(http.request({ hostname, port, path: pathname, method: req.method, headers: req.headers }, response => {
+				res.writeHead(response.statusCode, response.headers)
+				response.pipe(res)
+			}))
+		})
+		const proxyHost = await listen(proxy)
+		try {
+			await configureHttp({ appState, config: { http: { proxy: `http://${proxyHost}` } }, log: mockLog })
+			expect((await httpFetch(`http://${targetHost}/models`)).status).to.equal(200)
+			expect(proxied).to.deep.equal([ `http://${targetHost}/models` ])
+
+			await configureHttp({ appState, config: { http: { proxy: `http://${proxyHost}`, noProxy: '127.0.0.1' } }, log: mockLog })
+			expect((await httpFetch(`http://${targetHost}/models`)).status).to.equal(200)
+			expect(proxied).to.have.length(1)
+			expect(requests).to.have.length(2)
+		} finally {
+			proxy.closeAllConnections()
+			await close(proxy)
+		}
+	})
+
+	it('should tunnel HTTPS requests through the proxy with CONNECT', async () => {
+		const connects = []
+		const proxy = http.createServer()
+		proxy.on('connect', (req, socket) => {
+			connects.push({ url: req.url, authorization: req.headers['proxy-authorization'] })
+			socket.end('HTTP/1.1 403 Forbidden\r\n\r\n')
+		})
+		const proxyHost = await listen(proxy)
+		try {
+			await configureHttp({ appState, config: { http: { proxy: `http://user:pass@${proxyHost}` } }, log: mockLog })
+			let error = null
+			try {
+				await httpFetch('https://api.example.com/v1/models')
+			} catch (e) {
+				error = e
+			}
+			expect(error?.message).to.include('403')
+			expect(connects).to.deep.equal([ { url: 'api.example.com:443', authorization: `Basic ${Buffer.from('user:pass').toString('base64')}` } ])
+		} finally {
+			await close(proxy)
+		}
+	})
+
+	it('should fall back to environment variables', async () => {
+		const env = { ...process.env }
+		try {
+			process.env.ALT_HTTP_TIMEOUT = 'soon'
+			await configureHttp({ appState, config: {}, log: mockLog }).then(() => expect.fail(), e => expect(e.message).to.include('soon'))
+			process.env.ALT_HTTP_TIMEOUT = '5000'
+			process.env.HTTPS_PROXY = 'not a url'
+			await configureHttp({ appState, config: {}, log: mockLog }).then(() => expect.fail(), e => expect(e.message).to.include('not a url'))
+			await configureHttp({ appState, config: { http: { proxy: 'http://proxy:8080' } }, log: mockLog })
+		} finally {
+			process.env = env
+		}
+	})
+
+	it('should treat empty settings and environment variables as unset', async () => {
+		const env = { ...process.env }
+		try {
+			process.env.HTTPS_PROXY = ''
+			process.env.HTTP_PROXY = ''
+			process.env.ALT_HTTP_TIMEOUT = ''
+			await configureHttp({ appState, config: { http: { proxy: '', noProxy: '' } }, log: mockLog })
+			expect((await httpFetch(`http://${targetHost}/models`)).status).to.equal(200)
+			expect(requests).to.have.length(1)
+		} finally {
+			process.env = env
+		}
+	})
+
+	it('should reject missing CA certificate files', async () => {
+		await configureHttp({ appState, config: { http: { caFile: 'no-such-ca.pem' } }, log: mockLog })
+			.then(() => expect.fail(), e => expect(e.message).to.include('no-such-ca.pem'))
+	})
+})
@@ -0,0 +1,73 @@
+import { expect } from 'chai'
+import {
+	getIcuArgumentNames,
+	getIcuPluralArguments,
+	getPluralCategoriesForLanguage,
+	isComplexIcuMessage,
+	parseIcuMessage,
+	validateIcuTranslation
+} from '../src/lib/icu.js'
+
+describe('ICU messages', () => {
+	const reference = '{count, plural, one {# file} other {# files}} in {folder}'
+
+	it('should parse arguments, plural options and quoted text', () => {
+		expect(parseIcuMessage(reference)).to.deep.equal([
+			{
+				type: 'plural',
+				name: 'count',
+				offset: 0,
+				options: {
+					one: [ { type: 'pound' }, { type: 'text', value: ' file' } ],
+					other: [ { type: 'pound' }, { type: 'text', value: ' files' } ]
+				}
+			},
+			{ type: 'text', value: ' in ' },
+			{ type: 'argument', name: 'folder', argType: null, style: null }
+		])
+		expect(parseIcuMessage(`It''s '{literal}' {n, number, ::percent}`)).to.deep.equal([
+			{ type: 'text', value: `It's {literal} ` },
+			{ type: 'argument', name: 'n', argType: 'number', style: '::percent' }
+		])
+		expect(getIcuArgumentNames(parseIcuMessage('{g, select, male {{n} by him} other {{n} by them}}'))).to.deep.equal([ 'g', 'n' ])
+	})
+
+	it('should reject invalid messages', () => {
+		expect(() => parseIcuMessage('{count, plural, one {# file}}')).to.throw('"other"')
+		expect(() => parseIcuMessage('{count, plural, one {# file} other {# files}')).to.throw()
+		expect(() => parseIcuMessage('Hello}')).to.throw()
+	})
+
+	it('should only treat messages with plural or select arguments as ICU messages', () => {
+		expect(isComplexIcuMessage(reference)).to.equal(true)
+		expect(isComplexIcuMessage('Hello {name}')).to.equal(false)
+		expect(isComplexIcuMessage('Hello {{name}}')).to.equal(false)
+	})
+
+	it('should look up the plural categories each language needs', () => {
+		expect(getPluralCategoriesForLanguage('pl')).to.have.members([ 'one', 'few', 'many', 'other' ])
+		expect(getPluralCategoriesForLanguage('ja')).to.deep.equal([ 'other' ])
+		expect(getPluralCategoriesForLanguage('en', 'selectordinal')).to.have.members([ 'one', 'two', 'few', 'other' ])
+		expect(getIcuPluralArguments(reference, 'ar')[0].categories).to.have.members([ 'zero', 'one', 'two', 'few', 'many', 'other' ])
+	})
+
+	it('should validate translations', () => {
+		const validate = (translation, targetLang = 'pl') => validateIcuTranslation({ reference, translation, targetLang })
+
+		expect(validate('{count, plural, one {# plik} few {# pliki} many {# plików} other {# pliku}} w {folder}')).to.equal(null)
+		expect(validate('{count, plural, one {# plik} other {# plików}} w {folder}')).to.deep.equal({
+			token: 'error-icu-missing-plural-categories',
+			data: { name: 'count', categories: 'few, many' }
+		})
+		expect(validate('{count, plural, other {# ファイル}} ({folder})', 'ja')).to.equal(null)
+		expect(validate('{liczba, plural, other {# plików}} w {folder}', 'ja').token).to.equal('error-icu-arguments-changed')
+		expect(validate('{count, number} plików w {folder}', 'ja').token).to.equal('error-icu-argument-type-changed')
+		expect(validate('{count, plural, other {# plików} w {folder}', 'ja').token).to.equal('error-icu-invalid-syntax')
+
+		expect(validateIcuTranslation({
+			reference: '{gender, select, male {He} female {She} other {They}} replied',
+			translation: '{gender, select, homme {Il} female {Elle} other {Iel}} a répondu',
+			targetLang: 'fr'
+		}).token).to.equal('error-icu-select-options-changed')
+	})
+})
@@ -0,0 +1,64 @@
+import { expect } from 'chai'
+import {
+	getKeyPaths,
+	getValueAtKeyPath,
+	mapKeyPaths,
+	resolveKeys,
+	setValueAtKeyPath
+} from '../src/lib/key-paths.js'
+
+describe('key paths', () => {
+	const data = {
+		title: 'Hello',
+		auth: {
+			login: {
+				title: 'Sign in',
+				'_context:title': 'Heading of the login page'
+			},
+			logout: 'Sign out'
+		},
+		tags: [ 'a', 'b' ]
+	}
+
+	it('should list key paths of all leaf values', () => {
+		expect(getKeyPaths(data)).to.deep.equal([
+			[ 'title' ],
+			[ 'auth', 'login', 'title' ],
+			[ 'auth', 'login', '_context:title' ],
+			[ 'auth', 'logout' ],
+			[ 'tags' ]
+		])
+	})
+
+	it('should map dotted keys to key paths, without splitting flat dotted keys', () => {
+		const keyPathMap = mapKeyPaths({ 'a.b': 'flat', c: { d: 'nested' } })
+		expect(keyPathMap).to.deep.equal({
+			'a.b': [ 'a.b' ],
+			'c.d': [ 'c', 'd' ]
+		})
+	})
+
+	it('should get and set values at key paths', () => {
+		expect(getValueAtKeyPath(data, [ 'auth', 'login', 'title' ])).to.equal('Sign in')
+		expect(getValueAtKeyPath(data, [ 'auth', 'missing', 'title' ])).to.be.undefined
+
+		const output = { auth: { logout: 'Déconnexion' } }
+		setValueAtKeyPath(output, [ 'auth', 'login', 'title' ], 'Connexion')
+		expect(output).to.deep.equal({
+			auth: {
+				logout: 'Déconnexion',
+				login: { title: 'Connexion' }
+			}
+		})
+	})
+
+	it('should resolve keys naming nested objects to all leaves beneath them', () => {
+		const keyPathMap = mapKeyPaths(data)
+		expect(resolveKeys([ 'auth.login', 'title', 'nope' ], keyPathMap)).to.deep.equal([
+			'auth.login.title',
+			'auth.login._context:title',
+			'title',
+			'nope'
+		])
+	})
+})
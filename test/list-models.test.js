@@ -1,9 +1,11 @@
 import { execa } from 'execa'
 import { expect } from 'chai'
 import fs from 'fs'
+import * as fsp from 'fs/promises'
 import path from 'path'
 import { fileURLToPath } from 'url'
 import { dirname } from 'path'
+import { mkTmpDir, rmDir } from '../src/lib/io.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
@@ -24,4 +26,16 @@ describe('list-models command', () => {
     // Output should include provider-specific information
     expect(result.stdout).to.include('Available models')
   })
+
+  it('should use the config\'s provider without --provider', async () => {
+    const tmpDir = await mkTmpDir()
+    try {
+      await fsp.writeFile(path.join(tmpDir, 'alt.config.json'), JSON.stringify({ provider: 'pseudo' }))
+      const result = await execa('node', [ path.resolve(__dirname, '../alt.mjs'), 'list-models' ], { cwd: tmpDir, reject: false })
+      expect(result.exitCode, result.stderr).to.equal(0)
+      expect(result.stdout).to.include('Available models')
+    } finally {
+      rmDir(tmpDir, { D: () => {}, V: () => {}, W: () => {}, E: () => {} })
+    }
+  })
 })
@@ -0,0 +1,51 @@
+import { expect } from 'chai'
+import { getMarkupTags, hasMarkup, parseMarkup, validateMarkup } from '../src/lib/markup.js'
+
+describe('markup', () => {
+	const reference = 'Read the <a href="https://example.com/terms" target=\'_blank\'>terms of <b>service</b></a>.<br>Or <link>contact us</link>'
+
+	it('should parse tags into a tree', () => {
+		expect(parseMarkup(reference)).to.deep.equal([
+			{
+				name: 'a',
+				attributes: { href: 'https://example.com/terms', target: '_blank' },
+				children: [ { name: 'b', attributes: {}, children: [] } ]
+			},
+			{ name: 'br', attributes: {}, children: [] },
+			{ name: 'link', attributes: {}, children: [] }
+		])
+		expect(getMarkupTags('<b>a</b> <icon/> <b>b</b>')).to.deep.equal([ '<b>', '<icon>' ])
+	})
+
+	it('should only detect balanced markup', () => {
+		expect(hasMarkup(reference)).to.equal(true)
+		expect(hasMarkup('Press <0>here</0>')).to.equal(true)
+		expect(hasMarkup('if a < b and c > d')).to.equal(false)
+		expect(hasMarkup('<b>unclosed')).to.equal(false)
+	})
+
+	it('should accept translations with the same tags, in any order', () => {
+		expect(validateMarkup({
+			reference,
+			translation: 'Ou <link>contactez-nous</link>.<br/>Lisez les <a target="_blank" href="https://example.com/terms">conditions de <b>service</b></a>'
+		})).to.equal(null)
+	})
+
+	it('should report unbalanced, dropped, renamed, changed or moved tags', () => {
+		const validate = translation => validateMarkup({ reference: 'Read the <a href="/terms">terms of <b>service</b></a>', translation })
+
+		expect(validate('Lisez les <a href="/terms">conditions de <b>service</a></b>').token).to.equal('error-markup-unbalanced')
+		expect(validate('Lisez les <a href="/terms">conditions de service</a>').data).to.deep.equal({ missing: '<b>', unexpected: '(none)' })
+		expect(validate('Lisez les <a href="/terms">conditions de <strong>service</strong></a>').data).to.deep.equal({ missing: '<b>', unexpected: '<strong>' })
+		expect(validate('Lisez les <a href="/conditions">conditions de <b>service</b></a>').data).to.deep.equal({ missing: '<a href="/terms">', unexpected: '<a href="/conditions">' })
+		expect(validate('Lisez les <a href="/terms">conditions</a> de <b>service</b>').token).to.equal('error-markup-nesting-changed')
+	})
+
+	it('should only compare which tags are used, if asked', () => {
+		expect(validateMarkup({
+			reference: '{n, plural, one {<b>#</b> file} other {<b>#</b> files}}',
+			translation: '{n, plural, one {<b>#</b> plik} few {<b>#</b> pliki} many {<b>#</b> plików} other {<b>#</b> pliku}}',
+			exactCounts: false
+		})).to.equal(null)
+	})
+})
@@ -0,0 +1,113 @@
+import { expect } from 'chai'
+import * as fsp from 'fs/promises'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { dirname } from 'path'
+import { initLocalizer } from '../src/localizer/localize.js'
+import { mkTmpDir, rmDir } from '../src/lib/io.js'
+import { getTextLength } from '../src/lib/utils.js'
+import { isMaxLengthKey } from '../src/lib/context-keys.js'
+import { getProjectKeys, getReferenceKeyInfo, loadProject } from '../src/lib/project.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+const mockLog = {
+	D: () => {},
+	W: () => {},
+	E: () => {},
+	I: () => {},
+	V: () => {},
+	T: () => {}
+}
+
+describe('getTextLength', () => {
+	it('should count characters as they\'re displayed', () => {
+		expect(getTextLength('Settings')).to.equal(8)
+		expect(getTextLength('Ustawienia 👍🏽')).to.equal(12)
+		expect(getTextLength('नमस्ते')).to.equal(3)
+	})
+})
+
+describe('isMaxLengthKey', () => {
+	it('should match keys with the max length prefix or suffix', () => {
+		expect(isMaxLengthKey({ key: '_maxLength:home', maxLengthPrefix: '_maxLength:', maxLengthSuffix: '' })).to.equal(true)
+		expect(isMaxLengthKey({ key: 'tabs.home_maxLength', maxLengthPrefix: '', maxLengthSuffix: '_maxLength' })).to.equal(true)
+		expect(isMaxLengthKey({ key: 'home', maxLengthPrefix: '_maxLength:', maxLengthSuffix: '' })).to.equal(false)
+		expect(isMaxLengthKey({ key: 'home', maxLengthPrefix: '', maxLengthSuffix: '' })).to.equal(false)
+	})
+})
+
+describe('per-key maximum lengths', () => {
+	let tmpDir
+	let appState
+
+	before(async () => {
+		await initLocalizer({
+			defaultAppLanguage: 'en',
+			appLanguage: null,
+			srcDir: path.resolve(__dirname, '../localization'),
+			log: mockLog
+		})
+	})
+
+	beforeEach(async () => {
+		tmpDir = await mkTmpDir()
+		appState = { lang: 'en' }
+		await fsp.mkdir(path.join(tmpDir, 'en'))
+		await fsp.writeFile(path.join(tmpDir, 'en', 'common.json'), JSON.stringify({
+			tabs: { home: 'Home', settings: 'Settings', '_maxLength:settings': 10 },
+			welcome: 'Welcome back!'
+		}))
+		await fsp.writeFile(path.join(tmpDir, 'en', 'auth.json'), JSON.stringify({ login: 'Sign in' }))
+		await fsp.writeFile(path.join(tmpDir, 'alt.config.json'), JSON.stringify({
+			maxLengths: { 'tabs.home': 6, 'auth:login': 12 }
+		}))
+	})
+
+	afterEach(() => {
+		if (appState.tmpDir) rmDir(appState.tmpDir, mockLog)
+		rmDir(tmpDir, mockLog)
+	})
+
+	const load = options => loadProject({
+		appState,
+		options: {
+			configFile: path.join(tmpDir, 'alt.config.json'),
+			outputDir: tmpDir,
+			referenceLanguage: 'en',
+			targetLanguages: [ 'fr' ],
+			maxLengthPrefix: '_maxLength:',
+			...options
+		},
+		log: mockLog
+	})
+
+	it('should read maximum lengths from the config and from sibling keys', async () => {
+		const project = await load({ referenceFile: path.join(tmpDir, 'en', 'common.json') })
+		const [ reference ] = project.references
+		const getMaxLength = key => getReferenceKeyInfo({ project, reference, key, log: mockLog }).maxLength
+
+		expect(getProjectKeys({ appState, project, reference, log: mockLog })).to.deep.equal([ 'tabs.home', 'tabs.settings', 'welcome' ])
+		expect(getMaxLength('tabs.home')).to.equal(6)
+		expect(getMaxLength('tabs.settings')).to.equal(10)
+		expect(getMaxLength('welcome')).to.equal(null)
+	})
+
+	it('should match namespaced keys in the config', async () => {
+		const project = await load({ referenceFile: path.join(tmpDir, 'en', '*.json') })
+		const [ auth, common ] = project.references
+		expect(getReferenceKeyInfo({ project, reference: auth, key: 'login', log: mockLog }).maxLength).to.equal(12)
+		expect(getReferenceKeyInfo({ project, reference: common, key: 'tabs.home', log: mockLog }).maxLength).to.equal(6)
+	})
+
+	it('should change a key\'s hash when its maximum length changes', async () => {
+		const getHash = async () => {
+			const project = await load({ referenceFile: path.join(tmpDir, 'en', 'common.json') })
+			return getReferenceKeyInfo({ project, reference: project.references[0], key: 'tabs.home', log: mockLog }).referenceValueHash
+		}
+		const hash = await getHash()
+		await fsp.writeFile(path.join(tmpDir, 'alt.config.json'), JSON.stringify({ maxLengths: { 'tabs.home': 8 } }))
+		expect(await getHash()).to.not.equal(hash)
+	})
+})
@@ -0,0 +1,215 @@
+import { execa } from 'execa'
+import { expect } from 'chai'
+import * as fsp from 'fs/promises'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { dirname } from 'path'
+import { FORMAT_METADATA } from '../src/lib/consts.js'
+import { mkTmpDir, rmDir } from '../src/lib/io.js'
+import { getOutputFormat } from '../src/lib/formats.js'
+import { getReferenceDataFromAndroid } from '../src/formats/android.js'
+import { getReferenceDataFromStrings } from '../src/formats/strings.js'
+import { getReferenceDataFromXcstrings } from '../src/formats/xcstrings.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+const mockLog = {
+	D: () => {},
+	W: () => {},
+	E: () => {},
+	I: () => {},
+	V: () => {},
+	T: () => {}
+}
+
+const STRINGS_XML = `<?xml version="1.0" encoding="utf-8"?>
+<resources>
+    <string name="app_name" translatable="false">Demo</string>
+    <!-- Shown on the login page -->
+    <string name="welcome">Don\\'t &amp; <b>stop</b>   \\"now\\"</string>
+    <string name="spaced">"  two  spaces "</string>
+    <string name="at">\\@home</string>
+    <plurals name="files">
+        <item quantity="one">%d file</item>
+        <item quantity="other">%d files</item>
+    </plurals>
+    <string-array name="sizes"><item>S</item></string-array>
+</resources>
+`
+
+const XCSTRINGS = JSON.stringify({
+	sourceLanguage: 'en',
+	strings: {
+		'Done.': { comment: 'Button title' },
+		'%lld items': {
+			localizations: {
+				en: { variations: { plural: { one: { stringUnit: { state: 'translated', value: '%lld item' } }, other: { stringUnit: { state: 'translated', value: '%lld items' } } } } },
+				fr: { stringUnit: { state: 'translated', value: '%lld éléments' } }
+			}
+		},
+		'Brand': { shouldTranslate: false }
+	},
+	version: '1.0'
+})
+
+describe('mobile formats', () => {
+	describe('android', () => {
+		const format = getOutputFormat('android')
+
+		it('should load strings and plurals, skipping untranslatable strings and arrays', () => {
+			const { data, contextMap } = getReferenceDataFromAndroid(STRINGS_XML)
+			expect(data).to.deep.equal({
+				welcome: 'Don\'t & <b>stop</b> "now"',
+				spaced: '  two  spaces ',
+				at: '@home',
+				files: { one: '%d file', other: '%d files' }
+			})
+			expect(contextMap).to.deep.equal({
+				'welcome': 'Shown on the login page',
+				'files.one': 'Plural form "one"',
+				'files.other': 'Plural form "other"'
+			})
+		})
+
+		it('should escape apostrophes, quotes, markup and leading @', () => {
+			const text = format.serialize({
+				welcome: 'Don\'t & <b>stop</b> "now"',
+				spaced: '  two  spaces ',
+				at: '@home',
+				nested: { title: 'Line 1\nLine 2' }
+			})
+			expect(text).to.include('<string name="welcome">Don\\\'t &amp; <b>stop</b> \\"now\\"</string>')
+			expect(text).to.include('<string name="spaced">"  two  spaces "</string>')
+			expect(text).to.include('<string name="at">\\@home</string>')
+			expect(text).to.include('<string name="nested.title">Line 1\\nLine 2</string>')
+		})
+
+		it('should mark strings with several non-positional format specifiers as not formatted', () => {
+			const text = format.serialize({ a: '%s has %d', b: '%1$s has %2$d', c: '100%% of %s' })
+			expect(text).to.include('<string name="a" formatted="false">')
+			expect(text).to.include('<string name="b">')
+			expect(text).to.include('<string name="c">')
+		})
+
+		it('should round-trip strings and plurals', async () => {
+			const { data } = getReferenceDataFromAndroid(STRINGS_XML)
+			expect(await format.parse(format.serialize(data))).to.deep.equal(data)
+		})
+
+		it('should write only the quantities the language uses, in CLDR order', () => {
+			const plurals = { other: '%d ファイル', one: '%d ファイル' }
+			expect(format.serialize({ files: plurals }, undefined, { lang: 'ja' })).to.include('<plurals name="files">\n        <item quantity="other">%d ファイル</item>\n    </plurals>')
+			expect(format.serialize({ files: plurals }, undefined, {})).to.include('<item quantity="one">%d ファイル</item>\n        <item quantity="other">')
+		})
+	})
+
+	describe('strings', () => {
+		const format = getOutputFormat('strings')
+
+		it('should load entries, with comments as context', () => {
+			const text = '/* Login button */\n"sign_in" = "Sign \\"in\\"";\n// Line comment\n"multi\\nline" = "A\\tB";\n\n/* No comment provided by engineer. */\n"ok" = "OK";\n'
+			expect(getReferenceDataFromStrings(text)).to.deep.equal({
+				data: { 'sign_in': 'Sign "in"', 'multi\nline': 'A\tB', 'ok': 'OK' },
+				contextMap: { 'sign_in': 'Login button' }
+			})
+		})
+
+		it('should round-trip entries, keeping comments', async () => {
+			const data = await format.parse('/* Greeting */\n"hello" = "Bonjour";\n')
+			data.bye = 'Au revoir, "ami"\\'
+			const text = format.serialize(data, data[FORMAT_METADATA])
+			expect(text).to.equal('/* Greeting */\n"hello" = "Bonjour";\n\n"bye" = "Au revoir, \\"ami\\"\\\\";\n')
+			expect(await format.parse(text)).to.deep.equal({ hello: 'Bonjour', bye: 'Au revoir, "ami"\\' })
+		})
+	})
+
+	describe('xcstrings', () => {
+		const format = getOutputFormat('xcstrings')
+
+		it('should load the source language, using keys as values where there is no localization', () => {
+			expect(getReferenceDataFromXcstrings(XCSTRINGS)).to.deep.equal({
+				data: {
+					'Done.': 'Done.',
+					'%lld items': { one: '%lld item', other: '%lld items' }
+				},
+				contextMap: {
+					'Done.': 'Button title',
+					'%lld items.one': 'Plural form "one"',
+					'%lld items.other': 'Plural form "other"'
+				}
+			})
+		})
+
+		it('should parse one language', async () => {
+			expect(await format.parse(XCSTRINGS, { lang: 'fr' })).to.deep.equal({ '%lld items': '%lld éléments' })
+			expect(await format.parse(XCSTRINGS, { lang: 'de' })).to.deep.equal({})
+		})
+
+		it('should merge a language into the catalog, marking changed values for review', async () => {
+			const text = format.serialize({
+				'Done.': 'Fertig.',
+				'%lld items': { one: '%lld Element', other: '%lld Elemente' }
+			}, null, { lang: 'de', text: XCSTRINGS })
+			expect(text).to.include('"sourceLanguage" : "en"')
+
+			const catalog = JSON.parse(text)
+			expect(catalog.strings['Done.']).to.deep.equal({
+				comment: 'Button title',
+				localizations: { de: { stringUnit: { state: 'needs_review', value: 'Fertig.' } } }
+			})
+			expect(catalog.strings['%lld items'].localizations.de.variations.plural.other.stringUnit.value).to.equal('%lld Elemente')
+			expect(catalog.strings['%lld items'].localizations.fr).to.deep.equal({ stringUnit: { state: 'translated', value: '%lld éléments' } })
+			expect(catalog.strings['Brand']).to.deep.equal({ shouldTranslate: false })
+
+			// Unchanged values keep their state
+			const again = JSON.parse(format.serialize({ '%lld items': '%lld éléments' }, null, { lang: 'fr', text }))
+			expect(again.strings['%lld items'].localizations.fr.stringUnit.state).to.equal('translated')
+		})
+
+		it('should write only the plural variations the language uses', () => {
+			const catalog = JSON.parse(format.serialize({ '%lld items': { one: '%lld 件', other: '%lld 件' } }, null, { lang: 'ja', text: XCSTRINGS }))
+			expect(Object.keys(catalog.strings['%lld items'].localizations.ja.variations.plural)).to.deep.equal([ 'other' ])
+		})
+	})
+})
+
+describe('translate android plurals', function() {
+	this.timeout(20000)
+
+	let tmpDir
+
+	beforeEach(async () => {
+		tmpDir = await mkTmpDir()
+		await fsp.mkdir(path.join(tmpDir, 'values'))
+		await fsp.writeFile(path.join(tmpDir, 'values', 'strings.xml'), STRINGS_XML)
+		await fsp.writeFile(path.join(tmpDir, 'alt.config.json'), JSON.stringify({
+			provider: 'pseudo',
+			referenceFile: 'values/strings.xml',
+			referenceLanguage: 'en',
+			outputDir: '.'
+		}))
+	})
+
+	afterEach(() => {
+		rmDir(tmpDir, mockLog)
+	})
+
+	it('should translate the plural forms each target language uses', async () => {
+		const result = await execa('node', [ path.resolve(__dirname, '../alt.mjs'), 'translate', '-y', '-tl', 'pl,ja' ], { cwd: tmpDir, reject: false })
+		expect(result.exitCode, result.stderr).to.equal(0)
+
+		const format = getOutputFormat('android')
+		const pl = await format.parse(await fsp.readFile(path.join(tmpDir, 'values-pl', 'strings.xml'), 'utf8'))
+		expect(Object.keys(pl.files)).to.deep.equal([ 'one', 'few', 'many', 'other' ])
+		expect(pl.files.few).to.include('%d')
+		const ja = await format.parse(await fsp.readFile(path.join(tmpDir, 'values-ja', 'strings.xml'), 'utf8'))
+		expect(Object.keys(ja.files)).to.deep.equal([ 'other' ])
+
+		// The new forms are cached, so a second run has nothing to translate
+		const again = await execa('node', [ path.resolve(__dirname, '../alt.mjs'), 'translate', '-y', '-tl', 'pl,ja' ], { cwd: tmpDir, reject: false })
+		expect(again.exitCode, again.stderr).to.equal(0)
+		expect(result.stdout).to.include('files.few')
+		expect(again.stdout).to.not.include('files.few')
+	})
+})
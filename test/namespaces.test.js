@@ -0,0 +1,117 @@
+import { expect } from 'chai'
+import * as fsp from 'fs/promises'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { dirname } from 'path'
+import { initLocalizer } from '../src/localizer/localize.js'
+import { mkTmpDir, rmDir } from '../src/lib/io.js'
+import { getNamespaceCache, loadCache } from '../src/lib/cache.js'
+import { formatNamespacedKey, getProjectKeys, loadProject } from '../src/lib/project.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+const mockLog = {
+	D: () => {},
+	W: () => {},
+	E: () => {},
+	I: () => {},
+	V: () => {},
+	T: () => {}
+}
+
+describe('multiple reference files', () => {
+	let tmpDir
+	let appState
+
+	before(async () => {
+		await initLocalizer({
+			defaultAppLanguage: 'en',
+			appLanguage: null,
+			srcDir: path.resolve(__dirname, '../localization'),
+			log: mockLog
+		})
+	})
+
+	beforeEach(async () => {
+		tmpDir = await mkTmpDir()
+		appState = { lang: 'en' }
+		await fsp.mkdir(path.join(tmpDir, 'en'))
+		await fsp.writeFile(path.join(tmpDir, 'en', 'common.json'), JSON.stringify({ ok: 'OK', cancel: 'Cancel' }))
+		await fsp.writeFile(path.join(tmpDir, 'en', 'auth.json'), JSON.stringify({ login: { title: 'Sign in' }, ok: 'Continue' }))
+		await fsp.writeFile(path.join(tmpDir, 'alt.config.json'), '{}')
+	})
+
+	afterEach(() => {
+		if (appState.tmpDir) rmDir(appState.tmpDir, mockLog)
+		rmDir(tmpDir, mockLog)
+	})
+
+	const load = options => loadProject({
+		appState,
+		options: {
+			configFile: path.join(tmpDir, 'alt.config.json'),
+			outputDir: tmpDir,
+			referenceLanguage: 'en',
+			targetLanguages: [ 'fr', 'de' ],
+			...options
+		},
+		log: mockLog
+	})
+
+	it('should resolve a glob to one namespace per reference file', async () => {
+		const project = await load({ referenceFile: path.join(tmpDir, 'en', '*.json') })
+		expect(project.references.map(r => r.namespace)).to.deep.equal([ 'auth', 'common' ])
+		expect(project.references[0].referenceData).to.deep.equal({ login: { title: 'Sign in' }, ok: 'Continue' })
+		expect(project.references[1].outputFilePaths).to.deep.equal({
+			fr: path.join(tmpDir, 'fr', 'common.json'),
+			de: path.join(tmpDir, 'de', 'common.json')
+		})
+	})
+
+	it('should not use namespaces for a single reference file', async () => {
+		const project = await load({ referenceFile: path.join(tmpDir, 'en', 'common.json') })
+		expect(project.references.map(r => r.namespace)).to.deep.equal([ null ])
+		expect(project.references[0].outputFilePaths.fr).to.equal(path.join(tmpDir, 'fr.json'))
+		expect(formatNamespacedKey({ reference: project.references[0], key: 'ok' })).to.equal('ok')
+	})
+
+	it('should fail if a glob matches nothing', async () => {
+		let error
+		try {
+			await load({ referenceFile: path.join(tmpDir, 'en', '*.yaml') })
+		} catch (e) {
+			error = e
+		}
+		expect(error?.message).to.include('*.yaml')
+	})
+
+	it('should fail if reference files would write the same output files', async () => {
+		let error
+		try {
+			await load({ referenceFile: path.join(tmpDir, 'en', '*.json'), outputPathTemplate: '{lang}.{ext}' })
+		} catch (e) {
+			error = e
+		}
+		expect(error?.message).to.include('auth.json')
+		expect(error?.message).to.include('common.json')
+	})
+
+	it('should match --keys to namespaces', async () => {
+		const project = await load({ referenceFile: path.join(tmpDir, 'en', '*.json') })
+		const [ auth, common ] = project.references
+		const getKeys = keys => [ auth, common ].map(reference => getProjectKeys({ appState, project, reference, keys, log: mockLog }))
+
+		expect(getKeys([ 'ok' ])).to.deep.equal([ [ 'ok' ], [ 'ok' ] ])
+		expect(getKeys([ 'common:ok', 'login' ])).to.deep.equal([ [ 'login.title' ], [ 'ok' ] ])
+		expect(formatNamespacedKey({ reference: auth, key: 'login.title' })).to.equal('auth:login.title')
+	})
+
+	it('should keep each namespace\'s cache apart', async () => {
+		const cache = await loadCache(path.join(tmpDir, 'missing.json'))
+		expect(getNamespaceCache(cache, null)).to.equal(cache)
+		getNamespaceCache(cache, 'auth').referenceHash = 'abc'
+		expect(cache.namespaces).to.deep.equal({ auth: { referenceHash: 'abc', referenceKeyHashes: {}, state: {} } })
+		expect(cache.referenceHash).to.equal('')
+	})
+})
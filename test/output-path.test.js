@@ -0,0 +1,69 @@
+import { expect } from 'chai'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { dirname } from 'path'
+import { initLocalizer } from '../src/localizer/localize.js'
+import { expandOutputPathTemplate, getAndroidLanguageQualifier, parseLanguageTag } from '../src/lib/output-path.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+const mockLog = {
+	D: () => {},
+	W: () => {},
+	E: () => {},
+	I: () => {},
+	V: () => {}
+}
+
+describe('output path templates', () => {
+	before(async () => {
+		await initLocalizer({
+			defaultAppLanguage: 'en',
+			appLanguage: null,
+			srcDir: path.resolve(__dirname, '../localization'),
+			log: mockLog
+		})
+	})
+
+	it('should parse language tags', () => {
+		expect(parseLanguageTag('pt-BR')).to.deep.equal({ language: 'pt', script: '', region: 'BR' })
+		expect(parseLanguageTag('zh-Hant-TW')).to.deep.equal({ language: 'zh', script: 'Hant', region: 'TW' })
+		expect(parseLanguageTag('es-419')).to.deep.equal({ language: 'es', script: '', region: '419' })
+		expect(parseLanguageTag('fr')).to.deep.equal({ language: 'fr', script: '', region: '' })
+	})
+
+	it('should expand all tokens', () => {
+		const expand = template => expandOutputPathTemplate({
+			appLang: 'en',
+			template,
+			targetLang: 'pt-BR',
+			referenceFile: 'src/strings/common.json',
+			extension: 'yaml',
+			log: mockLog
+		})
+
+		expect(expand('{lang}.{ext}')).to.equal('pt-BR.yaml')
+		expect(expand('locales/{lang}/{basename}.json')).to.equal('locales/pt-BR/common.json')
+		expect(expand('config/locales/{lang_underscore}.yml')).to.equal('config/locales/pt_BR.yml')
+		expect(expand('values-{language}-r{region}/strings.xml')).to.equal('values-pt-rBR/strings.xml')
+	})
+
+	it('should get Android resource qualifiers', () => {
+		expect(getAndroidLanguageQualifier('fr')).to.equal('fr')
+		expect(getAndroidLanguageQualifier('pt-BR')).to.equal('pt-rBR')
+		expect(getAndroidLanguageQualifier('zh-Hant-TW')).to.equal('b+zh+Hant+TW')
+		expect(getAndroidLanguageQualifier('es-419')).to.equal('b+es+419')
+	})
+
+	it('should reject unknown tokens', () => {
+		expect(() => expandOutputPathTemplate({
+			appLang: 'en',
+			template: '{locale}.json',
+			targetLang: 'fr',
+			referenceFile: 'reference.js',
+			extension: 'json',
+			log: mockLog
+		})).to.throw('{locale}')
+	})
+})
@@ -0,0 +1,29 @@
+import { expect } from 'chai'
+import { extractPlaceholders, validatePlaceholders } from '../src/lib/placeholders.js'
+
+describe('placeholders', () => {
+	it('should extract placeholders in common syntaxes', () => {
+		expect(extractPlaceholders('Hi %%name%%, {{ count }} new in {folder}')).to.deep.equal([ '%%name%%', '{folder}', '{{count}}' ])
+		expect(extractPlaceholders('%s of %1$d (%.2f%%) by %@, %lld times')).to.deep.equal([ '%.2f', '%1$d', '%@', '%lld', '%s' ])
+		expect(extractPlaceholders('Welcome, :name! Meet at 10:30 on https://example.com')).to.deep.equal([ ':name' ])
+		expect(extractPlaceholders('100% sure, 50 % off')).to.deep.equal([])
+	})
+
+	it('should skip single-brace placeholders if asked', () => {
+		expect(extractPlaceholders('{name} has {{count}}', { singleBraces: false })).to.deep.equal([ '{{count}}' ])
+	})
+
+	it('should accept translations with the same placeholders, in any order', () => {
+		expect(validatePlaceholders({ reference: '%1$s sent %2$s', translation: '%2$s envoyé par %1$s' })).to.equal(null)
+		expect(validatePlaceholders({ reference: 'Hi {{name}}', translation: 'Salut {{ name }}' })).to.equal(null)
+	})
+
+	it('should report lost, altered and added placeholders', () => {
+		expect(validatePlaceholders({ reference: 'The server returned an error: %%details%%', translation: 'Le serveur a renvoyé une erreur : %%détails%%' })).to.deep.equal({
+			token: 'error-placeholders-changed',
+			data: { missing: '%%details%%', unexpected: '%%détails%%' }
+		})
+		expect(validatePlaceholders({ reference: '%s and %s', translation: '%s et' }).data).to.deep.equal({ missing: '%s', unexpected: '(none)' })
+		expect(validatePlaceholders({ reference: 'Hello', translation: 'Bonjour {name}' }).data).to.deep.equal({ missing: '(none)', unexpected: '{name}' })
+	})
+})
@@ -0,0 +1,144 @@
+import { expect } from 'chai'
+import { FORMAT_METADATA } from '../src/lib/consts.js'
+import { getReferenceDataFromPo, parse, serialize } from '../src/formats/po.js'
+
+const POT = `msgid ""
+msgstr ""
+"Project-Id-Version: demo\\n"
+
+#. Shown on the login page
+#: src/login.c:12
+msgid "Sign in"
+msgstr ""
+
+msgctxt "verb"
+msgid "Open"
+msgstr ""
+
+msgid "%d file"
+msgid_plural "%d files"
+msgstr[0] ""
+msgstr[1] ""
+`
+
+const PO_FR = `msgid ""
+msgstr ""
+"Language: pl\\n"
+"Plural-Forms: nplurals=3; plural=(n==1 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);\\n"
+
+# Reviewed by Marie
+msgid "Sign in"
+msgstr "Zaloguj się"
+
+#, fuzzy
+msgctxt "verb"
+msgid "Open"
+msgstr "Otwórz"
+
+msgid "%d file"
+msgid_plural "%d files"
+msgstr[0] "%d plik"
+msgstr[1] "%d pliki"
+msgstr[2] "%d plików"
+`
+
+describe('gettext po format', () => {
+	it('should load msgids as reference data, with msgctxt and extracted comments as context', () => {
+		const { data, contextMap } = getReferenceDataFromPo(POT)
+		expect(data).to.deep.equal({
+			'Sign in': 'Sign in',
+			'verb\u0004Open': 'Open',
+			'%d file': '%d file',
+			'%d file\u0000%d files': '%d files'
+		})
+		expect(contextMap).to.deep.equal({
+			'Sign in': 'Shown on the login page',
+			'verb\u0004Open': 'verb'
+		})
+	})
+
+	it('should parse msgstrs and keep the header as metadata', async () => {
+		const data = await parse(PO_FR)
+		expect(data).to.deep.equal({
+			'Sign in': 'Zaloguj się',
+			'verb\u0004Open': 'Otwórz',
+			'%d file': '%d plik',
+			'%d file\u0000%d files': '%d pliki'
+		})
+		expect(data[FORMAT_METADATA].header).to.include('nplurals=3')
+	})
+
+	it('should round-trip unchanged entries, keeping comments, flags and extra plural forms', async () => {
+		const data = await parse(PO_FR)
+		const text = serialize(data, data[FORMAT_METADATA])
+		expect(text).to.include('# Reviewed by Marie\nmsgid "Sign in"\nmsgstr "Zaloguj się"')
+		expect(text).to.include('#, fuzzy\nmsgctxt "verb"')
+		expect(text).to.include('msgstr[2] "%d plików"')
+		expect(text).to.include('"Plural-Forms: nplurals=3;')
+	})
+
+	it('should flag machine translations as fuzzy, and unflag reviewed values', async () => {
+		const data = await parse(PO_FR)
+		data['Sign in'] = 'Zaloguj'
+		data['New'] = 'Nowy'
+		data['verb\u0004Open'] = 'Otwórz plik'
+		data['%d file\u0000%d files'] = '%d plików'
+		const reviewStates = new Map([ [ 'Sign in', true ], [ 'New', true ], [ 'verb\u0004Open', false ], [ '%d file\u0000%d files', true ] ])
+		const text = serialize(data, data[FORMAT_METADATA], { reviewStates })
+		expect(text).to.include('# Reviewed by Marie\n#, fuzzy\nmsgid "Sign in"\nmsgstr "Zaloguj"')
+		expect(text).to.include('#, fuzzy\nmsgid "New"\nmsgstr "Nowy"')
+		expect(text).to.include('\n\nmsgctxt "verb"\nmsgid "Open"\nmsgstr "Otwórz plik"')
+		expect(text).to.include('#, fuzzy\nmsgid "%d file"')
+
+		// Values this run didn't set keep their flags
+		expect(serialize(data, data[FORMAT_METADATA])).to.include('#, fuzzy\nmsgctxt "verb"').and.not.to.include('#, fuzzy\nmsgid "Sign in"')
+	})
+
+	it('should write a default header and two plural forms for new files', () => {
+		const text = serialize({ '%d file': '%d fichier', '%d file\u0000%d files': '%d fichiers' })
+		expect(text).to.match(/^msgid ""\nmsgstr ""\n"Content-Type: text\/plain; charset=UTF-8\\n"/)
+		expect(text).to.include('msgstr[0] "%d fichier"\nmsgstr[1] "%d fichiers"')
+	})
+
+	it('should write the Language and Plural-Forms of new files from the target language\'s plural categories', async () => {
+		const data = { '%d file': '%d файл', '%d file\u0000%d files': '%d файла' }
+		const text = serialize(data, undefined, { lang: 'ru' })
+		expect(text).to.include('"Language: ru\\n"')
+		expect(text).to.include('"Plural-Forms: nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : ')
+		expect(text).to.include('msgstr[0] "%d файл"\nmsgstr[1] "%d файла"\nmsgstr[2] "%d файла"\n')
+		expect(await parse(text, { lang: 'ru' })).to.deep.equal(data)
+	})
+
+	it('should follow gettext\'s conventional number of forms, rather than CLDR\'s', () => {
+		const forms = lang => serialize({}, undefined, { lang }).match(/nplurals=(\d+)/)[1]
+		expect([ 'pl', 'ru', 'uk', 'lt', 'cs' ].map(forms)).to.deep.equal([ '3', '3', '3', '3', '3' ])
+		expect([ 'fr', 'es', 'it', 'pt', 'en' ].map(forms)).to.deep.equal([ '2', '2', '2', '2', '2' ])
+		expect(serialize({}, undefined, { lang: 'fr' })).to.include('plural=(n > 1);')
+		expect(serialize({}, undefined, { lang: 'pt-PT' })).to.include('plural=(n != 1);')
+	})
+
+	it('should write the singular translation to the \'one\' form, and none for languages without one', async () => {
+		const arabic = serialize({ '%d file': '%d ملف', '%d file\u0000%d files': '%d ملفات' }, undefined, { lang: 'ar' })
+		expect(arabic).to.include('"Plural-Forms: nplurals=6; ')
+		expect(arabic).to.include('msgstr[0] "%d ملفات"\nmsgstr[1] "%d ملف"\nmsgstr[2] "%d ملفات"')
+
+		const japanese = serialize({ '%d file': '%d 個のファイル', '%d file\u0000%d files': '%d 個のファイル' }, undefined, { lang: 'ja' })
+		expect(japanese).to.include('"Language: ja\\n"\n"Plural-Forms: nplurals=1; plural=0;\\n"')
+		expect(japanese).to.include('msgstr[0] "%d 個のファイル"').and.not.to.include('msgstr[1]')
+		expect(await parse(japanese, { lang: 'ja' })).to.deep.equal({ '%d file': '%d 個のファイル', '%d file\u0000%d files': '%d 個のファイル' })
+	})
+
+	it('should map plural forms to plural categories in existing Plural-Forms headers for each of them', async () => {
+		const written = serialize({ '%d file': '%d plik', '%d file\u0000%d files': '%d pliki' }, undefined, { lang: 'pl' })
+		const data = await parse(written, { lang: 'pl' })
+		expect(data).to.deep.equal({ '%d file': '%d plik', '%d file\u0000%d files': '%d pliki' })
+		expect(serialize(data, data[FORMAT_METADATA], { lang: 'pl' })).to.equal(written)
+
+		// Polish has no 'other' form for whole numbers, so the plural translation is in the last form
+		expect(await parse(PO_FR, { lang: 'pl' })).to.include({ '%d file': '%d plik', '%d file\u0000%d files': '%d plików' })
+
+		// A header with a different number of forms keeps msgstr[0] and msgstr[1]
+		const fourForms = PO_FR.replace('nplurals=3', 'nplurals=4')
+		expect(await parse(fourForms, { lang: 'pl' })).to.include({ '%d file': '%d plik', '%d file\u0000%d files': '%d pliki' })
+	})
+})
@@ -0,0 +1,250 @@
+import { expect } from 'chai'
+import * as fsp from 'fs/promises'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { dirname } from 'path'
+import { initLocalizer } from '../src/localizer/localize.js'
+import { mkTmpDir, rmDir } from '../src/lib/io.js'
+import { isTextTranslationProvider, loadTranslationProvider } from '../src/lib/provider.js'
+import { getDeepLLanguageCode } from '../src/providers/deepl.mjs'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+const mockLog = {
+	D: () => {},
+	W: () => {},
+	E: () => {},
+	I: () => {},
+	V: () => {},
+	T: () => {}
+}
+
+const PLUGIN_SOURCE = `
+export function name() { return 'Gateway' }
+export async function listModels(apiKey) { return [] }
+export function getTranslationRequestDetails({ model, messages, apiKey, log }) {
+	return { url: 'https://gateway.example.com/translate', params: { model, messages }, config: { headers: { Authorization: apiKey } } }
+}
+export function getResult(response, log) { return response.data.text }
+export function getSleepInterval(headers, log) { return 0 }
+`
+
+describe('translation provider plugins', () => {
+	let tmpDir
+	const appState = { lang: 'en', __dirname: path.resolve(__dirname, '../src') }
+
+	before(async () => {
+		await initLocalizer({
+			defaultAppLanguage: 'en',
+			appLanguage: null,
+			srcDir: path.resolve(__dirname, '../localization'),
+			log: mockLog
+		})
+	})
+
+	beforeEach(async () => {
+		tmpDir = await mkTmpDir()
+		await fsp.writeFile(path.join(tmpDir, 'gateway.mjs'), PLUGIN_SOURCE)
+		await fsp.writeFile(path.join(tmpDir, 'incomplete.mjs'), 'export function name() { return \'Incomplete\' }')
+		process.env.ALT_TEST_GATEWAY_TOKEN = 'secret'
+	})
+
+	afterEach(() => {
+		delete process.env.ALT_TEST_GATEWAY_TOKEN
+		rmDir(tmpDir, mockLog)
+	})
+
+	const load = ({ providerName, providers }) => loadTranslationProvider({ appState, config: { providers }, providerName, log: mockLog })
+
+	it('should load a plugin from a file, with its own API key environment variable', async () => {
+		const { apiKey, api } = await load({
+			providerName: 'gateway',
+			providers: { gateway: { module: path.join(tmpDir, 'gateway.mjs'), apiKeyEnvVar: 'ALT_TEST_GATEWAY_TOKEN' } }
+		})
+		expect(apiKey).to.equal('secret')
+		expect(api.name()).to.equal('Gateway')
+		expect(api.getTranslationRequestDetails({ model: 'm', messages: [ 'Hi' ], apiKey }).config.headers.Authorization).to.equal('secret')
+	})
+
+	it('should list plugins among the supported providers', async () => {
+		let error
+		try {
+			await load({ providerName: 'unknown', providers: { gateway: { module: './gateway.mjs' } } })
+		} catch (e) {
+			error = e
+		}
+		expect(error?.message).to.include('"unknown"')
+		expect(error?.message).to.include('anthropic, azure-openai, deepl, google, google-translate, openai, openai-compatible, pseudo, gateway')
+	})
+
+	it('should fail if a plugin is missing part of the provider interface', async () => {
+		let error
+		try {
+			await load({
+				providerName: 'incomplete',
+				providers: { incomplete: { module: path.join(tmpDir, 'incomplete.mjs'), apiKeyEnvVar: 'ALT_TEST_GATEWAY_TOKEN' } }
+			})
+		} catch (e) {
+			error = e
+		}
+		expect(error?.message).to.include('getTranslationRequestDetails, getResult, getSleepInterval, listModels')
+	})
+})
+
+describe('openai-compatible provider', () => {
+	const appState = { lang: 'en', __dirname: path.resolve(__dirname, '../src') }
+
+	it('should load without an API key, with settings from the config', async () => {
+		const { apiKey, api, settings } = await loadTranslationProvider({
+			appState,
+			config: { providers: { local: { provider: 'openai-compatible', baseUrl: 'http://localhost:8080/v1/', model: 'llama3' } } },
+			providerName: 'local',
+			log: mockLog
+		})
+		expect(apiKey).to.equal(null)
+		expect(settings.model).to.equal('llama3')
+
+		const { url, params, config } = api.getTranslationRequestDetails({ model: 'llama3', messages: [ 'Translate', 'Hi' ], apiKey, settings, log: mockLog })
+		expect(url).to.equal('http://localhost:8080/v1/chat/completions')
+		expect(params.model).to.equal('llama3')
+		expect(config.headers).to.not.have.property('Authorization')
+	})
+
+	it('should default to Ollama\'s base URL, and send an API key if there is one', async () => {
+		process.env.OPENAI_COMPATIBLE_API_KEY = 'secret'
+		try {
+			const { apiKey, api, settings } = await loadTranslationProvider({ appState, config: {}, providerName: 'openai-compatible', log: mockLog })
+			const { url, config } = api.getTranslationRequestDetails({ model: 'm', messages: [ 'Hi' ], apiKey, settings, log: mockLog })
+			expect(url).to.equal('http://localhost:11434/v1/chat/completions')
+			expect(config.headers.Authorization).to.equal('Bearer secret')
+		} finally {
+			delete process.env.OPENAI_COMPATIBLE_API_KEY
+		}
+	})
+})
+
+describe('azure-openai provider', () => {
+	const appState = { lang: 'en', __dirname: path.resolve(__dirname, '../src') }
+
+	beforeEach(() => {
+		process.env.AZURE_OPENAI_API_KEY = 'secret'
+	})
+
+	afterEach(() => {
+		delete process.env.AZURE_OPENAI_API_KEY
+	})
+
+	const load = settings => loadTranslationProvider({ appState, config: { providers: { 'azure-openai': settings } }, providerName: 'azure-openai', log: mockLog })
+
+	it('should address a deployment, with an api-version and api-key header', async () => {
+		const { apiKey, api, settings } = await load({ endpoint: 'https://contoso.openai.azure.com/', deployment: 'gpt-4o-prod', apiVersion: '2024-06-01' })
+		const model = api.defaultModel(settings)
+		expect(model).to.equal('gpt-4o-prod')
+
+		const { url, params, config } = api.getTranslationRequestDetails({ model, messages: [ 'Hi' ], apiKey, settings, log: mockLog })
+		expect(url).to.equal('https://contoso.openai.azure.com/openai/deployments/gpt-4o-prod/chat/completions?api-version=2024-06-01')
+		expect(params).to.not.have.property('model')
+		expect(config.headers['api-key']).to.equal('secret')
+	})
+
+	it('should prefer retry-after-ms when rate limited', async () => {
+		const { api } = await load({ endpoint: 'https://contoso.openai.azure.com' })
+		expect(api.getSleepInterval({ 'retry-after-ms': '1500', 'retry-after': '2' }, mockLog)).to.equal(1700)
+		expect(api.getSleepInterval({ 'retry-after': '2' }, mockLog)).to.equal(2200)
+		expect(api.getSleepInterval({}, mockLog)).to.equal(0)
+	})
+
+	it('should fail without an endpoint', async () => {
+		let error
+		try {
+			await load({ deployment: 'gpt-4o-prod' })
+		} catch (e) {
+			error = e
+		}
+		expect(error?.message).to.include('endpoint')
+	})
+})
+
+describe('machine translation providers', () => {
+	const appState = { lang: 'en', __dirname: path.resolve(__dirname, '../src') }
+
+	afterEach(() => {
+		delete process.env.DEEPL_API_KEY
+		delete process.env.GOOGLE_TRANSLATE_API_KEY
+	})
+
+	const load = async (providerName, settings) => {
+		process.env[`${providerName.toUpperCase().replace('-', '_')}_API_KEY`] = 'secret:fx'
+		return await loadTranslationProvider({ appState, config: { providers: { [providerName]: settings } }, providerName, log: mockLog })
+	}
+
+	it('should be recognized as taking text, rather than a prompt', async () => {
+		const { api } = await load('deepl', {})
+		expect(isTextTranslationProvider(api)).to.equal(true)
+		expect(isTextTranslationProvider((await load('openai-compatible', {})).api)).to.equal(false)
+	})
+
+	it('should map language tags to DeepL\'s codes', () => {
+		expect(getDeepLLanguageCode('de-AT', true)).to.equal('DE')
+		expect(getDeepLLanguageCode('en', true)).to.equal('EN-US')
+		expect(getDeepLLanguageCode('pt-BR', true)).to.equal('PT-BR')
+		expect(getDeepLLanguageCode('pt-BR', false)).to.equal('PT')
+		expect(getDeepLLanguageCode('zh-TW', true)).to.equal('ZH-HANT')
+		expect(getDeepLLanguageCode('zh', true)).to.equal('ZH-HANS')
+	})
+
+	it('should pass DeepL context, formality and a glossary', async () => {
+		const { apiKey, api, settings } = await load('deepl', { formality: 'more', glossaryIds: { de: 'gloss-de' } })
+		const { url, params, config } = api.getTextTranslationRequestDetails({
+			text: 'Save <b>now</b>', sourceLang: 'en', targetLang: 'de', context: 'A button', appContextMessage: 'A notes app', apiKey, settings, log: mockLog
+		})
+		expect(url).to.equal('https://api-free.deepl.com/v2/translate')
+		expect(params).to.deep.equal({
+			text: [ 'Save <b>now</b>' ],
+			source_lang: 'EN',
+			target_lang: 'DE',
+			context: 'A notes app\nA button',
+			formality: 'more',
+			glossary_id: 'gloss-de',
+			tag_handling: 'html'
+		})
+		expect(config.headers.Authorization).to.equal('DeepL-Auth-Key secret:fx')
+		expect(api.getResult({ data: { translations: [ { text: 'Jetzt <b>speichern</b>' } ] } }, mockLog)).to.equal('Jetzt <b>speichern</b>')
+	})
+
+	it('should use Google Cloud Translation v2 by default', async () => {
+		const { apiKey, api, settings } = await load('google-translate', {})
+		const { url, params, config } = api.getTextTranslationRequestDetails({ text: 'Hello', sourceLang: 'en-US', targetLang: 'zh-Hant', apiKey, settings, log: mockLog })
+		expect(url).to.equal('https://translation.googleapis.com/language/translate/v2')
+		expect(params).to.deep.equal({ q: [ 'Hello' ], source: 'en', target: 'zh-TW', format: 'text' })
+		expect(config.headers['X-Goog-Api-Key']).to.equal('secret:fx')
+		expect(api.getResult({ data: { data: { translations: [ { translatedText: '你好' } ] } } }, mockLog)).to.equal('你好')
+	})
+
+	it('should use Google Cloud Translation v3 with a project, model and glossary', async () => {
+		const { apiKey, api, settings } = await load('google-translate', { version: 'v3', projectId: 'my-project', glossaryId: 'terms' })
+		const { url, params, config } = api.getTextTranslationRequestDetails({ text: 'Hello', sourceLang: 'en', targetLang: 'pt-PT', model: 'general/nmt', apiKey, settings, log: mockLog })
+		expect(url).to.equal('https://translation.googleapis.com/v3/projects/my-project/locations/global:translateText')
+		expect(params).to.deep.equal({
+			contents: [ 'Hello' ],
+			sourceLanguageCode: 'en',
+			targetLanguageCode: 'pt-PT',
+			mimeType: 'text/plain',
+			model: 'projects/my-project/locations/global/models/general/nmt',
+			glossaryConfig: { glossary: 'projects/my-project/locations/global/glossaries/terms' }
+		})
+		expect(config.headers.Authorization).to.equal('Bearer secret:fx')
+		expect(api.getResult({ data: { translations: [ { translatedText: 'Olá' } ], glossaryTranslations: [ { translatedText: 'Olá!' } ] } }, mockLog)).to.equal('Olá!')
+	})
+
+	it('should require a project for Google Cloud Translation v3', async () => {
+		let error
+		try {
+			await load('google-translate', { version: 'v3' })
+		} catch (e) {
+			error = e
+		}
+		expect(error?.message).to.include('projectId')
+	})
+})
@@ -0,0 +1,52 @@
+import { expect } from 'chai'
+import { formatIcuMessage, parseIcuMessage } from '../src/lib/icu.js'
+import { translateText } from '../src/providers/pseudo.mjs'
+
+const mockLog = {
+	D: () => {},
+	W: () => {},
+	E: () => {},
+	I: () => {},
+	V: () => {},
+	T: () => {}
+}
+
+const pseudo = (text, { targetLang = 'en-XA', settings = {} } = {}) => translateText({ text, sourceLang: 'en', targetLang, settings, log: mockLog })
+
+describe('pseudo provider', () => {
+	it('should accent, pad and bracket text', async () => {
+		expect(await pseudo('Sign in')).to.equal('[Ŝîĝñ îñ ~~~]')
+		expect(await pseudo('')).to.equal('[]')
+	})
+
+	it('should leave placeholders and markup as they are', async () => {
+		expect(await pseudo('Hello {name}, you have %d new <b>messages</b>', { settings: { expansion: 0 } }))
+			.to.equal('[Ĥêļļô {name}, ŷôû ĥâṽê %d ñêŵ <b>ɱêŝŝâĝêŝ</b>]')
+	})
+
+	it('should take the expansion from the settings, per target language', async () => {
+		const settings = { expansion: 0.5, expansions: { de: 1 } }
+		expect(await pseudo('Save', { targetLang: 'fr', settings })).to.equal('[Ŝâṽê ~~]')
+		expect(await pseudo('Save', { targetLang: 'de', settings })).to.equal('[Ŝâṽê ~~~~]')
+	})
+
+	it('should accent ICU messages, adding the plural categories the target language needs', async () => {
+		const text = '{count, plural, one {# file} other {# files in {dir}}}'
+		expect(await pseudo(text, { settings: { expansion: 0 } }))
+			.to.equal('[{count, plural, one {# ƒîļê} other {# ƒîļêŝ îñ {dir}}}]')
+		expect(await pseudo(text, { targetLang: 'pl', settings: { expansion: 0 } }))
+			.to.equal('[{count, plural, one {# ƒîļê} other {# ƒîļêŝ îñ {dir}} few {# ƒîļêŝ îñ {dir}} many {# ƒîļêŝ îñ {dir}}}]')
+	})
+})
+
+describe('formatIcuMessage', () => {
+	it('should format parsed messages as they were', () => {
+		for (const message of [
+			'{count, plural, =0 {No files} one {# file} other {# files}}',
+			'{gender, select, female {She} male {He} other {They}} replied',
+			'{n, selectordinal, one {#st} two {#nd} few {#rd} other {#th}} place, it\'\'s {name}'
+		]) {
+			expect(formatIcuMessage(parseIcuMessage(message))).to.equal(message)
+		}
+	})
+})
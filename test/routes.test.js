@@ -0,0 +1,202 @@
+import { execa } from 'execa'
+import { expect } from 'chai'
+import * as fsp from 'fs/promises'
+import http from 'http'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { dirname } from 'path'
+import { initLocalizer } from '../src/localizer/localize.js'
+import { mkTmpDir, rmDir } from '../src/lib/io.js'
+import { DEFAULT_CACHE_FILENAME } from '../src/lib/consts.js'
+import { getFallbackProviders, getLanguageRoute, getRoutes, isLanguagePatternMatch, resolveLanguageRoute } from '../src/lib/routes.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+const mockLog = {
+	D: () => {},
+	W: () => {},
+	E: () => {},
+	I: () => {},
+	V: () => {},
+	T: () => {}
+}
+
+describe('isLanguagePatternMatch', () => {
+	it('should match tags, and patterns with wildcards, ignoring case', () => {
+		expect(isLanguagePatternMatch('hi', 'hi')).to.equal(true)
+		expect(isLanguagePatternMatch('zh-Hant', 'zh-hant')).to.equal(true)
+		expect(isLanguagePatternMatch('es-*', 'es-MX')).to.equal(true)
+		expect(isLanguagePatternMatch('es-*', 'es')).to.equal(false)
+		expect(isLanguagePatternMatch('*-*', 'pt-BR')).to.equal(true)
+		expect(isLanguagePatternMatch('*-*', 'ja')).to.equal(false)
+		expect(isLanguagePatternMatch('hi', 'hi-IN')).to.equal(false)
+	})
+})
+
+describe('language routes', () => {
+	const appState = { lang: 'en' }
+	const routes = [
+		{ languages: 'hi', provider: 'Google' },
+		{ languages: [ 'ja', 'ko' ], provider: 'anthropic', model: 'claude-sonnet-4-5' },
+		{ languages: '*-*', model: 'gpt-4o-mini' }
+	]
+
+	before(async () => {
+		await initLocalizer({
+			defaultAppLanguage: 'en',
+			appLanguage: null,
+			srcDir: path.resolve(__dirname, '../localization'),
+			log: mockLog
+		})
+	})
+
+	it('should use the first route which matches', () => {
+		expect(getLanguageRoute({ routes, targetLang: 'ko' })).to.equal(routes[1])
+		expect(getLanguageRoute({ routes, targetLang: 'fr-CA' })).to.equal(routes[2])
+		expect(getLanguageRoute({ routes, targetLang: 'fr' })).to.equal(null)
+	})
+
+	it('should fall back to the default provider and model', () => {
+		const resolve = targetLang => resolveLanguageRoute({ routes, targetLang, defaultProviderName: 'openai', defaultModel: 'gpt-4o' })
+		expect(resolve('hi')).to.deep.equal({ providerName: 'google', model: null })
+		expect(resolve('ja')).to.deep.equal({ providerName: 'anthropic', model: 'claude-sonnet-4-5' })
+		expect(resolve('fr-CA')).to.deep.equal({ providerName: 'openai', model: 'gpt-4o-mini' })
+		expect(resolve('fr')).to.deep.equal({ providerName: 'openai', model: 'gpt-4o' })
+	})
+
+	it('should reject routes without languages, or without a provider or model', () => {
+		expect(getRoutes({ appState, config: { routes }, log: mockLog })).to.equal(routes)
+		expect(getRoutes({ appState, config: {}, log: mockLog })).to.deep.equal([])
+		for (const route of [ { provider: 'google' }, { languages: [], provider: 'google' }, { languages: 'hi' } ]) {
+			expect(() => getRoutes({ appState, config: { routes: [ route ] }, log: mockLog })).to.throw('routes')
+		}
+	})
+
+	it('should read fallback providers, by name or with a model', () => {
+		expect(getFallbackProviders({ appState, config: { fallbackProviders: [ 'OpenAI', { model: 'claude-haiku-4-5' }, { provider: 'google', model: 'gemini-2.5-flash' } ] }, log: mockLog }))
+			.to.deep.equal([
+				{ provider: 'openai', model: null },
+				{ provider: null, model: 'claude-haiku-4-5' },
+				{ provider: 'google', model: 'gemini-2.5-flash' }
+			])
+		expect(() => getFallbackProviders({ appState, config: { fallbackProviders: [ {} ] }, log: mockLog })).to.throw('fallbackProviders')
+	})
+})
+
+describe('translate with routes', function() {
+	this.timeout(20000)
+
+	let tmpDir
+
+	beforeEach(async () => {
+		tmpDir = await mkTmpDir()
+		await fsp.writeFile(path.join(tmpDir, 'en.json'), JSON.stringify({ save: 'Save' }))
+		await fsp.writeFile(path.join(tmpDir, 'alt.config.json'), JSON.stringify({
+			provider: 'pseudo',
+			providers: { 'pseudo-long': { provider: 'pseudo', expansion: 1 } },
+			routes: [ { languages: 'de-*', provider: 'pseudo-long' } ],
+			referenceFile: 'en.json',
+			referenceLanguage: 'en',
+			outputDir: 'out'
+		}))
+	})
+
+	afterEach(() => {
+		rmDir(tmpDir, mockLog)
+	})
+
+	const alt = (...args) => execa('node', [ path.resolve(__dirname, '../alt.mjs'), ...args ], { cwd: tmpDir, reject: false })
+	const readJson = async file => JSON.parse(await fsp.readFile(path.join(tmpDir, 'out', file), 'utf8'))
+
+	it('should translate each target language with its route\'s provider', async () => {
+		const result = await alt('translate', '-y', '-tl', 'fr,de-AT')
+		expect(result.exitCode, result.stderr).to.equal(0)
+		expect(await readJson('fr.json')).to.deep.equal({ save: '[Ŝâṽê ~~]' })
+		expect(await readJson('de-AT.json')).to.deep.equal({ save: '[Ŝâṽê ~~~~]' })
+	})
+
+	it('should validate routes with list-models', async () => {
+		const result = await alt('list-models')
+		expect(result.exitCode, result.stderr).to.equal(0)
+		expect(result.stdout).to.include('de-* => pseudo-long')
+	})
+
+	it('should not look for deployment names among the models of azure-openai routes', async () => {
+		const server = http.createServer((req, res) => {
+			res.setHeader('Content-Type', 'application/json')
+			res.end(JSON.stringify({ data: [ { id: 'gpt-4o' } ] }))
+		})
+		await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+		try {
+			await fsp.writeFile(path.join(tmpDir, 'alt.config.json'), JSON.stringify({
+				provider: 'pseudo',
+				providers: { 'azure-openai': { endpoint: `http://127.0.0.1:${server.address().port}` } },
+				routes: [ { languages: 'ja', provider: 'azure-openai', model: 'translator-gpt4o' } ]
+			}))
+			const result = await execa('node', [ path.resolve(__dirname, '../alt.mjs'), 'list-models' ], {
+				cwd: tmpDir,
+				reject: false,
+				env: { AZURE_OPENAI_API_KEY: 'key' }
+			})
+			expect(result.exitCode, result.stderr).to.equal(0)
+			expect(result.stdout).to.include('ja => azure-openai')
+		} finally {
+			await new Promise(resolve => server.close(resolve))
+		}
+	})
+})
+
+describe('translate with fallback providers', function() {
+	this.timeout(20000)
+
+	let tmpDir
+
+	beforeEach(async () => {
+		tmpDir = await mkTmpDir()
+		await fsp.writeFile(path.join(tmpDir, 'en.json'), JSON.stringify({ save: 'Save', open: 'Open' }))
+		await fsp.writeFile(path.join(tmpDir, 'alt.config.json'), JSON.stringify({
+			provider: 'openai-compatible',
+			// Nothing listens on port 1, so every request fails
+			providers: { 'openai-compatible': { baseUrl: 'http://127.0.0.1:1/v1', model: 'llama3' } },
+			fallbackProviders: [ 'pseudo' ],
+			fallbackAfterFailures: 2,
+			referenceFile: 'en.json',
+			referenceLanguage: 'en',
+			outputDir: 'out'
+		}))
+	})
+
+	afterEach(() => {
+		rmDir(tmpDir, mockLog)
+	})
+
+	it('should switch to the next provider after repeated failures, and note which provider translated each key', async () => {
+		const result = await execa('node', [ path.resolve(__dirname, '../alt.mjs'), 'translate', '-y', '-tl', 'fr' ], { cwd: tmpDir, reject: false })
+		expect(result.exitCode, result.stderr).to.equal(0)
+		expect(result.stderr).to.include('switching to pseudo')
+		expect(result.stdout).to.include('pseudo: 2')
+
+		const readJson = async file => JSON.parse(await fsp.readFile(path.join(tmpDir, 'out', file), 'utf8'))
+		expect(await readJson('fr.json')).to.deep.equal({ save: '[Ŝâṽê ~~]', open: '[Ôþêñ ~~]' })
+		expect((await readJson(DEFAULT_CACHE_FILENAME)).state.fr.keyProviders).to.deep.equal({ save: { provider: 'pseudo' }, open: { provider: 'pseudo' } })
+	})
+
+	it('should only load fallback providers when they\'re needed, skipping those which can\'t be loaded', async () => {
+		const config = JSON.parse(await fsp.readFile(path.join(tmpDir, 'alt.config.json'), 'utf8'))
+		await fsp.writeFile(path.join(tmpDir, 'alt.config.json'), JSON.stringify({ ...config, fallbackProviders: [ 'anthropic', 'pseudo' ] }))
+		const { ANTHROPIC_API_KEY, ...env } = process.env
+		const alt = (...args) => execa('node', [ path.resolve(__dirname, '../alt.mjs'), ...args ], { cwd: tmpDir, env, extendEnv: false, reject: false })
+
+		// Nothing falls back when there's nothing to translate, so the missing API key doesn't matter
+		await fsp.writeFile(path.join(tmpDir, 'en.json'), JSON.stringify({}))
+		const unused = await alt('translate', '-y', '-tl', 'fr')
+		expect(unused.exitCode, unused.stderr).to.equal(0)
+
+		await fsp.writeFile(path.join(tmpDir, 'en.json'), JSON.stringify({ save: 'Save' }))
+		const result = await alt('translate', '-y', '-tl', 'fr')
+		expect(result.exitCode, result.stderr).to.equal(0)
+		expect(result.stderr).to.include('Skipping fallback provider anthropic').and.to.include('ANTHROPIC_API_KEY')
+		expect(result.stderr).to.include('switching to pseudo')
+	})
+})
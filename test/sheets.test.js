@@ -0,0 +1,54 @@
+import { expect } from 'chai'
+import { strToU8, zipSync } from 'fflate'
+import { getKeyStatus, KEY_STATUS_MODIFIED, markKeyUserModified } from '../src/lib/cache.js'
+import { calculateHash } from '../src/lib/utils.js'
+import { parseCsv, parseXlsx, serializeCsv, serializeXlsx } from '../src/lib/sheets.js'
+
+describe('spreadsheets', () => {
+	const rows = [
+		[ 'key', 'context', 'en (reference)', 'fr', 'fr status' ],
+		[ 'greeting', '', 'Hello, "friend"', 'Bonjour, « ami »', 'translated' ],
+		[ 'auth.logout', 'Menu item', 'Sign out\nnow', '', 'missing' ]
+	]
+
+	it('should round-trip rows through CSV, quoting where needed', () => {
+		const text = serializeCsv(rows)
+		expect(text).to.match(/^\uFEFFkey,context,/)
+		expect(text).to.include('greeting,,"Hello, ""friend""",')
+		expect(parseCsv(text)).to.deep.equal(rows)
+	})
+
+	it('should round-trip rows through XLSX', () => {
+		expect(parseXlsx(serializeXlsx(rows))).to.deep.equal(rows)
+	})
+
+	it('should read XLSX files which use shared strings and skip empty cells', () => {
+		const xml = s => strToU8(`<?xml version="1.0" encoding="UTF-8"?>${s}`)
+		const buffer = zipSync({
+			'xl/workbook.xml': xml('<workbook xmlns:r="r"><sheets><sheet name="Sheet1" sheetId="1" r:id="rId3"/></sheets></workbook>'),
+			'xl/_rels/workbook.xml.rels': xml('<Relationships><Relationship Id="rId3" Target="worksheets/data.xml"/></Relationships>'),
+			'xl/sharedStrings.xml': xml('<sst><si><t>key</t></si><si><r><t>f</t></r><r><t>r</t></r></si><si><t>a &amp; b</t></si></sst>'),
+			'xl/worksheets/data.xml': xml('<worksheet><sheetData>' +
+				'<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="s"><v>1</v></c></row>' +
+				'<row r="3"><c r="A3" t="s"><v>2</v></c><c r="B3"><v>42</v></c></row>' +
+				'</sheetData></worksheet>')
+		})
+		expect(parseXlsx(buffer)).to.deep.equal([
+			[ 'key', '', 'fr' ],
+			[],
+			[ 'a & b', '42' ]
+		])
+	})
+
+	it('should mark imported edits as user-modified', () => {
+		const cache = { state: {}, referenceKeyHashes: {} }
+		markKeyUserModified({ cache, targetLang: 'fr', key: 'a', previousValue: null })
+		expect(getKeyStatus({ cache, targetLang: 'fr', key: 'a', curValue: 'Salut', referenceValueHash: 'x' })).to.equal(KEY_STATUS_MODIFIED)
+
+		// An existing hash of ALT's translation is kept
+		cache.state.fr.keyHashes.b = calculateHash('Bonjour')
+		markKeyUserModified({ cache, targetLang: 'fr', key: 'b', previousValue: 'Bonjour' })
+		expect(cache.state.fr.keyHashes.b).to.equal(calculateHash('Bonjour'))
+		expect(getKeyStatus({ cache, targetLang: 'fr', key: 'b', curValue: 'Salut', referenceValueHash: 'x' })).to.equal(KEY_STATUS_MODIFIED)
+	})
+})
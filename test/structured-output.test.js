@@ -0,0 +1,146 @@
+import { execa } from 'execa'
+import { expect } from 'chai'
+import * as fsp from 'fs/promises'
+import http from 'http'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { dirname } from 'path'
+import { mkTmpDir, rmDir } from '../src/lib/io.js'
+import { findPreamble, parseStructuredTranslation } from '../src/lib/structured-output.js'
+import * as anthropic from '../src/providers/anthropic.mjs'
+import * as google from '../src/providers/google.mjs'
+import * as openai from '../src/providers/openai.mjs'
+import * as openaiCompatible from '../src/providers/openai-compatible.mjs'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+const mockLog = {
+	D: () => {},
+	W: () => {},
+	E: () => {},
+	I: () => {},
+	V: () => {},
+	T: () => {}
+}
+
+describe('parseStructuredTranslation', () => {
+	it('should return the translation in a structured response, or null if it\'s malformed', () => {
+		expect(parseStructuredTranslation('{"translation":"Bonjour"}')).to.equal('Bonjour')
+		expect(parseStructuredTranslation({ translation: ' Bonjour\n' })).to.equal('Bonjour')
+		expect(parseStructuredTranslation('Bonjour')).to.equal(null)
+		expect(parseStructuredTranslation('{"text":"Bonjour"}')).to.equal(null)
+		expect(parseStructuredTranslation(undefined)).to.equal(null)
+	})
+})
+
+describe('findPreamble', () => {
+	it('should find preambles, notes and quoting', () => {
+		expect(findPreamble({ refValue: 'Hello', translated: 'Here is the translation: Bonjour' })).to.equal('Here is the translation:')
+		expect(findPreamble({ refValue: 'Hello', translated: 'Sure! Bonjour' })).to.equal('Sure!')
+		expect(findPreamble({ refValue: 'Hello', translated: 'Translation: Bonjour' })).to.equal('Translation:')
+		expect(findPreamble({ refValue: 'Hello', translated: 'Bonjour\n\nNote: "Bonjour" is formal' })).to.equal('Note:')
+		expect(findPreamble({ refValue: 'Hello', translated: '"Bonjour"' })).to.equal('"Bonjour"')
+		expect(findPreamble({ refValue: 'Hello', translated: '```\nBonjour\n```' })).to.equal('```')
+	})
+
+	it('should ignore patterns which the reference value matches too', () => {
+		expect(findPreamble({ refValue: 'Hello', translated: 'Bonjour' })).to.equal(null)
+		expect(findPreamble({ refValue: '"Quoted"', translated: '"Cité"' })).to.equal(null)
+		expect(findPreamble({ refValue: 'Sure, delete it', translated: 'Sure, delete it' })).to.equal(null)
+		expect(findPreamble({ refValue: 'Here are your files:', translated: 'Here are your files:' })).to.equal(null)
+	})
+})
+
+describe('structured output requests', () => {
+	const messages = [ 'Translate', 'Hello' ]
+
+	it('should force Anthropic\'s translation tool, and read its input', () => {
+		const { params } = anthropic.getTranslationRequestDetails({ model: 'm', messages, apiKey: 'k', settings: {}, log: mockLog })
+		expect(params.tool_choice).to.deep.equal({ type: 'tool', name: 'submit_translation' })
+		expect(params.tools[0].input_schema.required).to.deep.equal([ 'translation' ])
+
+		const data = { content: [ { type: 'text', text: 'Here you go' }, { type: 'tool_use', name: 'submit_translation', input: { translation: 'Bonjour' } } ] }
+		expect(anthropic.getResult({ data }, mockLog, {})).to.equal('Bonjour')
+		expect(anthropic.getResult({ data: { content: [ { type: 'text', text: 'Bonjour' } ] } }, mockLog, {})).to.equal(null)
+		expect(anthropic.getResult({ data: { content: [ { type: 'text', text: 'Bonjour' } ] } }, mockLog, { structuredOutput: false })).to.equal('Bonjour')
+	})
+
+	it('should ask OpenAI for a JSON schema response', () => {
+		const { params } = openai.getTranslationRequestDetails({ model: 'm', messages, apiKey: 'k', settings: {}, log: mockLog })
+		expect(params.response_format.type).to.equal('json_schema')
+		expect(params.response_format.json_schema.strict).to.equal(true)
+		expect(openai.getResult({ data: { choices: [ { message: { content: '{"translation":"Bonjour"}' } } ] } }, mockLog, {})).to.equal('Bonjour')
+		expect(openai.getResult({ data: { choices: [ { message: { content: 'Bonjour' } } ] } }, mockLog, {})).to.equal(null)
+
+		const unstructured = openai.getTranslationRequestDetails({ model: 'm', messages, apiKey: 'k', settings: { structuredOutput: false }, log: mockLog })
+		expect(unstructured.params).to.not.have.property('response_format')
+	})
+
+	it('should give Gemini a response schema', () => {
+		const { params } = google.getTranslationRequestDetails({ model: 'm', messages, apiKey: 'k', settings: {}, log: mockLog })
+		expect(params.generationConfig.responseMimeType).to.equal('application/json')
+		expect(params.generationConfig.responseSchema).to.not.have.property('additionalProperties')
+		expect(google.getResult({ data: { candidates: [ { content: { parts: [ { text: '{"translation":"Bonjour"}' } ] } } ] } }, mockLog, {})).to.equal('Bonjour')
+	})
+
+	it('should only use structured output with OpenAI-compatible servers if it\'s enabled', () => {
+		const request = settings => openaiCompatible.getTranslationRequestDetails({ model: 'm', messages, apiKey: null, settings, log: mockLog })
+		expect(request({}).params).to.not.have.property('response_format')
+		expect(request({ structuredOutput: true }).params.response_format.type).to.equal('json_schema')
+		expect(openaiCompatible.getResult({ data: { choices: [ { message: { content: ' Bonjour ' } } ] } }, mockLog, {})).to.equal('Bonjour')
+	})
+})
+
+describe('translate with malformed responses and preambles', function() {
+	this.timeout(20000)
+
+	let tmpDir
+	let server
+	let responses	// Contents of the chat completions to respond with, in turn
+
+	beforeEach(async () => {
+		tmpDir = await mkTmpDir()
+		server = http.createServer((req, res) => {
+			req.resume()
+			req.on('end', () => {
+				res.setHeader('Content-Type', 'application/json')
+				res.end(JSON.stringify({ choices: [ { message: { role: 'assistant', content: responses.shift() } } ] }))
+			})
+		})
+		await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+	})
+
+	afterEach(async () => {
+		await new Promise(resolve => server.close(resolve))
+		rmDir(tmpDir, mockLog)
+	})
+
+	const translate = async settings => {
+		await fsp.writeFile(path.join(tmpDir, 'en.json'), JSON.stringify({ hello: 'Hello' }))
+		await fsp.writeFile(path.join(tmpDir, 'alt.config.json'), JSON.stringify({
+			provider: 'openai-compatible',
+			providers: { 'openai-compatible': { baseUrl: `http://127.0.0.1:${server.address().port}/v1`, model: 'm', ...settings } },
+			referenceFile: 'en.json',
+			referenceLanguage: 'en',
+			outputDir: 'out'
+		}))
+		const result = await execa('node', [ path.resolve(__dirname, '../alt.mjs'), 'translate', '-y', '-tl', 'fr' ], { cwd: tmpDir, reject: false })
+		expect(result.exitCode, result.stderr).to.equal(0)
+		return { result, output: JSON.parse(await fsp.readFile(path.join(tmpDir, 'out', 'fr.json'), 'utf8')) }
+	}
+
+	it('should reject and retry a translation with a preamble, without structured output', async () => {
+		responses = [ 'Here is the translation: Bonjour', 'Bonjour' ]
+		const { result, output } = await translate({})
+		expect(result.stderr).to.include('Here is the translation:')
+		expect(output).to.deep.equal({ hello: 'Bonjour' })
+	})
+
+	it('should reject and retry a malformed structured response', async () => {
+		responses = [ 'Bonjour', '{"translation":"Bonjour"}' ]
+		const { result, output } = await translate({ structuredOutput: true })
+		expect(result.stderr).to.include('malformed')
+		expect(output).to.deep.equal({ hello: 'Bonjour' })
+	})
+})
@@ -0,0 +1,55 @@
+import { expect } from 'chai'
+import * as fsp from 'fs/promises'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { dirname } from 'path'
+import { mkTmpDir, rmDir } from '../src/lib/io.js'
+import { loadReferenceFile } from '../src/lib/reference-loader.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+const mockLog = {
+	D: () => {},
+	W: () => {},
+	E: () => {},
+	I: () => {},
+	V: () => {},
+	T: () => {}
+}
+
+describe('TypeScript reference files', () => {
+	let tmpDir
+
+	beforeEach(async () => {
+		tmpDir = await mkTmpDir()
+	})
+
+	afterEach(() => {
+		rmDir(tmpDir, mockLog)
+	})
+
+	const load = (referenceFile, referenceExportedVarName) => loadReferenceFile({
+		appLang: 'en',
+		referenceFile,
+		referenceExportedVarName,
+		tmpDir,
+		log: mockLog
+	})
+
+	it('should load a .ts file, stripping types', async () => {
+		const expected = {
+			'msg-test': 'Nothing to do',
+			'error-finished': 'Finished with %%errorsEncountered%% error%%s%%'
+		}
+		const referenceFile = path.resolve(__dirname, 'fixtures/reference.ts')
+		expect(await load(referenceFile, 'default')).to.deep.equal(expected)
+		expect(await load(referenceFile, 'strings')).to.deep.equal(expected)
+	})
+
+	it('should load a .cts file', async () => {
+		const referenceFile = path.join(tmpDir, 'reference.cts')
+		await fsp.writeFile(referenceFile, `const strings: Record<string, string> = { hello: 'Hello' }\nexport = strings\n`)
+		expect(await load(referenceFile, 'default')).to.deep.equal({ hello: 'Hello' })
+	})
+})
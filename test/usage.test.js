@@ -0,0 +1,148 @@
+import { execa } from 'execa'
+import { expect } from 'chai'
+import * as fsp from 'fs/promises'
+import http from 'http'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { dirname } from 'path'
+import { mkTmpDir, rmDir } from '../src/lib/io.js'
+import { DEFAULT_CACHE_FILENAME } from '../src/lib/consts.js'
+import { calculateCost, createUsage, getModelPrice, getUsageTotals, recordUsage } from '../src/lib/usage.js'
+import * as anthropic from '../src/providers/anthropic.mjs'
+import * as google from '../src/providers/google.mjs'
+import * as openai from '../src/providers/openai.mjs'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+const mockLog = {
+	D: () => {},
+	W: () => {},
+	E: () => {},
+	I: () => {},
+	V: () => {},
+	T: () => {}
+}
+
+describe('getModelPrice', () => {
+	it('should use the longest matching model name, with configured prices first', () => {
+		expect(getModelPrice({ model: 'gpt-4o-mini-2024-07-18', modelPrices: {} })).to.deep.equal({ input: 0.15, output: 0.6 })
+		expect(getModelPrice({ model: 'gpt-4o-2024-08-06', modelPrices: {} })).to.deep.equal({ input: 2.5, output: 10 })
+		expect(getModelPrice({ model: 'gpt-4o', modelPrices: { 'gpt-4o': { input: 1, output: 2 } } })).to.deep.equal({ input: 1, output: 2 })
+		expect(getModelPrice({ model: 'llama3', modelPrices: {} })).to.equal(null)
+	})
+})
+
+describe('calculateCost', () => {
+	it('should price tokens per million, halving batches', () => {
+		const price = { input: 3, output: 15 }
+		expect(calculateCost({ inputTokens: 1000000, outputTokens: 100000, price, batch: false })).to.equal(4.5)
+		expect(calculateCost({ inputTokens: 1000000, outputTokens: 100000, price, batch: true })).to.equal(2.25)
+		expect(calculateCost({ inputTokens: 1000, outputTokens: 100, price: null, batch: false })).to.equal(null)
+	})
+})
+
+describe('recordUsage', () => {
+	it('should total usage by language and model, and by key', () => {
+		const usage = createUsage()
+		const modelPrices = { m: { input: 1, output: 2 } }
+		recordUsage({ usage, modelPrices, targetLang: 'fr', key: 'hello', provider: 'openai', model: 'm', inputTokens: 100, outputTokens: 10 })
+		recordUsage({ usage, modelPrices, targetLang: 'fr', key: 'hello', provider: 'openai', model: 'm', inputTokens: 120, outputTokens: 10 })
+		recordUsage({ usage, modelPrices, targetLang: 'de', key: 'hello', provider: 'openai-compatible', model: 'llama3', inputTokens: 90, outputTokens: 8 })
+
+		expect(usage.languages.fr.m).to.deep.equal({ requests: 2, inputTokens: 220, outputTokens: 20, cost: 0.00026, unpricedRequests: 0, unpricedInputTokens: 0, unpricedOutputTokens: 0 })
+		expect(usage.languages.de.llama3).to.include({ cost: null, unpricedRequests: 1 })
+		expect(usage.keys).to.have.length(2)
+		expect(usage.keys[0]).to.include({ targetLang: 'fr', key: 'hello', provider: 'openai', model: 'm', requests: 2 })
+	})
+
+	it('should count the requests and tokens of models without a price, which the cost leaves out', () => {
+		const usage = createUsage()
+		const modelPrices = { m: { input: 1, output: 2 } }
+		recordUsage({ usage, modelPrices, targetLang: 'fr', key: 'hello', provider: 'openai', model: 'm', inputTokens: 100, outputTokens: 10 })
+		recordUsage({ usage, modelPrices, targetLang: 'de', key: 'hello', provider: 'azure-openai', model: 'translator-deployment', inputTokens: 90, outputTokens: 8 })
+
+		expect(getUsageTotals(usage.languages)).to.deep.equal({
+			requests: 2,
+			inputTokens: 190,
+			outputTokens: 18,
+			cost: 0.00012,
+			unpricedRequests: 1,
+			unpricedInputTokens: 90,
+			unpricedOutputTokens: 8
+		})
+	})
+})
+
+describe('provider usage', () => {
+	it('should read the tokens used from responses', () => {
+		expect(anthropic.getUsage({ data: { usage: { input_tokens: 10, output_tokens: 2 } } }, mockLog)).to.deep.equal({ inputTokens: 10, outputTokens: 2 })
+		expect(openai.getUsage({ data: { usage: { prompt_tokens: 10, completion_tokens: 2 } } }, mockLog)).to.deep.equal({ inputTokens: 10, outputTokens: 2 })
+		expect(google.getUsage({ data: { usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 2, thoughtsTokenCount: 5 } } }, mockLog)).to.deep.equal({ inputTokens: 10, outputTokens: 7 })
+		expect(openai.getUsage({ data: {} }, mockLog)).to.equal(null)
+	})
+})
+
+describe('translate with usage reports', function() {
+	this.timeout(20000)
+
+	let tmpDir
+	let server
+
+	beforeEach(async () => {
+		tmpDir = await mkTmpDir()
+		server = http.createServer((req, res) => {
+			req.resume()
+			req.on('end', () => {
+				res.setHeader('Content-Type', 'application/json')
+				res.end(JSON.stringify({
+					choices: [ { message: { role: 'assistant', content: 'Bonjour' } } ],
+					usage: { prompt_tokens: 100, completion_tokens: 10 }
+				}))
+			})
+		})
+		await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+		await fsp.writeFile(path.join(tmpDir, 'en.json'), JSON.stringify({ hello: 'Hello', hi: 'Hi' }))
+		await fsp.writeFile(path.join(tmpDir, 'alt.config.json'), JSON.stringify({
+			provider: 'openai-compatible',
+			providers: { 'openai-compatible': { baseUrl: `http://127.0.0.1:${server.address().port}/v1`, model: 'm' } },
+			modelPrices: { m: { input: 1, output: 10 } },
+			referenceFile: 'en.json',
+			referenceLanguage: 'en',
+			outputDir: 'out'
+		}))
+	})
+
+	afterEach(async () => {
+		await new Promise(resolve => server.close(resolve))
+		rmDir(tmpDir, mockLog)
+	})
+
+	it('should report usage and its cost, and add it up in the cache', async () => {
+		const result = await execa('node', [ path.resolve(__dirname, '../alt.mjs'), 'translate', '-y', '-tl', 'fr', '--usage-report', 'usage.json' ], { cwd: tmpDir, reject: false })
+		expect(result.exitCode, result.stderr).to.equal(0)
+		expect(result.stdout).to.include('200 input and 20 output tokens in 2 request(s); estimated cost: $0.0004')
+
+		const readJson = async file => JSON.parse(await fsp.readFile(path.join(tmpDir, file), 'utf8'))
+		const report = await readJson('usage.json')
+		expect(report.totals).to.deep.equal({ requests: 2, inputTokens: 200, outputTokens: 20, cost: 0.0004, unpricedRequests: 0, unpricedInputTokens: 0, unpricedOutputTokens: 0 })
+		expect(report.languages.fr.m.requests).to.equal(2)
+		expect(report.keys.map(k => k.key)).to.have.members([ 'hello', 'hi' ])
+		expect(report.cumulative.totals.requests).to.equal(2)
+		expect((await readJson(path.join('out', DEFAULT_CACHE_FILENAME))).usage.totals.inputTokens).to.equal(200)
+	})
+
+	it('should mark the cost as partial when some models have no price', async () => {
+		const configPath = path.join(tmpDir, 'alt.config.json')
+		const config = JSON.parse(await fsp.readFile(configPath, 'utf8'))
+		config.routes = [ { languages: [ 'de' ], provider: 'openai-compatible', model: 'unpriced' } ]
+		await fsp.writeFile(configPath, JSON.stringify(config))
+
+		const result = await execa('node', [ path.resolve(__dirname, '../alt.mjs'), 'translate', '-y', '-tl', 'fr,de', '--usage-report', 'usage.json' ], { cwd: tmpDir, reject: false })
+		expect(result.exitCode, result.stderr).to.equal(0)
+		expect(result.stdout).to.include('400 input and 40 output tokens in 4 request(s); estimated cost: at least $0.0004 (200 input and 20 output tokens have no price')
+
+		const report = JSON.parse(await fsp.readFile(path.join(tmpDir, 'usage.json'), 'utf8'))
+		expect(report.totals).to.include({ cost: 0.0004, unpricedRequests: 2, unpricedInputTokens: 200, unpricedOutputTokens: 20 })
+	})
+})
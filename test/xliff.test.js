@@ -0,0 +1,140 @@
+import { execa } from 'execa'
+import { expect } from 'chai'
+import * as fsp from 'fs/promises'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { dirname } from 'path'
+import { mkTmpDir, rmDir } from '../src/lib/io.js'
+import {
+	decodeUnitId,
+	encodeUnitId,
+	isReviewedUnit,
+	parseXliff,
+	serializeXliff,
+	UNIT_STATE_FINAL,
+	UNIT_STATE_NEEDS_TRANSLATION,
+	UNIT_STATE_TRANSLATED
+} from '../src/lib/xliff.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+const mockLog = {
+	D: () => {},
+	W: () => {},
+	E: () => {},
+	I: () => {},
+	V: () => {},
+	T: () => {}
+}
+
+describe('xliff', () => {
+	const units = [
+		{ id: 'title', source: 'Hello & <b>welcome</b>', target: 'Bonjour & <b>bienvenue</b>', state: UNIT_STATE_TRANSLATED, note: 'Page heading' },
+		{ id: 'auth.login', source: 'Sign in', target: null, state: UNIT_STATE_NEEDS_TRANSLATION },
+		{ id: 'verb\u0004Open', source: 'Open', target: 'Ouvrir', state: UNIT_STATE_FINAL }
+	]
+
+	it('should encode unit IDs which are not valid in XML', () => {
+		expect(encodeUnitId('verb\u0004Open')).to.equal('verb\\u0004Open')
+		expect(decodeUnitId(encodeUnitId('a\\u0004b\u0000c'))).to.equal('a\\u0004b\u0000c')
+	})
+
+	it('should round-trip units through XLIFF 1.2', () => {
+		const text = serializeXliff({ version: '1.2', sourceLang: 'en', targetLang: 'fr-FR', original: 'reference.js', units })
+		expect(text).to.include('<target state="needs-translation"/>')
+		expect(parseXliff(text)).to.deep.equal([
+			{
+				sourceLang: 'en',
+				targetLang: 'fr-FR',
+				original: 'reference.js',
+				units: [
+					{ id: 'title', source: 'Hello & <b>welcome</b>', target: 'Bonjour & <b>bienvenue</b>', state: 'translated' },
+					{ id: 'auth.login', source: 'Sign in', target: '', state: 'needs-translation' },
+					{ id: 'verb\u0004Open', source: 'Open', target: 'Ouvrir', state: 'final' }
+				]
+			}
+		])
+	})
+
+	it('should round-trip units through XLIFF 2.0', () => {
+		const text = serializeXliff({ version: '2.0', sourceLang: 'en', targetLang: 'fr-FR', original: 'reference.js', units })
+		expect(text).to.include('<segment state="initial">')
+		expect(parseXliff(text)).to.deep.equal([
+			{
+				sourceLang: 'en',
+				targetLang: 'fr-FR',
+				original: 'reference.js',
+				units: [
+					{ id: 'title', source: 'Hello & <b>welcome</b>', target: 'Bonjour & <b>bienvenue</b>', state: 'translated' },
+					{ id: 'auth.login', source: 'Sign in', target: null, state: 'initial' },
+					{ id: 'verb\u0004Open', source: 'Open', target: 'Ouvrir', state: 'final' }
+				]
+			}
+		])
+	})
+
+	it('should find units in groups, and read CDATA targets', () => {
+		const text = `<?xml version="1.0"?>
+<xliff version="1.2"><file source-language="en" target-language="de" original="x"><body>
+	<group id="g"><trans-unit id="a"><source>A</source><target><![CDATA[<i>Ä</i>]]></target></trans-unit></group>
+</body></file></xliff>`
+		expect(parseXliff(text)[0].units).to.deep.equal([
+			{ id: 'a', source: 'A', target: '<i>Ä</i>', state: null }
+		])
+	})
+
+	it('should only consider translated units with targets as reviewed', () => {
+		expect(isReviewedUnit({ target: 'x', state: 'final' })).to.be.true
+		expect(isReviewedUnit({ target: 'x', state: 'reviewed' })).to.be.true
+		expect(isReviewedUnit({ target: 'x', state: null })).to.be.true
+		expect(isReviewedUnit({ target: 'x', state: 'needs-translation' })).to.be.false
+		expect(isReviewedUnit({ target: 'x', state: 'initial' })).to.be.false
+		expect(isReviewedUnit({ target: '', state: 'final' })).to.be.false
+	})
+})
+
+describe('import-xliff', function() {
+	this.timeout(20000)
+
+	let tmpDir
+
+	const alt = args => execa('node', [ path.resolve(__dirname, '../alt.mjs'), ...args ], { cwd: tmpDir, reject: false })
+
+	beforeEach(async () => {
+		tmpDir = await mkTmpDir()
+		await fsp.writeFile(path.join(tmpDir, 'messages.pot'), 'msgid ""\nmsgstr ""\n\nmsgid "Sign in"\nmsgstr ""\n\nmsgid "Sign out"\nmsgstr ""\n')
+		await fsp.writeFile(path.join(tmpDir, 'alt.config.json'), JSON.stringify({
+			provider: 'pseudo',
+			referenceFile: 'messages.pot',
+			referenceLanguage: 'en',
+			targetLanguages: [ 'fr' ],
+			outputDir: '.'
+		}))
+	})
+
+	afterEach(() => {
+		rmDir(tmpDir, mockLog)
+	})
+
+	it('should clear the fuzzy flag of reviewed translations imported into .po files', async () => {
+		for (const args of [ [ 'translate', '-y' ], [ 'export-xliff' ] ]) {
+			const result = await alt(args)
+			expect(result.exitCode, result.stderr).to.equal(0)
+		}
+		expect(await fsp.readFile(path.join(tmpDir, 'fr.po'), 'utf8')).to.include('#, fuzzy\nmsgid "Sign in"')
+
+		// The reviewer corrects one translation, and accepts the other as it is
+		const xliffPath = path.join(tmpDir, 'fr.xlf')
+		const [ { sourceLang, targetLang, original, units } ] = parseXliff(await fsp.readFile(xliffPath, 'utf8'))
+		const reviewedUnits = units.map(unit => ({ ...unit, target: unit.id === 'Sign in' ? 'Se connecter' : unit.target, state: UNIT_STATE_FINAL }))
+		await fsp.writeFile(xliffPath, serializeXliff({ version: '1.2', sourceLang, targetLang, original, units: reviewedUnits }))
+
+		const result = await alt([ 'import-xliff', 'fr.xlf' ])
+		expect(result.exitCode, result.stderr).to.equal(0)
+		const po = await fsp.readFile(path.join(tmpDir, 'fr.po'), 'utf8')
+		expect(po).to.include('msgid "Sign in"\nmsgstr "Se connecter"')
+		expect(po).to.include('msgid "Sign out"')
+		expect(po).not.to.include('fuzzy')
+	})
+})